@@ -0,0 +1,76 @@
+const express = require('express');
+const cors = require('cors');
+const { sendValidationError } = require('./middleware/validate');
+const authRoutes = require('./routes/auth');
+const favoriteRoutes = require('./routes/favorites');
+const courseRoutes = require('./routes/courses');
+const lessonRoutes = require('./routes/lessons');
+const sectionRoutes = require('./routes/sections');
+const enrollmentRoutes = require('./routes/enrollments');
+const homeworkRoutes = require('./routes/homework');
+const quizRoutes = require('./routes/quizzes');
+const reviewRoutes = require('./routes/reviews');
+const applicationRoutes = require('./routes/applications');
+const paymentRoutes = require('./routes/payments');
+const certificateRoutes = require('./routes/certificates');
+const mediaRoutes = require('./routes/media');
+const notificationRoutes = require('./routes/notifications');
+const discussionRoutes = require('./routes/discussions');
+const analyticsRoutes = require('./routes/analytics');
+const announcementRoutes = require('./routes/announcements');
+const teacherProfileRoutes = require('./routes/teacherProfiles');
+const teacherRequestRoutes = require('./routes/teacherRequests');
+const adminRoutes = require('./routes/admin');
+
+// Build the Express application. Connecting to MongoDB and listening are left
+// to the caller, so tests can run the app in-process.
+function createApp() {
+  const app = express();
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+
+  // Routes
+  app.use('/api', authRoutes);
+  app.use('/api', favoriteRoutes);
+  app.use('/api', courseRoutes);
+  app.use('/api', lessonRoutes);
+  app.use('/api', sectionRoutes);
+  app.use('/api', enrollmentRoutes);
+  app.use('/api', homeworkRoutes);
+  app.use('/api', quizRoutes);
+  app.use('/api', reviewRoutes);
+  app.use('/api', applicationRoutes);
+  app.use('/api', paymentRoutes);
+  app.use('/api', certificateRoutes);
+  app.use('/api', mediaRoutes);
+  app.use('/api', notificationRoutes);
+  app.use('/api', discussionRoutes);
+  app.use('/api', analyticsRoutes);
+  app.use('/api', announcementRoutes);
+  app.use('/api', teacherProfileRoutes);
+  app.use('/api', teacherRequestRoutes);
+  app.use('/api', adminRoutes);
+
+  // Malformed JSON bodies are reported in the validation error format
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return sendValidationError(res, [
+        {
+          location: 'body',
+          field: '',
+          code: 'INVALID_JSON',
+          message: 'Request body is not valid JSON',
+        },
+      ]);
+    }
+    next(error);
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,117 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Body of the 403 answered to banned and suspended users
+function suspendedAccountResponse(user) {
+  return {
+    message:
+      user.status === 'banned'
+        ? 'Your account has been banned'
+        : 'Your account is suspended',
+    reason: user.suspensionReason,
+    suspendedUntil: user.suspendedUntil || null,
+  };
+}
+
+// Check an access token, that its session is still valid and that the
+// account is not suspended. Resolves with the token payload, or with the
+// HTTP status and body to reject it with. Shared by authenticateToken and
+// the WebSocket handshake.
+async function verifyAccessToken(token) {
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: { status: 403, message: 'Invalid token' } };
+  }
+
+  // Tokens issued before a logout-all, password or role change, or of
+  // deleted accounts, are stale
+  const account = await User.findById(user.userId).select(
+    'tokenVersion status suspendedUntil suspensionReason deletedAt'
+  );
+  if (
+    !account ||
+    account.deletedAt ||
+    account.tokenVersion !== (user.tokenVersion || 0)
+  ) {
+    return { error: { status: 401, message: 'Session has been revoked' } };
+  }
+
+  if (account.isSuspended()) {
+    return {
+      error: { status: 403, ...suspendedAccountResponse(account) },
+    };
+  }
+
+  return { user };
+}
+
+// Middleware to verify JWT token
+async function authenticateToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const { user, error } = await verifyAccessToken(token);
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authenticate token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// Like authenticateToken, but lets anonymous requests through without
+// req.user. Used by public endpoints that show more to signed-in users.
+function optionalAuthenticateToken(req, res, next) {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+}
+
+// Middleware to check if user is admin
+function isAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+}
+
+// Middleware to check if user is teacher
+function isTeacher(req, res, next) {
+  if (req.user.role !== 'teacher') {
+    return res.status(403).json({ message: 'Teacher access required' });
+  }
+  next();
+}
+
+// Middleware to check if user is teacher or admin
+function isTeacherOrAdmin(req, res, next) {
+  if (req.user.role !== 'teacher' && req.user.role !== 'admin') {
+    return res
+      .status(403)
+      .json({ message: 'Teacher or admin access required' });
+  }
+  next();
+}
+
+module.exports = {
+  suspendedAccountResponse,
+  verifyAccessToken,
+  authenticateToken,
+  optionalAuthenticateToken,
+  isAdmin,
+  isTeacher,
+  isTeacherOrAdmin,
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const multer = require('multer');
+const { sendValidationError } = require('./validate');
+const {
+  MEDIA_KINDS,
+  getMaxFileSize,
+  hasExpectedContent,
+} = require('../services/media');
+
+function fileError(code, message) {
+  return [{ location: 'body', field: 'file', code, message }];
+}
+
+// Accept a single multipart file in the `file` field for the given media
+// kind and check its type, size and content. The file is kept in a
+// temporary location (req.file.path) that is removed once the response has
+// been sent.
+function uploadFile(kind) {
+  const config = MEDIA_KINDS[kind];
+
+  return (req, res, next) => {
+    const maxSize = getMaxFileSize(kind);
+    let rejectedType = null;
+
+    const upload = multer({
+      storage: multer.diskStorage({}),
+      limits: { fileSize: maxSize, files: 1 },
+      fileFilter: (request, file, callback) => {
+        if (!config.mimeTypes.includes(file.mimetype)) {
+          rejectedType = file.mimetype;
+          return callback(null, false);
+        }
+        callback(null, true);
+      },
+    }).single('file');
+
+    upload(req, res, async (error) => {
+      res.on('close', () => {
+        if (req.file) {
+          fs.rm(req.file.path, { force: true }, () => {});
+        }
+      });
+
+      try {
+        if (error instanceof multer.MulterError) {
+          return sendValidationError(
+            res,
+            error.code === 'LIMIT_FILE_SIZE'
+              ? fileError(
+                  'FILE_TOO_LARGE',
+                  `"file" must not be larger than ${maxSize} bytes`
+                )
+              : fileError('INVALID_UPLOAD', error.message)
+          );
+        }
+        if (error) {
+          throw error;
+        }
+
+        if (rejectedType) {
+          return sendValidationError(
+            res,
+            fileError(
+              'INVALID_FILE_TYPE',
+              `"file" must be one of [${config.mimeTypes.join(', ')}]`
+            )
+          );
+        }
+        if (!req.file) {
+          return sendValidationError(
+            res,
+            fileError('REQUIRED', '"file" is required')
+          );
+        }
+        if (!(await hasExpectedContent(kind, req.file))) {
+          return sendValidationError(
+            res,
+            fileError(
+              'INVALID_FILE_CONTENT',
+              `"file" content does not match ${req.file.mimetype}`
+            )
+          );
+        }
+
+        next();
+      } catch (uploadError) {
+        console.error('Upload file error:', uploadError);
+        res.status(500).json({ message: 'Internal server error' });
+      }
+    });
+  };
+}
+
+module.exports = {
+  uploadFile,
+};
@@ -0,0 +1,89 @@
+// Validate req.params, req.query and req.body against Joi schemas.
+// Unknown fields are stripped, so handlers only ever see whitelisted input.
+// Failures are answered with a 400 in the shared validation error format:
+//   {
+//     message: 'Validation failed',
+//     code: 'VALIDATION_ERROR',
+//     errors: [{ location, field, code, message }],
+//   }
+const LOCATIONS = ['params', 'query', 'body'];
+
+const ERROR_CODES = {
+  'any.required': 'REQUIRED',
+  'any.only': 'INVALID_OPTION',
+  'any.invalid': 'INVALID_VALUE',
+  'string.base': 'INVALID_TYPE',
+  'string.empty': 'REQUIRED',
+  'string.email': 'INVALID_EMAIL',
+  'string.min': 'TOO_SHORT',
+  'string.max': 'TOO_LONG',
+  'string.objectId': 'INVALID_OBJECT_ID',
+  'string.pattern.base': 'INVALID_FORMAT',
+  'number.base': 'INVALID_TYPE',
+  'number.integer': 'INVALID_TYPE',
+  'number.min': 'TOO_SMALL',
+  'number.max': 'TOO_LARGE',
+  'number.positive': 'TOO_SMALL',
+  'boolean.base': 'INVALID_TYPE',
+  'date.base': 'INVALID_DATE',
+  'date.min': 'INVALID_DATE_RANGE',
+  'date.greater': 'INVALID_DATE',
+  'array.base': 'INVALID_TYPE',
+  'array.min': 'TOO_SHORT',
+  'array.max': 'TOO_LONG',
+  'object.base': 'INVALID_TYPE',
+  'object.min': 'EMPTY_UPDATE',
+};
+
+function toFieldError(location, detail) {
+  return {
+    location,
+    field: detail.path.join('.'),
+    code: ERROR_CODES[detail.type] || 'INVALID_VALUE',
+    message: detail.message,
+  };
+}
+
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    message: 'Validation failed',
+    code: 'VALIDATION_ERROR',
+    errors,
+  });
+}
+
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) {
+        continue;
+      }
+
+      const { error, value } = schemas[location].validate(req[location] || {}, {
+        abortEarly: false,
+        stripUnknown: true,
+        errors: { wrap: { label: false } },
+      });
+
+      if (error) {
+        errors.push(
+          ...error.details.map((detail) => toFieldError(location, detail))
+        );
+      } else {
+        req[location] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  sendValidationError,
+};
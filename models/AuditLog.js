@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Append-only record of privileged and financial actions: who did what to
+// which document, what changed and where the request came from
+const auditLogSchema = new mongoose.Schema({
+  // Empty for actions taken outside the API (command-line scripts)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  actorRole: {
+    type: String,
+    enum: ['student', 'teacher', 'admin', null],
+    default: null,
+  },
+  // `<target>.<verb>`, e.g. user.role_change or payment.refund
+  action: {
+    type: String,
+    required: true,
+  },
+  targetType: {
+    type: String,
+    required: true,
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Changed fields only for updates, the whole document for creations and
+  // deletions
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const APPEND_ONLY_MESSAGE = 'Audit log entries cannot be changed or removed';
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error(APPEND_ONLY_MESSAGE));
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: true, query: true },
+  function (next) {
+    next(new Error(APPEND_ONLY_MESSAGE));
+  }
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
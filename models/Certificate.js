@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Issued once per completed enrollment. Names and titles are copied at issue
+// time so the certificate keeps matching what the student actually finished.
+const certificateSchema = new mongoose.Schema({
+  // Public identifier printed on the certificate and used for verification
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  enrollmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: true,
+    unique: true,
+  },
+  studentName: {
+    type: String,
+    required: true,
+  },
+  courseTitle: {
+    type: String,
+    required: true,
+  },
+  teacherName: {
+    type: String,
+    required: true,
+  },
+  completedAt: {
+    type: Date,
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+certificateSchema.index({ userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -29,15 +29,74 @@ const courseSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Set when the image is uploaded rather than linked
+  thumbnail: {
+    type: String,
+    default: '',
+  },
+  // When set, students need an approved CourseApplication to enroll
+  requiresApplication: {
+    type: Boolean,
+    default: false,
+  },
   teacherId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
+  // Unpublished courses are hidden from the catalog and closed to new
+  // students. Only admins publish and unpublish.
+  published: {
+    type: Boolean,
+    default: true,
+  },
+  unpublishedReason: {
+    type: String,
+    default: '',
+  },
+  unpublishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  unpublishedAt: {
+    type: Date,
+  },
+  // Set when the course was unpublished because its teacher's account was
+  // deleted. Restoring the account publishes it again.
+  archivedAt: {
+    type: Date,
+  },
+  // Picked by admins to be shown first in the catalog
+  featured: {
+    type: Boolean,
+    default: false,
+  },
+  featuredAt: {
+    type: Date,
+  },
+  // Rating aggregates over visible reviews, kept in sync by services/reviews
+  averageRating: {
+    type: Number,
+    default: 0,
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+  },
+  ratingHistogram: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Text index used by the catalog search
+courseSchema.index({ title: 'text', description: 'text' });
+
 module.exports = mongoose.model('Course', courseSchema);
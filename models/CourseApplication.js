@@ -20,6 +20,17 @@ const courseApplicationSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  decisionReason: {
+    type: String,
+    default: '',
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  decidedAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -21,10 +21,59 @@ const courseReviewSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Hidden reviews are excluded from listings and rating aggregates
+  status: {
+    type: String,
+    enum: ['visible', 'hidden'],
+    default: 'visible',
+  },
+  flagged: {
+    type: Boolean,
+    default: false,
+  },
+  flagReason: {
+    type: String,
+    default: '',
+  },
+  flaggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  flaggedAt: {
+    type: Date,
+  },
+  moderationReason: {
+    type: String,
+    default: '',
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  moderatedAt: {
+    type: Date,
+  },
+  // Public answer from the teacher who owns the course
+  reply: {
+    comment: {
+      type: String,
+    },
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    repliedAt: {
+      type: Date,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
 // Compound index to ensure a user can't review the same course twice
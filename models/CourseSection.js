@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A module of a course grouping an ordered set of lessons
+const courseSectionSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  order: {
+    type: Number,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+courseSectionSchema.index({ courseId: 1, order: 1 });
+
+module.exports = mongoose.model('CourseSection', courseSectionSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const discussionReplySchema = new mongoose.Schema({
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscussionThread',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  // Written by the course teacher or an admin
+  fromInstructor: {
+    type: Boolean,
+    default: false,
+  },
+  mentions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  upvotedBy: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  upvoteCount: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+discussionReplySchema.index({ threadId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DiscussionReply', discussionReplySchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A question or discussion in a course, optionally about one of its lessons
+const discussionThreadSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  mentions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  upvotedBy: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  ],
+  upvoteCount: {
+    type: Number,
+    default: 0,
+  },
+  replyCount: {
+    type: Number,
+    default: 0,
+  },
+  // Reply the course teacher marked as the answer
+  acceptedReplyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscussionReply',
+  },
+  // Set once the teacher replied or accepted an answer; unanswered threads
+  // make up the teacher's inbox
+  answered: {
+    type: Boolean,
+    default: false,
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+discussionThreadSchema.index({ courseId: 1, lessonId: 1, lastActivityAt: -1 });
+discussionThreadSchema.index({ courseId: 1, answered: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DiscussionThread', discussionThreadSchema);
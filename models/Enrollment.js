@@ -20,10 +20,25 @@ const enrollmentSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Average of the best score on each course quiz, unattempted quizzes
+  // counting as zero
+  quizScore: {
+    type: Number,
+    default: 0,
+  },
   enrolledAt: {
     type: Date,
     default: Date.now,
   },
+  completedAt: {
+    type: Date,
+  },
+  // Status the enrollment had before its student's account was deleted. It
+  // comes back if the account is restored.
+  statusBeforeDeletion: {
+    type: String,
+    enum: ['active', 'completed'],
+  },
 });
 
 // Compound index to ensure a user can't enroll in the same course twice
@@ -18,10 +18,17 @@ const homeworkSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  maxScore: {
+    type: Number,
+    default: 100,
+    min: 1,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+homeworkSchema.index({ lessonId: 1, dueDate: 1 });
+
 module.exports = mongoose.model('Homework', homeworkSchema);
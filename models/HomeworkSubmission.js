@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const homeworkSubmissionSchema = new mongoose.Schema({
+  homeworkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Homework',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  enrollmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+  },
+  attachments: [
+    {
+      type: String,
+    },
+  ],
+  status: {
+    type: String,
+    enum: ['submitted', 'graded'],
+    default: 'submitted',
+  },
+  isLate: {
+    type: Boolean,
+    default: false,
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  score: {
+    type: Number,
+    min: 0,
+  },
+  feedback: {
+    type: String,
+    default: '',
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  gradedAt: {
+    type: Date,
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Compound index to ensure a user has a single submission per homework
+homeworkSubmissionSchema.index({ homeworkId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('HomeworkSubmission', homeworkSubmissionSchema);
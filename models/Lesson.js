@@ -9,19 +9,68 @@ const lessonSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // External video location. Empty when the video was uploaded instead.
   videoUrl: {
     type: String,
-    required: true,
+    default: '',
+  },
+  // Uploaded video (see services/media)
+  videoMediaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
   },
+  // Uploaded handouts such as PDFs and slides
+  attachments: [
+    {
+      _id: false,
+      mediaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        required: true,
+      },
+      name: {
+        type: String,
+        required: true,
+      },
+      mimeType: {
+        type: String,
+        required: true,
+      },
+      size: {
+        type: Number,
+        required: true,
+      },
+    },
+  ],
   courseId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course',
     required: true,
   },
+  // Lessons without a section are listed before the course's sections
+  sectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseSection',
+  },
+  // Free preview lessons are fully visible to visitors who are not enrolled
+  isPreview: {
+    type: Boolean,
+    default: false,
+  },
+  // Position within the section
   order: {
     type: Number,
     required: true,
   },
+  // Drip release: a lesson unlocks on a fixed date, or a number of days after
+  // the student enrolled. At most one of the two is set.
+  releaseAt: {
+    type: Date,
+  },
+  releaseAfterDays: {
+    type: Number,
+    min: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const lessonProgressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  enrollmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: true,
+  },
+  completed: {
+    type: Boolean,
+    default: false,
+  },
+  completedAt: {
+    type: Date,
+  },
+  // Last watched video position in seconds
+  lastPosition: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Compound index to ensure a single progress record per user and lesson
+lessonProgressSchema.index({ userId: 1, lessonId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LessonProgress', lessonProgressSchema);
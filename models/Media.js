@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema({
+  // User who uploaded the file
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ['avatar', 'course_image', 'lesson_video', 'lesson_attachment'],
+    required: true,
+  },
+  // Entity the file belongs to; its files are removed when it is deleted
+  entityType: {
+    type: String,
+    enum: ['User', 'Course', 'Lesson'],
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'entityType',
+    required: true,
+  },
+  // Public files have a permanent URL, private ones are only reachable
+  // through signed links
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    required: true,
+  },
+  // Storage driver the file was written with, so files stay reachable when
+  // STORAGE_DRIVER changes
+  driver: {
+    type: String,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  thumbnailKey: {
+    type: String,
+  },
+  originalName: {
+    type: String,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  width: {
+    type: Number,
+  },
+  height: {
+    type: Number,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+mediaSchema.index({ entityType: 1, entityId: 1, kind: 1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: [
+      'application_approved',
+      'application_rejected',
+      'homework_due',
+      'lesson_published',
+      'new_enrollment',
+      'new_application',
+      'new_review',
+      'discussion_reply',
+      'discussion_mention',
+    ],
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  // Frontend path the notification points to
+  link: {
+    type: String,
+    default: '',
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+  },
+  homeworkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Homework',
+  },
+  // Delivery follows the user's preferences for the type: shown in the
+  // notification center, waiting for the next email digest, or both
+  inApp: {
+    type: Boolean,
+    default: true,
+  },
+  emailPending: {
+    type: Boolean,
+    default: false,
+  },
+  emailedAt: {
+    type: Date,
+  },
+  readAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationSchema.index({ userId: 1, inApp: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, emailPending: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
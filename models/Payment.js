@@ -15,19 +15,77 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: [
+      'pending',
+      'completed',
+      'failed',
+      'abandoned',
+      'refunded',
+      'partially_refunded',
+    ],
     default: 'pending',
   },
   paymentMethod: {
     type: String,
     required: true,
   },
+  provider: {
+    type: String,
+    required: true,
+  },
+  providerPaymentId: {
+    type: String,
+  },
+  failureReason: {
+    type: String,
+  },
+  // Pending checkouts not confirmed before this date are abandoned
+  expiresAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  refunds: [
+    {
+      amount: {
+        type: Number,
+        required: true,
+      },
+      reason: {
+        type: String,
+        default: '',
+      },
+      providerRefundId: {
+        type: String,
+      },
+      refundedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+paymentSchema.index({ userId: 1, courseId: 1, status: 1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Payment', paymentSchema);
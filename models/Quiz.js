@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = [
+  'single_choice',
+  'multiple_choice',
+  'true_false',
+  'short_answer',
+];
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true,
+  },
+  prompt: {
+    type: String,
+    required: true,
+  },
+  // Answer options for choice questions; true/false uses ['True', 'False']
+  options: [
+    {
+      type: String,
+    },
+  ],
+  // Indexes into `options` that make up the correct answer
+  correctOptions: [
+    {
+      type: Number,
+    },
+  ],
+  // Accepted answers for short-answer questions, compared case-insensitively
+  correctAnswers: [
+    {
+      type: String,
+    },
+  ],
+  points: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+});
+
+const quizSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  questions: [questionSchema],
+  // Minutes allowed per attempt; 0 means no limit
+  timeLimit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Attempts allowed per student; 0 means unlimited
+  maxAttempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Percentage needed to pass
+  passingScore: {
+    type: Number,
+    default: 70,
+    min: 0,
+    max: 100,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+quizSchema.index({ lessonId: 1 });
+quizSchema.index({ courseId: 1 });
+
+module.exports = mongoose.model('Quiz', quizSchema);
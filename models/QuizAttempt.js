@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    selectedOptions: [
+      {
+        type: Number,
+      },
+    ],
+    textAnswer: {
+      type: String,
+      default: '',
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false,
+    },
+    pointsAwarded: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const quizAttemptSchema = new mongoose.Schema({
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+  },
+  enrollmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    required: true,
+  },
+  // Attempts submitted after the time limit are recorded as expired and
+  // score zero
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'expired'],
+    default: 'in_progress',
+  },
+  answers: [answerSchema],
+  score: {
+    type: Number,
+    default: 0,
+  },
+  maxScore: {
+    type: Number,
+    default: 0,
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+  },
+  passed: {
+    type: Boolean,
+    default: false,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  submittedAt: {
+    type: Date,
+  },
+});
+
+quizAttemptSchema.index({ quizId: 1, userId: 1 });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Append-only history of role changes and who approved them
+const roleGrantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ['student', 'teacher', 'admin'],
+    required: true,
+  },
+  previousRole: {
+    type: String,
+    enum: ['student', 'teacher', 'admin', null],
+    default: null,
+  },
+  // Empty for grants made outside the API (bootstrap command, setup token)
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  source: {
+    type: String,
+    enum: ['teacher_request', 'admin', 'bootstrap'],
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+roleGrantSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RoleGrant', roleGrantSchema);
@@ -35,6 +35,11 @@ const teacherProfileSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Set when the avatar is uploaded rather than linked
+  avatarThumbnail: {
+    type: String,
+    default: '',
+  },
   certifications: [
     {
       type: String,
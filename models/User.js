@@ -22,12 +22,83 @@ const userSchema = new mongoose.Schema({
     enum: ['student', 'teacher', 'admin'],
     required: true,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  notificationPreferences: {
+    // Per notification type; types that are not listed are delivered both
+    // in-app and by email
+    types: {
+      type: Map,
+      of: new mongoose.Schema(
+        {
+          inApp: { type: Boolean, default: true },
+          email: { type: Boolean, default: true },
+        },
+        { _id: false }
+      ),
+      default: {},
+    },
+    // Daily email with unread notifications
+    emailDigest: {
+      type: Boolean,
+      default: false,
+    },
+    lastDigestAt: {
+      type: Date,
+    },
+  },
+  // Suspended users are locked out until suspendedUntil, or until an admin
+  // reinstates them when it is not set. Banned users are locked out for good.
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active',
+  },
+  suspendedUntil: {
+    type: Date,
+  },
+  suspensionReason: {
+    type: String,
+    default: '',
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  suspendedAt: {
+    type: Date,
+  },
+  // Deleted accounts can be restored by an admin until the retention window
+  // ends. Then their personal data is purged and the document stays as an
+  // anonymous placeholder, so courses, payments and reviews still resolve.
+  deletedAt: {
+    type: Date,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  purgedAt: {
+    type: Date,
+  },
+  // Bumped to invalidate every access token issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+userSchema.index({ deletedAt: 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -41,6 +112,17 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+// Whether the user is locked out by a ban or a running suspension
+userSchema.methods.isSuspended = function (now = new Date()) {
+  if (this.status === 'banned') {
+    return true;
+  }
+  return (
+    this.status === 'suspended' &&
+    (!this.suspendedUntil || this.suspendedUntil > now)
+  );
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
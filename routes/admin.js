@@ -0,0 +1,960 @@
+const express = require('express');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Payment = require('../models/Payment');
+const CourseReview = require('../models/CourseReview');
+const RoleGrant = require('../models/RoleGrant');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { revokeUserSessions } = require('../services/auth');
+const {
+  parsePagination,
+  paginatedResponse,
+  parseDateRange,
+  escapeRegex,
+} = require('../utils/query');
+const { grantRole } = require('../services/roles');
+const { getPlatformOverview } = require('../services/analytics');
+const { csvRow } = require('../utils/csv');
+const {
+  USER_AUDIT_FIELDS,
+  auditSnapshot,
+  recordAudit,
+  recordChange,
+} = require('../services/audit');
+const {
+  restoreDeadline,
+  canRestoreUser,
+  softDeleteUser,
+  restoreUser,
+} = require('../services/users');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Platform-wide metrics: users by role, signups, courses by category,
+// enrollments and revenue (admin only)
+router.get(
+  '/admin/overview',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.analytics.platform),
+  async (req, res) => {
+    try {
+      const { from, to, interval } = req.query;
+
+      const overview = await getPlatformOverview({ from, to, interval });
+
+      res.json({ from, to, interval, ...overview });
+    } catch (error) {
+      console.error('Get platform overview error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Build the audit log query shared by the list and the CSV export
+function auditLogFilter({ actorId, action, targetType, targetId, from, to }) {
+  const filter = {};
+  if (actorId) {
+    filter.actorId = actorId;
+  }
+  if (action) {
+    filter.action = action.includes('.')
+      ? action
+      : new RegExp(`^${escapeRegex(action)}\\.`);
+  }
+  if (targetType) {
+    filter.targetType = targetType;
+  }
+  if (targetId) {
+    filter.targetId = targetId;
+  }
+
+  const createdAt = parseDateRange({ from, to });
+  if (Object.keys(createdAt).length > 0) {
+    filter.createdAt = createdAt;
+  }
+  return filter;
+}
+
+// Populate the actor of audit log entries, keeping the id of actors whose
+// account no longer exists
+function populateActor(select) {
+  return { path: 'actorId', select, transform: (doc, id) => doc || id };
+}
+
+// Audit log of privileged and financial actions, newest first (admin only)
+router.get(
+  '/admin/audit-logs',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.auditLogs.list),
+  async (req, res) => {
+    try {
+      const filter = auditLogFilter(req.query);
+      const pagination = parsePagination(req.query);
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .populate(populateActor('name email'))
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      res.json(paginatedResponse(entries, total, pagination));
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+const AUDIT_CSV_COLUMNS = [
+  'createdAt',
+  'actorId',
+  'actorEmail',
+  'actorRole',
+  'action',
+  'targetType',
+  'targetId',
+  'before',
+  'after',
+  'ip',
+  'userAgent',
+];
+
+// Download the filtered audit log as CSV (admin only). Entries are streamed
+// from a cursor, so large exports are not held in memory.
+router.get(
+  '/admin/audit-logs/export',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.auditLogs.export),
+  async (req, res) => {
+    try {
+      const cursor = AuditLog.find(auditLogFilter(req.query))
+        .populate(populateActor('email'))
+        .sort({ createdAt: -1, _id: -1 })
+        .cursor();
+
+      res.attachment('audit-log.csv');
+      res.type('text/csv');
+      res.write(csvRow(AUDIT_CSV_COLUMNS));
+
+      for await (const entry of cursor) {
+        res.write(
+          csvRow([
+            entry.createdAt,
+            entry.populated('actorId') || entry.actorId,
+            entry.actorId && entry.actorId.email,
+            entry.actorRole,
+            entry.action,
+            entry.targetType,
+            entry.targetId,
+            entry.before,
+            entry.after,
+            entry.ip,
+            entry.userAgent,
+          ])
+        );
+      }
+      res.end();
+    } catch (error) {
+      console.error('Export audit logs error:', error);
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Payment ledger (admin only)
+router.get(
+  '/admin/payments',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.payments.ledger),
+  async (req, res) => {
+    try {
+      const { userId, courseId, status } = req.query;
+
+      const query = {};
+      if (userId) {
+        query.userId = userId;
+      }
+      if (courseId) {
+        query.courseId = courseId;
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const createdAt = parseDateRange(req.query);
+      if (Object.keys(createdAt).length > 0) {
+        query.createdAt = createdAt;
+      }
+
+      const pagination = parsePagination(req.query);
+
+      const [payments, total] = await Promise.all([
+        Payment.find(query)
+          .populate('userId', 'name email')
+          .populate('courseId', 'title')
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Payment.countDocuments(query),
+      ]);
+
+      res.json(paginatedResponse(payments, total, pagination));
+    } catch (error) {
+      console.error('Get payment ledger error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Revenue totals per course and per teacher (admin only). Net revenue is
+// the paid amount minus refunds.
+router.get(
+  '/admin/revenue',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.payments.revenue),
+  async (req, res) => {
+    try {
+      const completedAt = parseDateRange(req.query);
+
+      const match = {
+        status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+      };
+      if (Object.keys(completedAt).length > 0) {
+        match.completedAt = completedAt;
+      }
+
+      const byCourse = await Payment.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$courseId',
+            grossRevenue: { $sum: '$amount' },
+            refundedAmount: { $sum: '$refundedAmount' },
+            payments: { $sum: 1 },
+          },
+        },
+        {
+          $lookup: {
+            from: Course.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'course',
+          },
+        },
+        { $unwind: { path: '$course', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            courseId: '$_id',
+            title: '$course.title',
+            teacherId: '$course.teacherId',
+            grossRevenue: 1,
+            refundedAmount: 1,
+            netRevenue: { $subtract: ['$grossRevenue', '$refundedAmount'] },
+            payments: 1,
+          },
+        },
+        { $sort: { netRevenue: -1 } },
+      ]);
+
+      // Roll course totals up to their teachers
+      const teacherTotals = new Map();
+      for (const course of byCourse) {
+        const key = course.teacherId ? course.teacherId.toString() : 'unknown';
+        const totals = teacherTotals.get(key) || {
+          teacherId: course.teacherId || null,
+          grossRevenue: 0,
+          refundedAmount: 0,
+          netRevenue: 0,
+          courses: 0,
+        };
+        totals.grossRevenue += course.grossRevenue;
+        totals.refundedAmount += course.refundedAmount;
+        totals.netRevenue += course.netRevenue;
+        totals.courses += 1;
+        teacherTotals.set(key, totals);
+      }
+
+      const teachers = await User.find({
+        _id: {
+          $in: byCourse.map((course) => course.teacherId).filter(Boolean),
+        },
+      }).select('name email');
+      const byTeacher = [...teacherTotals.values()]
+        .map((totals) => {
+          const teacher = teachers.find(
+            (user) => totals.teacherId && user._id.equals(totals.teacherId)
+          );
+          return {
+            ...totals,
+            name: teacher ? teacher.name : null,
+            email: teacher ? teacher.email : null,
+          };
+        })
+        .sort((a, b) => b.netRevenue - a.netRevenue);
+
+      const totals = byCourse.reduce(
+        (sum, course) => ({
+          grossRevenue: sum.grossRevenue + course.grossRevenue,
+          refundedAmount: sum.refundedAmount + course.refundedAmount,
+          netRevenue: sum.netRevenue + course.netRevenue,
+        }),
+        { grossRevenue: 0, refundedAmount: 0, netRevenue: 0 }
+      );
+
+      res.json({ totals, byCourse, byTeacher });
+    } catch (error) {
+      console.error('Get revenue error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Review moderation queue (admin only). Flagged reviews come first.
+router.get(
+  '/admin/reviews',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.reviews.moderationQueue),
+  async (req, res) => {
+    try {
+      const { status, flagged, courseId } = req.query;
+
+      const filter = {};
+      if (status) {
+        filter.status = status;
+      }
+      if (flagged !== undefined) {
+        filter.flagged = flagged;
+      }
+      if (courseId) {
+        filter.courseId = courseId;
+      }
+
+      const pagination = parsePagination(req.query);
+
+      const [reviews, total] = await Promise.all([
+        CourseReview.find(filter)
+          .populate('userId', 'name email')
+          .populate('courseId', 'title')
+          .populate('flaggedBy', 'name email')
+          .sort({ flagged: -1, flaggedAt: -1, createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        CourseReview.countDocuments(filter),
+      ]);
+
+      res.json(paginatedResponse(reviews, total, pagination));
+    } catch (error) {
+      console.error('Get review moderation queue error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Publish or unpublish a course, or add it to or remove it from the
+// featured courses (admin only). `apply` changes the course and answers
+// with an error message when the change is not allowed.
+function moderateCourse(action, apply, successMessage) {
+  return async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      const before = auditSnapshot(course);
+      const rejection = apply(course, req);
+      if (rejection) {
+        return res.status(400).json({ message: rejection });
+      }
+      await course.save();
+      await recordChange(req, action, course, before);
+
+      res.json({ message: successMessage, course });
+    } catch (error) {
+      console.error('Moderate course error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+router.put(
+  '/admin/courses/:courseId/publish',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.courses.moderate),
+  moderateCourse(
+    'course.publish',
+    (course) => {
+      course.published = true;
+      course.unpublishedReason = '';
+      course.unpublishedBy = undefined;
+      course.unpublishedAt = undefined;
+    },
+    'Course published successfully'
+  )
+);
+
+// Unpublished courses leave the catalog and stop taking new students;
+// enrolled students keep their access
+router.put(
+  '/admin/courses/:courseId/unpublish',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.courses.unpublish),
+  moderateCourse(
+    'course.unpublish',
+    (course, req) => {
+      course.published = false;
+      course.unpublishedReason = req.body.reason || '';
+      course.unpublishedBy = req.user.userId;
+      course.unpublishedAt = Date.now();
+      course.featured = false;
+      course.featuredAt = undefined;
+    },
+    'Course unpublished successfully'
+  )
+);
+
+router.put(
+  '/admin/courses/:courseId/feature',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.courses.moderate),
+  moderateCourse(
+    'course.feature',
+    (course) => {
+      if (!course.published) {
+        return 'Unpublished courses cannot be featured';
+      }
+      course.featured = true;
+      course.featuredAt = Date.now();
+    },
+    'Course featured successfully'
+  )
+);
+
+router.put(
+  '/admin/courses/:courseId/unfeature',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.courses.moderate),
+  moderateCourse(
+    'course.unfeature',
+    (course) => {
+      course.featured = false;
+      course.featuredAt = undefined;
+    },
+    'Course removed from featured courses'
+  )
+);
+
+// Search users by name or email, with role and status filters (admin only).
+// Deleted users are only listed with `deleted=true`.
+router.get(
+  '/users',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.list),
+  async (req, res) => {
+    try {
+      const { search, role, status, deleted } = req.query;
+
+      const filter = { deletedAt: deleted ? { $exists: true } : null };
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+      }
+      if (role) {
+        filter.role = role;
+      }
+      if (status) {
+        // Users created before suspensions existed have no status
+        filter.status =
+          status === 'active' ? { $in: ['active', null] } : status;
+      }
+
+      const pagination = parsePagination(req.query);
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select('-__v')
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        User.countDocuments(filter),
+      ]);
+
+      res.json(paginatedResponse(users, total, pagination));
+    } catch (error) {
+      console.error('Get users error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Deleted users can only be restored; every other change waits until then
+function sendDeletedUserError(res) {
+  return res
+    .status(400)
+    .json({ message: 'User is deleted, restore the account first' });
+}
+
+// Update user (admin only)
+router.put(
+  '/users/:userId',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.update),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { name, email, role } = req.body;
+
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.deletedAt) {
+        return sendDeletedUserError(res);
+      }
+
+      const before = auditSnapshot(user, USER_AUDIT_FIELDS);
+
+      // Update user
+      user.name = name || user.name;
+      if (email && email.toLowerCase().trim() !== user.email) {
+        user.email = email;
+        user.emailVerified = false;
+        user.emailVerifiedAt = undefined;
+      }
+
+      if (role && role !== user.role) {
+        await grantRole(user, role, {
+          grantedBy: req.user.userId,
+          source: 'admin',
+          req,
+        });
+        await revokeUserSessions(user._id);
+      } else {
+        await user.save();
+      }
+      await recordChange(req, 'user.update', user, before, USER_AUDIT_FIELDS);
+
+      res.json(user);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Email is already in use' });
+      }
+      console.error('Update user error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Delete user (admin only). The account is soft deleted and can be restored
+// until the retention window ends; see services/users for what happens to
+// their data. Courses they teach go to the teacher given in the
+// `reassignCoursesTo` query parameter, and are archived otherwise.
+router.delete(
+  '/users/:userId',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.remove),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { reassignCoursesTo } = req.query;
+
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.deletedAt) {
+        return res.status(400).json({ message: 'User is already deleted' });
+      }
+
+      if (user._id.equals(req.user.userId)) {
+        return res
+          .status(400)
+          .json({ message: 'You cannot delete your own account' });
+      }
+
+      let reassignTo = null;
+      if (reassignCoursesTo) {
+        reassignTo = await User.findOne({
+          _id: reassignCoursesTo,
+          role: 'teacher',
+          deletedAt: null,
+        });
+        if (!reassignTo || reassignTo._id.equals(user._id)) {
+          return res.status(400).json({
+            message: 'Courses can only be reassigned to another teacher',
+          });
+        }
+      }
+
+      const before = auditSnapshot(user, USER_AUDIT_FIELDS);
+      const result = await softDeleteUser(user, {
+        deletedBy: req.user.userId,
+        reassignTo,
+        req,
+      });
+      await recordChange(req, 'user.delete', user, before, USER_AUDIT_FIELDS);
+
+      res.json({
+        message: 'User deleted successfully',
+        restorableUntil: restoreDeadline(user),
+        ...result,
+      });
+    } catch (error) {
+      console.error('Delete user error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Reset user password (admin only)
+router.put(
+  '/users/:userId/reset-password',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.resetPassword),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { password } = req.body;
+
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.deletedAt) {
+        return sendDeletedUserError(res);
+      }
+
+      // Update password
+      user.password = password;
+      await user.save();
+      await revokeUserSessions(user._id);
+      await recordAudit(req, {
+        action: 'user.password_reset',
+        targetType: 'User',
+        targetId: user._id,
+      });
+
+      res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+function presentSuspension(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    status: user.status,
+    suspendedUntil: user.suspendedUntil || null,
+    suspensionReason: user.suspensionReason,
+  };
+}
+
+// Suspend or ban a user instead of deleting them (admin only). Their
+// sessions are revoked, live connections closed, and every later request
+// is rejected until they are reinstated or the suspension runs out.
+function restrictUser(status, action, successMessage) {
+  return async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.deletedAt) {
+        return sendDeletedUserError(res);
+      }
+
+      if (user._id.equals(req.user.userId)) {
+        return res
+          .status(400)
+          .json({ message: 'You cannot suspend your own account' });
+      }
+
+      const before = auditSnapshot(user, USER_AUDIT_FIELDS);
+      user.status = status;
+      user.suspendedUntil = status === 'suspended' ? req.body.until : undefined;
+      user.suspensionReason = req.body.reason || '';
+      user.suspendedBy = req.user.userId;
+      user.suspendedAt = Date.now();
+      await user.save();
+      await revokeUserSessions(user._id, 'Account suspended');
+      await recordChange(req, action, user, before, USER_AUDIT_FIELDS);
+
+      res.json({ message: successMessage, user: presentSuspension(user) });
+    } catch (error) {
+      console.error('Suspend user error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+router.put(
+  '/users/:userId/suspend',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.suspend),
+  restrictUser('suspended', 'user.suspend', 'User suspended successfully')
+);
+
+router.put(
+  '/users/:userId/ban',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.ban),
+  restrictUser('banned', 'user.ban', 'User banned successfully')
+);
+
+// Lift a suspension or ban (admin only)
+router.put(
+  '/users/:userId/reinstate',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.byId),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.deletedAt) {
+        return sendDeletedUserError(res);
+      }
+
+      if (user.status === 'active') {
+        return res.status(400).json({ message: 'User is not suspended' });
+      }
+
+      const before = auditSnapshot(user, USER_AUDIT_FIELDS);
+      user.status = 'active';
+      user.suspendedUntil = undefined;
+      user.suspensionReason = '';
+      user.suspendedBy = undefined;
+      user.suspendedAt = undefined;
+      await user.save();
+      await recordChange(
+        req,
+        'user.reinstate',
+        user,
+        before,
+        USER_AUDIT_FIELDS
+      );
+
+      res.json({
+        message: 'User reinstated successfully',
+        user: presentSuspension(user),
+      });
+    } catch (error) {
+      console.error('Reinstate user error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Restore a deleted user within the retention window (admin only)
+router.put(
+  '/users/:userId/restore',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.byId),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (!user.deletedAt) {
+        return res.status(400).json({ message: 'User is not deleted' });
+      }
+
+      if (!canRestoreUser(user)) {
+        return res
+          .status(400)
+          .json({ message: 'The restore window for this user has ended' });
+      }
+
+      const before = auditSnapshot(user, USER_AUDIT_FIELDS);
+      const result = await restoreUser(user, { req });
+      await recordChange(req, 'user.restore', user, before, USER_AUDIT_FIELDS);
+
+      res.json({
+        message: 'User restored successfully',
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+        },
+        ...result,
+      });
+    } catch (error) {
+      console.error('Restore user error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Get role grant history of a user (admin only)
+router.get(
+  '/users/:userId/role-grants',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.byId),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const grants = await RoleGrant.find({ userId })
+        .populate('grantedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+      res.json(grants);
+    } catch (error) {
+      console.error('Get role grants error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Promote user to admin (only by existing admin)
+router.put(
+  '/users/:userId/promote',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.byId),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.deletedAt) {
+        return sendDeletedUserError(res);
+      }
+
+      // Check if user is already an admin
+      if (user.role === 'admin') {
+        return res.status(400).json({ message: 'User is already an admin' });
+      }
+
+      // Promote user to admin
+      await grantRole(user, 'admin', {
+        grantedBy: req.user.userId,
+        source: 'admin',
+        req,
+      });
+      await revokeUserSessions(user._id);
+
+      res.json({
+        message: 'User promoted to admin successfully',
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      console.error('Promote user error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Demote admin to teacher (only by existing admin)
+router.put(
+  '/users/:userId/demote',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.users.byId),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      // Prevent self-demotion
+      if (userId === req.user.userId) {
+        return res.status(403).json({ message: 'Cannot demote yourself' });
+      }
+
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (user.deletedAt) {
+        return sendDeletedUserError(res);
+      }
+
+      // Check if user is an admin
+      if (user.role !== 'admin') {
+        return res.status(400).json({ message: 'User is not an admin' });
+      }
+
+      // Demote admin to teacher
+      await grantRole(user, 'teacher', {
+        grantedBy: req.user.userId,
+        source: 'admin',
+        req,
+      });
+      await revokeUserSessions(user._id);
+
+      res.json({
+        message: 'Admin demoted to teacher successfully',
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      console.error('Demote admin error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { authenticateToken, isTeacherOrAdmin } = require('../middleware/auth');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { canManageCourse } = require('../services/courses');
+const {
+  getCoursesAnalytics,
+  getLessonDropOff,
+} = require('../services/analytics');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Analytics across every course of a teacher. Teachers get their own;
+// admins pick the teacher with `teacherId`.
+router.get(
+  '/analytics/teacher',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.analytics.teacher),
+  async (req, res) => {
+    try {
+      const { from, to, interval } = req.query;
+      const isAdmin = req.user.role === 'admin';
+
+      if (isAdmin && !req.query.teacherId) {
+        return sendValidationError(res, [
+          {
+            location: 'query',
+            field: 'teacherId',
+            code: 'REQUIRED',
+            message: 'teacherId is required',
+          },
+        ]);
+      }
+      if (
+        !isAdmin &&
+        req.query.teacherId &&
+        req.query.teacherId !== req.user.userId
+      ) {
+        return res
+          .status(403)
+          .json({ message: 'You can only view your own analytics' });
+      }
+
+      const teacherId = req.query.teacherId || req.user.userId;
+      const teacher = await User.findById(teacherId).select('name');
+      if (!teacher) {
+        return res.status(404).json({ message: 'Teacher not found' });
+      }
+
+      const courses = await Course.find({ teacherId: teacher._id })
+        .select('title')
+        .sort({ createdAt: 1 });
+      const analytics = await getCoursesAnalytics(
+        courses.map((course) => course._id),
+        { from, to, interval }
+      );
+
+      res.json({
+        teacherId: teacher._id,
+        from,
+        to,
+        interval,
+        totals: { courses: courses.length, ...analytics.totals },
+        enrollmentsOverTime: analytics.enrollmentsOverTime,
+        revenueOverTime: analytics.revenueOverTime,
+        ratingTrend: analytics.ratingTrend,
+        courses: courses.map((course) => ({
+          courseId: course._id,
+          title: course.title,
+          ...analytics.byCourse.get(course._id.toString()),
+        })),
+      });
+    } catch (error) {
+      console.error('Get teacher analytics error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Analytics of a single course, with lesson drop-off (owning teacher or
+// admin)
+router.get(
+  '/courses/:courseId/analytics',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.analytics.course),
+  async (req, res) => {
+    try {
+      const { from, to, interval } = req.query;
+
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only view analytics of your own courses' });
+      }
+
+      const range = { from, to, interval };
+      const [analytics, lessonDropOff] = await Promise.all([
+        getCoursesAnalytics([course._id], range),
+        getLessonDropOff(course, range),
+      ]);
+
+      res.json({
+        courseId: course._id,
+        title: course.title,
+        from,
+        to,
+        interval,
+        ...analytics.totals,
+        enrollmentsOverTime: analytics.enrollmentsOverTime,
+        revenueOverTime: analytics.revenueOverTime,
+        ratingTrend: analytics.ratingTrend,
+        lessonDropOff,
+      });
+    } catch (error) {
+      console.error('Get course analytics error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const Course = require('../models/Course');
+const { authenticateToken, isTeacherOrAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { canManageCourse } = require('../services/courses');
+const { publishToCourse } = require('../services/realtime');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Broadcast a live announcement to everyone in the course room (owning
+// teacher or admin). Announcements are not stored: only connected clients
+// that joined the room receive them.
+router.post(
+  '/courses/:courseId/announcements',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.announcements.create),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only announce in your own courses' });
+      }
+
+      const announcement = {
+        courseId: course._id,
+        title: req.body.title || '',
+        message: req.body.message,
+        authorId: req.user.userId,
+        sentAt: new Date(),
+      };
+      const delivered = publishToCourse(
+        course._id,
+        'announcement',
+        announcement
+      );
+
+      res.status(201).json({ ...announcement, delivered });
+    } catch (error) {
+      console.error('Create announcement error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
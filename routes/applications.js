@@ -0,0 +1,189 @@
+const express = require('express');
+const Course = require('../models/Course');
+const CourseApplication = require('../models/CourseApplication');
+const { authenticateToken, isTeacherOrAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { parsePagination, paginatedResponse } = require('../utils/query');
+const { canManageCourse } = require('../services/courses');
+const { activateEnrollment } = require('../services/enrollments');
+const {
+  notifyApplicationDecision,
+  notifyNewApplication,
+} = require('../services/notifications');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Course Application endpoints
+router.post(
+  '/courses/:courseId/applications',
+  authenticateToken,
+  validate(schemas.applications.create),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const { message } = req.body;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!course.published) {
+        return res
+          .status(403)
+          .json({ message: 'This course is not open for enrollment' });
+      }
+
+      // A rejected student may apply again with a new message
+      const existing = await CourseApplication.findOne({
+        userId: req.user.userId,
+        courseId,
+      });
+      if (existing && existing.status === 'rejected') {
+        existing.status = 'pending';
+        existing.message = message;
+        existing.decisionReason = '';
+        existing.decidedBy = undefined;
+        existing.decidedAt = undefined;
+        existing.createdAt = Date.now();
+        await existing.save();
+        await notifyNewApplication(existing, course);
+        return res.status(201).json(existing);
+      }
+
+      const application = new CourseApplication({
+        userId: req.user.userId,
+        courseId,
+        message,
+      });
+      await application.save();
+      await notifyNewApplication(application, course);
+      res.status(201).json(application);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(400)
+          .json({ message: 'Already applied to this course' });
+      }
+      console.error('Create application error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Teachers see applications for their own courses, admins see all
+router.get(
+  '/applications',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.applications.list),
+  async (req, res) => {
+    try {
+      const { courseId, status } = req.query;
+
+      const query = {};
+      if (req.user.role !== 'admin') {
+        query.courseId = {
+          $in: await Course.find({ teacherId: req.user.userId }).distinct(
+            '_id'
+          ),
+        };
+      }
+      if (courseId) {
+        query.courseId =
+          req.user.role === 'admin'
+            ? courseId
+            : { $in: query.courseId.$in.filter((id) => id.equals(courseId)) };
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const pagination = parsePagination(req.query);
+
+      const [applications, total] = await Promise.all([
+        CourseApplication.find(query)
+          .populate('userId', 'name email')
+          .populate('courseId', 'title')
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        CourseApplication.countDocuments(query),
+      ]);
+
+      res.json(paginatedResponse(applications, total, pagination));
+    } catch (error) {
+      console.error('Get applications error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Approve or reject a pending application (owning teacher or admin).
+// Approval enrolls the student right away in free courses; paid courses
+// still go through checkout.
+function decideApplication(status) {
+  return async (req, res) => {
+    try {
+      const { applicationId } = req.params;
+      const { reason } = req.body;
+
+      const application = await CourseApplication.findById(applicationId);
+      if (!application) {
+        return res.status(404).json({ message: 'Application not found' });
+      }
+
+      const course = await Course.findById(application.courseId);
+      if (!course || !canManageCourse(course, req.user)) {
+        return res.status(403).json({
+          message: 'You can only decide applications for your own courses',
+        });
+      }
+
+      if (application.status !== 'pending') {
+        return res
+          .status(400)
+          .json({ message: `Application is already ${application.status}` });
+      }
+
+      application.status = status;
+      application.decisionReason = reason || '';
+      application.decidedBy = req.user.userId;
+      application.decidedAt = Date.now();
+      await application.save();
+      await notifyApplicationDecision(application, course);
+
+      let enrollment = null;
+      if (status === 'approved' && course.price <= 0) {
+        enrollment = await activateEnrollment(
+          application.userId,
+          application.courseId
+        );
+      }
+
+      res.json({ application, enrollment });
+    } catch (error) {
+      console.error('Decide application error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+router.put(
+  '/applications/:applicationId/approve',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.applications.decide),
+  decideApplication('approved')
+);
+
+router.put(
+  '/applications/:applicationId/reject',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.applications.decide),
+  decideApplication('rejected')
+);
+
+module.exports = router;
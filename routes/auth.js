@@ -0,0 +1,441 @@
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const {
+  authenticateToken,
+  suspendedAccountResponse,
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  hashToken,
+  issueTokens,
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  revokeUserSessions,
+} = require('../services/auth');
+const { grantRole } = require('../services/roles');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Registration endpoint
+router.post('/register', validate(schemas.auth.register), async (req, res) => {
+  try {
+    const { email, password, name, role } = req.body;
+
+    // Teacher and admin roles are granted by admins, never self-assigned
+    if (role && role !== 'student') {
+      return res.status(403).json({
+        message: 'Only student accounts can be registered',
+      });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    // Create new user
+    const user = new User({
+      email,
+      password,
+      name,
+      role: 'student',
+    });
+
+    await user.save();
+
+    // A failing mailer should not block the signup itself
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Login endpoint
+router.post('/login', validate(schemas.auth.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email, deletedAt: null });
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    const isValidPassword = await user.comparePassword(password);
+    if (!isValidPassword) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (user.isSuspended()) {
+      return res.status(403).json(suspendedAccountResponse(user));
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new token pair. The used refresh token is
+// revoked; presenting an already revoked one revokes every session.
+router.post(
+  '/token/refresh',
+  validate(schemas.auth.refreshToken),
+  async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const tokenHash = hashToken(refreshToken);
+
+      // Revoke the token before issuing new ones, so it is exchanged once
+      // even when it is presented by concurrent requests
+      const stored = await RefreshToken.findOneAndUpdate(
+        {
+          tokenHash,
+          revokedAt: { $exists: false },
+          expiresAt: { $gt: new Date() },
+        },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+      if (!stored) {
+        const known = await RefreshToken.findOne({ tokenHash });
+        if (known && known.revokedAt && known.expiresAt > new Date()) {
+          await revokeUserSessions(known.userId);
+          return res
+            .status(401)
+            .json({ message: 'Refresh token reuse detected' });
+        }
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+
+      const user = await User.findOne({ _id: stored.userId, deletedAt: null });
+      if (!user) {
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+
+      if (user.isSuspended()) {
+        return res.status(403).json(suspendedAccountResponse(user));
+      }
+
+      const tokens = await issueTokens(user, req);
+      stored.replacedByHash = hashToken(tokens.refreshToken);
+      await stored.save();
+
+      res.json(tokens);
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Logout endpoint (revokes the given refresh token)
+router.post(
+  '/logout',
+  validate(schemas.auth.refreshToken),
+  async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      await RefreshToken.findOneAndUpdate(
+        { tokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+      );
+
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Log out from all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.userId);
+    res.json({ message: 'Logged out from all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Request a password reset email. The response never reveals whether the
+// email belongs to an account.
+router.post(
+  '/forgot-password',
+  validate(schemas.auth.forgotPassword),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const user = await User.findOne({ email, deletedAt: null });
+      if (user) {
+        await sendPasswordResetEmail(user);
+      }
+
+      res.json({
+        message: 'If the email is registered, a reset link has been sent',
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Reset password with a token from the reset email
+router.post(
+  '/reset-password',
+  validate(schemas.auth.resetPassword),
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const userToken = await consumeUserToken(token, 'password_reset');
+      if (!userToken) {
+        return res
+          .status(400)
+          .json({ message: 'Invalid or expired reset token' });
+      }
+
+      const user = await User.findById(userToken.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      user.password = password;
+      await user.save();
+      await revokeUserSessions(user._id);
+
+      res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Change password for the logged in user
+router.put(
+  '/change-password',
+  authenticateToken,
+  validate(schemas.auth.changePassword),
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const isValidPassword = await user.comparePassword(currentPassword);
+      if (!isValidPassword) {
+        return res
+          .status(401)
+          .json({ message: 'Current password is incorrect' });
+      }
+
+      user.password = newPassword;
+      await user.save();
+
+      // Sign out other devices but keep this one logged in
+      await revokeUserSessions(user._id);
+      const updatedUser = await User.findById(user._id);
+      const { token, refreshToken } = await issueTokens(updatedUser, req);
+
+      res.json({
+        message: 'Password changed successfully',
+        token,
+        refreshToken,
+      });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Verify email address with a token from the verification email
+router.post(
+  '/verify-email',
+  validate(schemas.auth.verifyEmail),
+  async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      const userToken = await consumeUserToken(token, 'email_verification');
+      if (!userToken) {
+        return res
+          .status(400)
+          .json({ message: 'Invalid or expired verification token' });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userToken.userId,
+        { emailVerified: true, emailVerifiedAt: new Date() },
+        { new: true }
+      );
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Send a new verification email
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get user profile
+router.get('/profile', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      createdAt: user.createdAt,
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create first admin (only if no admin exists). Disabled unless the
+// ADMIN_SETUP_TOKEN environment variable is set; the same value must be sent
+// in the X-Setup-Token header. Prefer `npm run create-admin`.
+function hasValidSetupToken(req) {
+  const expected = process.env.ADMIN_SETUP_TOKEN;
+  const provided = req.headers['x-setup-token'];
+  if (!expected || !provided) {
+    return false;
+  }
+
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(expectedHash, providedHash);
+}
+
+router.post(
+  '/setup-admin',
+  validate(schemas.auth.setupAdmin),
+  async (req, res) => {
+    try {
+      if (!hasValidSetupToken(req)) {
+        return res.status(403).json({ message: 'Invalid setup token' });
+      }
+
+      // Check if any admin exists; deleted admins do not count
+      const adminExists = await User.findOne({
+        role: 'admin',
+        deletedAt: null,
+      });
+      if (adminExists) {
+        return res.status(403).json({ message: 'Admin already exists' });
+      }
+
+      const { email, password, name } = req.body;
+
+      // Create admin user
+      const admin = new User({
+        email,
+        password,
+        name,
+        role: 'admin',
+      });
+
+      await grantRole(admin, 'admin', { source: 'bootstrap', req });
+
+      // Generate access and refresh tokens
+      const { token, refreshToken } = await issueTokens(admin, req);
+
+      res.status(201).json({
+        message: 'Admin created successfully',
+        token,
+        refreshToken,
+        user: {
+          id: admin._id,
+          email: admin.email,
+          name: admin.name,
+          role: admin.role,
+        },
+      });
+    } catch (error) {
+      console.error('Create admin error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
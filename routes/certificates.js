@@ -0,0 +1,116 @@
+const express = require('express');
+const Certificate = require('../models/Certificate');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  renderCertificateSvg,
+  renderCertificatePdf,
+} = require('../services/certificates');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Only the certificate holder and admins can view or download it
+function canAccessCertificate(certificate, user) {
+  return user.role === 'admin' || certificate.userId.toString() === user.userId;
+}
+
+// Get my certificates
+router.get('/certificates', authenticateToken, async (req, res) => {
+  try {
+    const certificates = await Certificate.find({
+      userId: req.user.userId,
+    }).sort({ issuedAt: -1 });
+    res.json(certificates);
+  } catch (error) {
+    console.error('Get certificates error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get(
+  '/certificates/:certificateId',
+  authenticateToken,
+  validate(schemas.certificates.byId),
+  async (req, res) => {
+    try {
+      const certificate = await Certificate.findOne({
+        certificateId: req.params.certificateId,
+      });
+      if (!certificate || !canAccessCertificate(certificate, req.user)) {
+        return res.status(404).json({ message: 'Certificate not found' });
+      }
+
+      res.json(certificate);
+    } catch (error) {
+      console.error('Get certificate error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Download a certificate as PDF (default) or SVG
+router.get(
+  '/certificates/:certificateId/download',
+  authenticateToken,
+  validate(schemas.certificates.download),
+  async (req, res) => {
+    try {
+      const certificate = await Certificate.findOne({
+        certificateId: req.params.certificateId,
+      });
+      if (!certificate || !canAccessCertificate(certificate, req.user)) {
+        return res.status(404).json({ message: 'Certificate not found' });
+      }
+
+      const { format } = req.query;
+      const filename = `certificate-${certificate.certificateId}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'svg') {
+        return res
+          .type('image/svg+xml')
+          .send(renderCertificateSvg(certificate));
+      }
+
+      res.type('application/pdf').send(await renderCertificatePdf(certificate));
+    } catch (error) {
+      console.error('Download certificate error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Public verification, e.g. for employers. Exposes only what is printed on
+// the certificate itself.
+router.get(
+  '/certificates/:certificateId/verify',
+  validate(schemas.certificates.byId),
+  async (req, res) => {
+    try {
+      const certificate = await Certificate.findOne({
+        certificateId: req.params.certificateId,
+      });
+      if (!certificate) {
+        return res
+          .status(404)
+          .json({ valid: false, message: 'Certificate not found' });
+      }
+
+      res.json({
+        valid: true,
+        certificateId: certificate.certificateId,
+        studentName: certificate.studentName,
+        courseTitle: certificate.courseTitle,
+        teacherName: certificate.teacherName,
+        completedAt: certificate.completedAt,
+        issuedAt: certificate.issuedAt,
+      });
+    } catch (error) {
+      console.error('Verify certificate error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,317 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const {
+  authenticateToken,
+  optionalAuthenticateToken,
+  isTeacher,
+  isTeacherOrAdmin,
+} = require('../middleware/auth');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { parsePagination, paginatedResponse } = require('../utils/query');
+const { canManageCourse, deleteCourseCascade } = require('../services/courses');
+const { deleteMediaForEntities } = require('../services/media');
+const { getLessonViewer, canViewCourse } = require('../services/lessons');
+const {
+  auditSnapshot,
+  recordChange,
+  recordRemoval,
+} = require('../services/audit');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+const COURSE_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  rating: { averageRating: -1, reviewCount: -1, createdAt: -1 },
+  popularity: { enrollmentCount: -1, createdAt: -1 },
+  relevance: { score: -1, createdAt: -1 },
+  featured: { featured: -1, featuredAt: -1, createdAt: -1 },
+};
+
+// Adds enrollmentCount, the number of students who have not cancelled.
+// Only the listed page is counted unless the catalog is sorted by it.
+const countEnrollments = [
+  {
+    $lookup: {
+      from: Enrollment.collection.name,
+      localField: '_id',
+      foreignField: 'courseId',
+      pipeline: [
+        { $match: { status: { $ne: 'cancelled' } } },
+        { $count: 'count' },
+      ],
+      as: 'enrollmentCount',
+    },
+  },
+  {
+    $addFields: {
+      enrollmentCount: {
+        $ifNull: [{ $first: '$enrollmentCount.count' }, 0],
+      },
+    },
+  },
+];
+
+// See canViewCourse for who can open unpublished courses
+async function canSeeCourse(course, user) {
+  return (
+    course.published ||
+    canViewCourse(course, await getLessonViewer(course, user))
+  );
+}
+
+// Search, filter, sort and paginate the course catalog. Unpublished courses
+// are listed for admins, and for teachers browsing their own courses.
+router.get(
+  '/courses',
+  optionalAuthenticateToken,
+  validate(schemas.courses.list),
+  async (req, res) => {
+    try {
+      const {
+        teacherId,
+        search,
+        category,
+        level,
+        minPrice,
+        maxPrice,
+        featured,
+        published,
+      } = req.query;
+      const sort = req.query.sort || (search ? 'relevance' : 'newest');
+
+      if (sort === 'relevance' && !search) {
+        return sendValidationError(res, [
+          {
+            location: 'query',
+            field: 'sort',
+            code: 'INVALID_OPTION',
+            message: 'relevance sort requires a search term',
+          },
+        ]);
+      }
+
+      const match = {};
+      if (search) {
+        match.$text = { $search: search };
+      }
+      if (teacherId) {
+        match.teacherId = new mongoose.Types.ObjectId(teacherId);
+      }
+      const listsUnpublished =
+        req.user &&
+        (req.user.role === 'admin' || teacherId === req.user.userId);
+      if (!listsUnpublished) {
+        match.published = { $ne: false };
+      } else if (published !== undefined) {
+        match.published = published ? { $ne: false } : false;
+      }
+      if (featured !== undefined) {
+        match.featured = featured ? true : { $ne: true };
+      }
+      if (category) {
+        match.category = category;
+      }
+      if (level) {
+        match.level = level;
+      }
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        match.price = {};
+        if (minPrice !== undefined) {
+          match.price.$gte = minPrice;
+        }
+        if (maxPrice !== undefined) {
+          match.price.$lte = maxPrice;
+        }
+      }
+
+      const pagination = parsePagination(req.query);
+
+      const [result] = await Course.aggregate([
+        { $match: match },
+        ...(search ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        ...(sort === 'popularity' ? countEnrollments : []),
+        {
+          $facet: {
+            data: [
+              { $sort: COURSE_SORTS[sort] },
+              { $skip: pagination.skip },
+              { $limit: pagination.limit },
+              ...(sort === 'popularity' ? [] : countEnrollments),
+              {
+                $lookup: {
+                  from: User.collection.name,
+                  localField: 'teacherId',
+                  foreignField: '_id',
+                  pipeline: [{ $project: { name: 1, email: 1 } }],
+                  as: 'teacherId',
+                },
+              },
+              {
+                $unwind: {
+                  path: '$teacherId',
+                  preserveNullAndEmptyArrays: true,
+                },
+              },
+            ],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]);
+
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+      res.json(paginatedResponse(result.data, total, pagination));
+    } catch (error) {
+      console.error('Get courses error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Get course by ID
+router.get(
+  '/courses/:id',
+  optionalAuthenticateToken,
+  validate(schemas.courses.get),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const course = await Course.findById(id);
+      if (!course || !(await canSeeCourse(course, req.user))) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      await course.populate('teacherId', 'name email');
+      res.json(course);
+    } catch (error) {
+      console.error('Get course error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.post(
+  '/courses',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.courses.create),
+  async (req, res) => {
+    try {
+      const course = new Course({
+        ...req.body,
+        teacherId: req.user.userId,
+      });
+      await course.save();
+      await recordChange(req, 'course.create', course);
+      res.status(201).json(course);
+    } catch (error) {
+      console.error('Create course error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Update course (owning teacher or admin)
+async function updateCourse(req, res) {
+  try {
+    const { id } = req.params;
+
+    const course = await Course.findById(id);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!canManageCourse(course, req.user)) {
+      return res
+        .status(403)
+        .json({ message: 'You can only modify your own courses' });
+    }
+
+    const before = auditSnapshot(course);
+
+    // Linking an external image replaces an uploaded one
+    const replacesUpload = Boolean(
+      course.thumbnail && req.body.image && req.body.image !== course.image
+    );
+    course.set(req.body);
+    if (replacesUpload) {
+      course.thumbnail = '';
+    }
+
+    const validationError = course.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        message: 'Validation error',
+        error: validationError.message,
+      });
+    }
+
+    await course.save();
+    await recordChange(req, 'course.update', course, before);
+    if (replacesUpload) {
+      await deleteMediaForEntities('Course', [course._id], 'course_image');
+    }
+    await course.populate('teacherId', 'name email');
+    res.json(course);
+  } catch (error) {
+    console.error('Update course error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+router.put(
+  '/courses/:id',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.courses.update),
+  updateCourse
+);
+router.patch(
+  '/courses/:id',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.courses.update),
+  updateCourse
+);
+
+// Delete course with its sections, lessons, homework, quizzes, enrollments,
+// reviews, favorites and applications (owning teacher or admin)
+router.delete(
+  '/courses/:id',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.courses.remove),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const course = await Course.findById(id);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only delete your own courses' });
+      }
+
+      await deleteCourseCascade(course);
+      await recordRemoval(req, 'course.delete', course);
+
+      res.json({ message: 'Course deleted successfully' });
+    } catch (error) {
+      console.error('Delete course error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,600 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const DiscussionThread = require('../models/DiscussionThread');
+const DiscussionReply = require('../models/DiscussionReply');
+const {
+  authenticateToken,
+  isTeacher,
+  isTeacherOrAdmin,
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { parsePagination, paginatedResponse } = require('../utils/query');
+const { canManageCourse } = require('../services/courses');
+const {
+  getLessonAccess,
+  lockedLessonResponse,
+} = require('../services/lessons');
+const {
+  getDiscussionViewer,
+  findThreadWithCourse,
+  findReplyWithThread,
+  resolveMentions,
+  refreshThreadStats,
+  setUpvote,
+  presentPost,
+} = require('../services/discussions');
+const {
+  notifyDiscussionReply,
+  notifyDiscussionMentions,
+} = require('../services/notifications');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+const NOT_A_MEMBER =
+  'Only enrolled students and the course teacher can take part in its discussions';
+
+const THREAD_SORTS = {
+  recent: { lastActivityAt: -1 },
+  newest: { createdAt: -1 },
+  top: { upvoteCount: -1, lastActivityAt: -1 },
+};
+
+// List the threads of a course, or of one of its lessons (members only)
+router.get(
+  '/courses/:courseId/discussions',
+  authenticateToken,
+  validate(schemas.discussions.list),
+  async (req, res) => {
+    try {
+      const { lessonId, unanswered, sort = 'recent' } = req.query;
+
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!(await getDiscussionViewer(course, req.user))) {
+        return res.status(403).json({ message: NOT_A_MEMBER });
+      }
+
+      const filter = { courseId: course._id };
+      if (lessonId) {
+        filter.lessonId = lessonId;
+      }
+      if (unanswered !== undefined) {
+        filter.answered = !unanswered;
+      }
+
+      const pagination = parsePagination(req.query);
+
+      const [threads, total] = await Promise.all([
+        DiscussionThread.find(filter)
+          .populate('authorId', 'name')
+          .sort(THREAD_SORTS[sort])
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        DiscussionThread.countDocuments(filter),
+      ]);
+
+      res.json(
+        paginatedResponse(
+          threads.map((thread) => presentPost(thread, req.user)),
+          total,
+          pagination
+        )
+      );
+    } catch (error) {
+      console.error('Get discussions error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Start a thread in a course, optionally about one of its lessons. Students
+// can only discuss lessons they can open.
+router.post(
+  '/courses/:courseId/discussions',
+  authenticateToken,
+  validate(schemas.discussions.create),
+  async (req, res) => {
+    try {
+      const { title, body, lessonId, mentions } = req.body;
+
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      const viewer = await getDiscussionViewer(course, req.user);
+      if (!viewer) {
+        return res.status(403).json({ message: NOT_A_MEMBER });
+      }
+
+      if (lessonId) {
+        const lesson = await Lesson.findOne({
+          _id: lessonId,
+          courseId: course._id,
+        });
+        if (!lesson) {
+          return res.status(404).json({ message: 'Lesson not found' });
+        }
+
+        const access = getLessonAccess(lesson, viewer);
+        if (access.locked) {
+          return res.status(403).json(lockedLessonResponse(access));
+        }
+      }
+
+      const thread = new DiscussionThread({
+        courseId: course._id,
+        lessonId,
+        authorId: req.user.userId,
+        title,
+        body,
+        mentions: await resolveMentions(course, mentions, req.user.userId),
+      });
+      await thread.save();
+      await notifyDiscussionMentions(thread, thread, course);
+
+      res.status(201).json(presentPost(thread, req.user));
+    } catch (error) {
+      console.error('Create discussion error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Questions in the current teacher's courses that they have neither
+// replied to nor accepted an answer for, longest waiting first
+router.get(
+  '/discussions/unanswered',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.discussions.unanswered),
+  async (req, res) => {
+    try {
+      const courseFilter = { teacherId: req.user.userId };
+      if (req.query.courseId) {
+        courseFilter._id = req.query.courseId;
+      }
+      const courseIds = await Course.find(courseFilter).distinct('_id');
+
+      const filter = {
+        courseId: { $in: courseIds },
+        answered: false,
+        authorId: { $ne: req.user.userId },
+      };
+      const pagination = parsePagination(req.query);
+
+      const [threads, total] = await Promise.all([
+        DiscussionThread.find(filter)
+          .populate('authorId', 'name')
+          .populate('courseId', 'title')
+          .populate('lessonId', 'title')
+          .sort({ createdAt: 1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        DiscussionThread.countDocuments(filter),
+      ]);
+
+      res.json(
+        paginatedResponse(
+          threads.map((thread) => presentPost(thread, req.user)),
+          total,
+          pagination
+        )
+      );
+    } catch (error) {
+      console.error('Get unanswered discussions error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Get a thread with its replies in order
+router.get(
+  '/discussions/:threadId',
+  authenticateToken,
+  validate(schemas.discussions.byId),
+  async (req, res) => {
+    try {
+      const result = await findThreadWithCourse(req.params.threadId);
+      if (!result) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+      const { thread, course } = result;
+
+      if (!(await getDiscussionViewer(course, req.user))) {
+        return res.status(403).json({ message: NOT_A_MEMBER });
+      }
+
+      const [, replies] = await Promise.all([
+        thread.populate('authorId', 'name'),
+        DiscussionReply.find({ threadId: thread._id })
+          .populate('authorId', 'name')
+          .sort({ createdAt: 1 }),
+      ]);
+
+      res.json({
+        ...presentPost(thread, req.user),
+        replies: replies.map((reply) => presentPost(reply, req.user)),
+      });
+    } catch (error) {
+      console.error('Get discussion error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Edit own thread. Only users newly mentioned are notified.
+router.put(
+  '/discussions/:threadId',
+  authenticateToken,
+  validate(schemas.discussions.update),
+  async (req, res) => {
+    try {
+      const result = await findThreadWithCourse(req.params.threadId);
+      if (!result) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+      const { thread, course } = result;
+
+      if (thread.authorId.toString() !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'You can only edit your own discussions' });
+      }
+
+      const { title, body, mentions } = req.body;
+      const previousMentions = thread.mentions.map(String);
+      if (title !== undefined) {
+        thread.title = title;
+      }
+      if (body !== undefined) {
+        thread.body = body;
+      }
+      if (mentions !== undefined) {
+        thread.mentions = await resolveMentions(
+          course,
+          mentions,
+          req.user.userId
+        );
+      }
+      thread.updatedAt = Date.now();
+      await thread.save();
+
+      await notifyDiscussionMentions(
+        {
+          authorId: thread.authorId,
+          mentions: thread.mentions.filter(
+            (userId) => !previousMentions.includes(userId.toString())
+          ),
+        },
+        thread,
+        course
+      );
+
+      res.json(presentPost(thread, req.user));
+    } catch (error) {
+      console.error('Update discussion error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Delete a thread and its replies (author, course teacher or admin)
+router.delete(
+  '/discussions/:threadId',
+  authenticateToken,
+  validate(schemas.discussions.byId),
+  async (req, res) => {
+    try {
+      const result = await findThreadWithCourse(req.params.threadId);
+      if (!result) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+      const { thread, course } = result;
+
+      if (
+        thread.authorId.toString() !== req.user.userId &&
+        !canManageCourse(course, req.user)
+      ) {
+        return res
+          .status(403)
+          .json({ message: 'You can only delete your own discussions' });
+      }
+
+      await DiscussionReply.deleteMany({ threadId: thread._id });
+      await thread.deleteOne();
+
+      res.json({ message: 'Discussion deleted successfully' });
+    } catch (error) {
+      console.error('Delete discussion error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Upvote a thread, or withdraw the upvote
+function upvoteThread(upvoted) {
+  return async (req, res) => {
+    try {
+      const result = await findThreadWithCourse(req.params.threadId);
+      if (!result) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+      const { thread, course } = result;
+
+      if (!(await getDiscussionViewer(course, req.user))) {
+        return res.status(403).json({ message: NOT_A_MEMBER });
+      }
+      if (upvoted && thread.authorId.toString() === req.user.userId) {
+        return res
+          .status(400)
+          .json({ message: 'You cannot upvote your own discussion' });
+      }
+
+      const updated = await setUpvote(
+        DiscussionThread,
+        thread._id,
+        req.user.userId,
+        upvoted
+      );
+      res.json(presentPost(updated, req.user));
+    } catch (error) {
+      console.error('Upvote discussion error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+router.put(
+  '/discussions/:threadId/upvote',
+  authenticateToken,
+  validate(schemas.discussions.byId),
+  upvoteThread(true)
+);
+
+router.delete(
+  '/discussions/:threadId/upvote',
+  authenticateToken,
+  validate(schemas.discussions.byId),
+  upvoteThread(false)
+);
+
+// Reply to a thread (members only). Replies from the course teacher or an
+// admin answer the question.
+router.post(
+  '/discussions/:threadId/replies',
+  authenticateToken,
+  validate(schemas.discussions.createReply),
+  async (req, res) => {
+    try {
+      const result = await findThreadWithCourse(req.params.threadId);
+      if (!result) {
+        return res.status(404).json({ message: 'Discussion not found' });
+      }
+      const { thread, course } = result;
+
+      const viewer = await getDiscussionViewer(course, req.user);
+      if (!viewer) {
+        return res.status(403).json({ message: NOT_A_MEMBER });
+      }
+
+      const reply = new DiscussionReply({
+        threadId: thread._id,
+        courseId: course._id,
+        authorId: req.user.userId,
+        body: req.body.body,
+        fromInstructor: viewer.canManage,
+        mentions: await resolveMentions(
+          course,
+          req.body.mentions,
+          req.user.userId
+        ),
+      });
+      await reply.save();
+
+      thread.lastActivityAt = reply.createdAt;
+      await refreshThreadStats(thread);
+      await notifyDiscussionReply(thread, reply, course);
+      await notifyDiscussionMentions(reply, thread, course);
+
+      res.status(201).json(presentPost(reply, req.user));
+    } catch (error) {
+      console.error('Create discussion reply error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Edit own reply. Only users newly mentioned are notified.
+router.put(
+  '/discussionReplies/:replyId',
+  authenticateToken,
+  validate(schemas.discussions.updateReply),
+  async (req, res) => {
+    try {
+      const result = await findReplyWithThread(req.params.replyId);
+      if (!result) {
+        return res.status(404).json({ message: 'Reply not found' });
+      }
+      const { reply, thread, course } = result;
+
+      if (reply.authorId.toString() !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'You can only edit your own replies' });
+      }
+
+      const { body, mentions } = req.body;
+      const previousMentions = reply.mentions.map(String);
+      if (body !== undefined) {
+        reply.body = body;
+      }
+      if (mentions !== undefined) {
+        reply.mentions = await resolveMentions(
+          course,
+          mentions,
+          req.user.userId
+        );
+      }
+      reply.updatedAt = Date.now();
+      await reply.save();
+
+      await notifyDiscussionMentions(
+        {
+          authorId: reply.authorId,
+          mentions: reply.mentions.filter(
+            (userId) => !previousMentions.includes(userId.toString())
+          ),
+        },
+        thread,
+        course
+      );
+
+      res.json(presentPost(reply, req.user));
+    } catch (error) {
+      console.error('Update discussion reply error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Delete a reply (author, course teacher or admin)
+router.delete(
+  '/discussionReplies/:replyId',
+  authenticateToken,
+  validate(schemas.discussions.replyById),
+  async (req, res) => {
+    try {
+      const result = await findReplyWithThread(req.params.replyId);
+      if (!result) {
+        return res.status(404).json({ message: 'Reply not found' });
+      }
+      const { reply, thread, course } = result;
+
+      if (
+        reply.authorId.toString() !== req.user.userId &&
+        !canManageCourse(course, req.user)
+      ) {
+        return res
+          .status(403)
+          .json({ message: 'You can only delete your own replies' });
+      }
+
+      await reply.deleteOne();
+      if (thread.acceptedReplyId && thread.acceptedReplyId.equals(reply._id)) {
+        thread.acceptedReplyId = undefined;
+      }
+      await refreshThreadStats(thread);
+
+      res.json({ message: 'Reply deleted successfully' });
+    } catch (error) {
+      console.error('Delete discussion reply error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Upvote a reply, or withdraw the upvote
+function upvoteReply(upvoted) {
+  return async (req, res) => {
+    try {
+      const result = await findReplyWithThread(req.params.replyId);
+      if (!result) {
+        return res.status(404).json({ message: 'Reply not found' });
+      }
+      const { reply, course } = result;
+
+      if (!(await getDiscussionViewer(course, req.user))) {
+        return res.status(403).json({ message: NOT_A_MEMBER });
+      }
+      if (upvoted && reply.authorId.toString() === req.user.userId) {
+        return res
+          .status(400)
+          .json({ message: 'You cannot upvote your own reply' });
+      }
+
+      const updated = await setUpvote(
+        DiscussionReply,
+        reply._id,
+        req.user.userId,
+        upvoted
+      );
+      res.json(presentPost(updated, req.user));
+    } catch (error) {
+      console.error('Upvote discussion reply error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+router.put(
+  '/discussionReplies/:replyId/upvote',
+  authenticateToken,
+  validate(schemas.discussions.replyById),
+  upvoteReply(true)
+);
+
+router.delete(
+  '/discussionReplies/:replyId/upvote',
+  authenticateToken,
+  validate(schemas.discussions.replyById),
+  upvoteReply(false)
+);
+
+// Mark a reply as the accepted answer, or unmark it (owning teacher or
+// admin). A thread has at most one accepted answer.
+function acceptReply(accepted) {
+  return async (req, res) => {
+    try {
+      const result = await findReplyWithThread(req.params.replyId);
+      if (!result) {
+        return res.status(404).json({ message: 'Reply not found' });
+      }
+      const { reply, thread, course } = result;
+
+      if (!canManageCourse(course, req.user)) {
+        return res.status(403).json({
+          message: 'You can only accept answers in your own courses',
+        });
+      }
+
+      if (accepted) {
+        thread.acceptedReplyId = reply._id;
+      } else if (
+        thread.acceptedReplyId &&
+        thread.acceptedReplyId.equals(reply._id)
+      ) {
+        thread.acceptedReplyId = undefined;
+      }
+      await refreshThreadStats(thread);
+
+      res.json(presentPost(thread, req.user));
+    } catch (error) {
+      console.error('Accept discussion reply error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+router.put(
+  '/discussionReplies/:replyId/accept',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.discussions.replyById),
+  acceptReply(true)
+);
+
+router.delete(
+  '/discussionReplies/:replyId/accept',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.discussions.replyById),
+  acceptReply(false)
+);
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const LessonProgress = require('../models/LessonProgress');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  hasEnrollmentApproval,
+  activateEnrollment,
+} = require('../services/enrollments');
+const {
+  getLessonAvailability,
+  getCourseCurriculum,
+} = require('../services/lessons');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Enrollment endpoints
+router.post(
+  '/enrollments',
+  authenticateToken,
+  validate(schemas.enrollments.create),
+  async (req, res) => {
+    try {
+      const { courseId } = req.body;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!course.published) {
+        return res
+          .status(403)
+          .json({ message: 'This course is not open for enrollment' });
+      }
+
+      if (!(await hasEnrollmentApproval(req.user.userId, course))) {
+        return res.status(403).json({
+          message: 'An approved application is required for this course',
+        });
+      }
+
+      // Paid courses are enrolled through the checkout flow
+      if (course.price > 0) {
+        return res
+          .status(402)
+          .json({ message: 'Payment is required to enroll in this course' });
+      }
+
+      const existing = await Enrollment.findOne({
+        userId: req.user.userId,
+        courseId,
+        status: { $ne: 'cancelled' },
+      });
+      if (existing) {
+        return res
+          .status(400)
+          .json({ message: 'Already enrolled in this course' });
+      }
+
+      // Students who cancelled earlier get their enrollment back
+      const enrollment = await activateEnrollment(req.user.userId, courseId);
+      res.status(201).json(enrollment);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(400)
+          .json({ message: 'Already enrolled in this course' });
+      }
+      console.error('Enrollment error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.get('/enrollments', authenticateToken, async (req, res) => {
+  try {
+    const enrollments = await Enrollment.find({
+      userId: req.user.userId,
+    }).populate('courseId');
+    res.json(enrollments);
+  } catch (error) {
+    console.error('Get enrollments error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get per-lesson and per-quiz progress for an enrollment
+router.get(
+  '/enrollments/:enrollmentId/progress',
+  authenticateToken,
+  validate(schemas.enrollments.progress),
+  async (req, res) => {
+    try {
+      const { enrollmentId } = req.params;
+
+      const enrollment = await Enrollment.findById(enrollmentId);
+      if (!enrollment) {
+        return res.status(404).json({ message: 'Enrollment not found' });
+      }
+
+      if (enrollment.userId.toString() !== req.user.userId) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const { lessons } = await getCourseCurriculum(enrollment.courseId);
+      const progressRecords = await LessonProgress.find({
+        userId: enrollment.userId,
+        courseId: enrollment.courseId,
+      });
+
+      const lessonsProgress = lessons.map((lesson) => {
+        const record = progressRecords.find(
+          (item) => item.lessonId.toString() === lesson._id.toString()
+        );
+
+        return {
+          lessonId: lesson._id,
+          lessonTitle: lesson.title,
+          lessonOrder: lesson.order,
+          sectionId: lesson.sectionId || null,
+          ...getLessonAvailability(lesson, enrollment),
+          completed: record ? record.completed : false,
+          completedAt: record ? record.completedAt : null,
+          lastPosition: record ? record.lastPosition : 0,
+        };
+      });
+
+      const quizzes = await Quiz.find({ courseId: enrollment.courseId })
+        .select('title lessonId passingScore')
+        .sort({ createdAt: 1 });
+      const attempts = await QuizAttempt.find({
+        userId: enrollment.userId,
+        quizId: { $in: quizzes.map((quiz) => quiz._id) },
+        status: 'submitted',
+      });
+
+      const quizzesProgress = quizzes.map((quiz) => {
+        const quizAttempts = attempts.filter((attempt) =>
+          attempt.quizId.equals(quiz._id)
+        );
+
+        return {
+          quizId: quiz._id,
+          quizTitle: quiz.title,
+          lessonId: quiz.lessonId,
+          attempts: quizAttempts.length,
+          bestScore: quizAttempts.reduce(
+            (best, attempt) => Math.max(best, attempt.percentage),
+            0
+          ),
+          passed: quizAttempts.some((attempt) => attempt.passed),
+        };
+      });
+
+      res.json({
+        enrollmentId: enrollment._id,
+        status: enrollment.status,
+        progress: enrollment.progress,
+        quizScore: enrollment.quizScore,
+        completedAt: enrollment.completedAt || null,
+        lessons: lessonsProgress,
+        quizzes: quizzesProgress,
+      });
+    } catch (error) {
+      console.error('Get enrollment progress error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
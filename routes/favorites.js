@@ -0,0 +1,77 @@
+const express = require('express');
+const Favorite = require('../models/Favorite');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Add course to favorites
+router.post(
+  '/favorites',
+  authenticateToken,
+  validate(schemas.favorites.add),
+  async (req, res) => {
+    try {
+      const { courseId } = req.body;
+      const userId = req.user.userId;
+
+      const favorite = new Favorite({
+        userId,
+        courseId,
+      });
+
+      await favorite.save();
+
+      const userFavorites = await Favorite.find({ userId });
+      res.json({
+        message: 'Course added to favorites',
+        favorites: userFavorites.map((f) => f.courseId),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Course already in favorites' });
+      }
+      console.error('Add to favorites error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Remove course from favorites
+router.delete(
+  '/favorites/:courseId',
+  authenticateToken,
+  validate(schemas.favorites.remove),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+      const userId = req.user.userId;
+
+      await Favorite.findOneAndDelete({ userId, courseId });
+
+      const userFavorites = await Favorite.find({ userId });
+      res.json({
+        message: 'Course removed from favorites',
+        favorites: userFavorites.map((f) => f.courseId),
+      });
+    } catch (error) {
+      console.error('Remove from favorites error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Get user's favorites
+router.get('/favorites', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const favorites = await Favorite.find({ userId });
+    res.json(favorites.map((f) => f.courseId));
+  } catch (error) {
+    console.error('Get favorites error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,479 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Enrollment = require('../models/Enrollment');
+const Homework = require('../models/Homework');
+const HomeworkSubmission = require('../models/HomeworkSubmission');
+const {
+  authenticateToken,
+  optionalAuthenticateToken,
+  isTeacher,
+  isTeacherOrAdmin,
+} = require('../middleware/auth');
+const { validate, sendValidationError } = require('../middleware/validate');
+const {
+  canManageCourse,
+  deleteHomeworkCascade,
+  findHomeworkWithCourse,
+} = require('../services/courses');
+const {
+  getLessonAccess,
+  resolveLessonAccess,
+  lockedLessonResponse,
+} = require('../services/lessons');
+const { publishToUser } = require('../services/realtime');
+const {
+  auditSnapshot,
+  recordChange,
+  recordRemoval,
+} = require('../services/audit');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Homework endpoints
+router.get(
+  '/lessons/:lessonId/homework',
+  optionalAuthenticateToken,
+  validate(schemas.homework.listByLesson),
+  async (req, res) => {
+    try {
+      const lesson = await Lesson.findById(req.params.lessonId);
+      if (!lesson) {
+        return res.status(404).json({ message: 'Lesson not found' });
+      }
+
+      const result = await resolveLessonAccess(lesson, req.user);
+      if (!result) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+      if (result.access.locked) {
+        return res.status(403).json(lockedLessonResponse(result.access));
+      }
+
+      const homework = await Homework.find({ lessonId: lesson._id });
+      res.json(homework);
+    } catch (error) {
+      console.error('Get homework error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.post(
+  '/homework',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.homework.create),
+  async (req, res) => {
+    try {
+      const { lessonId } = req.body;
+
+      const lesson = await Lesson.findById(lessonId);
+      if (!lesson) {
+        return res.status(404).json({ message: 'Lesson not found' });
+      }
+
+      const course = await Course.findById(lesson.courseId);
+      if (!course || !canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only add homework to your own courses' });
+      }
+
+      const homework = new Homework(req.body);
+      await homework.save();
+      await recordChange(req, 'homework.create', homework);
+      res.status(201).json(homework);
+    } catch (error) {
+      console.error('Create homework error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Update homework (owning teacher or admin)
+async function updateHomework(req, res) {
+  try {
+    const result = await findHomeworkWithCourse(req.params.homeworkId);
+    if (!result) {
+      return res.status(404).json({ message: 'Homework not found' });
+    }
+    const { homework, course } = result;
+
+    if (!canManageCourse(course, req.user)) {
+      return res
+        .status(403)
+        .json({ message: 'You can only modify homework of your own courses' });
+    }
+
+    const before = auditSnapshot(homework);
+    homework.set(req.body);
+
+    const validationError = homework.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        message: 'Validation error',
+        error: validationError.message,
+      });
+    }
+
+    await homework.save();
+    await recordChange(req, 'homework.update', homework, before);
+    res.json(homework);
+  } catch (error) {
+    console.error('Update homework error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+router.put(
+  '/homework/:homeworkId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.homework.update),
+  updateHomework
+);
+router.patch(
+  '/homework/:homeworkId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.homework.update),
+  updateHomework
+);
+
+// Delete homework with its submissions (owning teacher or admin)
+router.delete(
+  '/homework/:homeworkId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.homework.remove),
+  async (req, res) => {
+    try {
+      const result = await findHomeworkWithCourse(req.params.homeworkId);
+      if (!result) {
+        return res.status(404).json({ message: 'Homework not found' });
+      }
+
+      if (!canManageCourse(result.course, req.user)) {
+        return res.status(403).json({
+          message: 'You can only delete homework of your own courses',
+        });
+      }
+
+      await deleteHomeworkCascade([result.homework._id]);
+      await recordRemoval(req, 'homework.delete', result.homework);
+
+      res.json({ message: 'Homework deleted successfully' });
+    } catch (error) {
+      console.error('Delete homework error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Homework submission endpoints
+router.post(
+  '/homework/:homeworkId/submissions',
+  authenticateToken,
+  validate(schemas.homework.submit),
+  async (req, res) => {
+    try {
+      const { content, attachments } = req.body;
+
+      const result = await findHomeworkWithCourse(req.params.homeworkId);
+      if (!result) {
+        return res.status(404).json({ message: 'Homework not found' });
+      }
+      const { homework, course } = result;
+
+      // Only students with an active enrollment can hand in homework
+      const enrollment = await Enrollment.findOne({
+        userId: req.user.userId,
+        courseId: course._id,
+        status: { $ne: 'cancelled' },
+      });
+      if (!enrollment) {
+        return res
+          .status(403)
+          .json({ message: 'You are not enrolled in this course' });
+      }
+
+      const access = getLessonAccess(result.lesson, {
+        canManage: false,
+        enrollment,
+      });
+      if (access.locked) {
+        return res.status(403).json(lockedLessonResponse(access));
+      }
+
+      const submittedAt = new Date();
+      const submission = new HomeworkSubmission({
+        homeworkId: homework._id,
+        userId: req.user.userId,
+        enrollmentId: enrollment._id,
+        content,
+        attachments: attachments || [],
+        isLate: submittedAt > homework.dueDate,
+        submittedAt,
+      });
+      await submission.save();
+
+      res.status(201).json(submission);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(400)
+          .json({ message: 'Homework already submitted, resubmit instead' });
+      }
+      console.error('Submit homework error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.get(
+  '/homework/:homeworkId/submissions',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.homework.listSubmissions),
+  async (req, res) => {
+    try {
+      const result = await findHomeworkWithCourse(req.params.homeworkId);
+      if (!result) {
+        return res.status(404).json({ message: 'Homework not found' });
+      }
+
+      if (result.course.teacherId.toString() !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'You can only view submissions for your courses' });
+      }
+
+      const submissions = await HomeworkSubmission.find({
+        homeworkId: result.homework._id,
+      })
+        .populate('userId', 'name email')
+        .sort({ submittedAt: -1 });
+
+      res.json(submissions);
+    } catch (error) {
+      console.error('Get submissions error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.get(
+  '/submissions/:submissionId',
+  authenticateToken,
+  validate(schemas.homework.getSubmission),
+  async (req, res) => {
+    try {
+      const { submissionId } = req.params;
+
+      const submission = await HomeworkSubmission.findById(submissionId);
+      if (!submission) {
+        return res.status(404).json({ message: 'Submission not found' });
+      }
+
+      const result = await findHomeworkWithCourse(submission.homeworkId);
+      const isOwner = submission.userId.toString() === req.user.userId;
+      const isCourseTeacher =
+        result && result.course.teacherId.toString() === req.user.userId;
+
+      if (!isOwner && !isCourseTeacher) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      res.json(submission);
+    } catch (error) {
+      console.error('Get submission error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Resubmit homework (only before it has been graded)
+router.put(
+  '/submissions/:submissionId',
+  authenticateToken,
+  validate(schemas.homework.resubmit),
+  async (req, res) => {
+    try {
+      const { submissionId } = req.params;
+      const { content, attachments } = req.body;
+
+      const submission = await HomeworkSubmission.findById(submissionId);
+      if (!submission) {
+        return res.status(404).json({ message: 'Submission not found' });
+      }
+
+      if (submission.userId.toString() !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'You can only resubmit your own homework' });
+      }
+
+      if (submission.status === 'graded') {
+        return res
+          .status(400)
+          .json({ message: 'Graded homework cannot be resubmitted' });
+      }
+
+      const homework = await Homework.findById(submission.homeworkId);
+      if (!homework) {
+        return res.status(404).json({ message: 'Homework not found' });
+      }
+
+      const submittedAt = new Date();
+      submission.content = content;
+      submission.attachments = attachments || submission.attachments;
+      submission.isLate = submittedAt > homework.dueDate;
+      submission.submittedAt = submittedAt;
+      submission.attempts += 1;
+      await submission.save();
+
+      res.json(submission);
+    } catch (error) {
+      console.error('Resubmit homework error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Grade a submission (only by the teacher who owns the course)
+router.put(
+  '/submissions/:submissionId/grade',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.homework.grade),
+  async (req, res) => {
+    try {
+      const { submissionId } = req.params;
+      const { score, feedback } = req.body;
+
+      const submission = await HomeworkSubmission.findById(submissionId);
+      if (!submission) {
+        return res.status(404).json({ message: 'Submission not found' });
+      }
+
+      const result = await findHomeworkWithCourse(submission.homeworkId);
+      if (!result) {
+        return res.status(404).json({ message: 'Homework not found' });
+      }
+
+      if (result.course.teacherId.toString() !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'You can only grade submissions for your courses' });
+      }
+
+      if (score > result.homework.maxScore) {
+        return sendValidationError(res, [
+          {
+            location: 'body',
+            field: 'score',
+            code: 'TOO_LARGE',
+            message: `score must be less than or equal to ${result.homework.maxScore}`,
+          },
+        ]);
+      }
+
+      submission.score = score;
+      submission.feedback = feedback || '';
+      submission.status = 'graded';
+      submission.gradedBy = req.user.userId;
+      submission.gradedAt = Date.now();
+      await submission.save();
+
+      publishToUser(submission.userId, 'homework.graded', {
+        submissionId: submission._id,
+        homeworkId: submission.homeworkId,
+        homeworkTitle: result.homework.title,
+        courseId: result.course._id,
+        score: submission.score,
+        maxScore: result.homework.maxScore,
+        feedback: submission.feedback,
+      });
+
+      res.json(submission);
+    } catch (error) {
+      console.error('Grade submission error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Get homework and submission status by enrollment ID
+router.get(
+  '/homework',
+  authenticateToken,
+  validate(schemas.homework.listByEnrollment),
+  async (req, res) => {
+    try {
+      const { enrollmentId } = req.query;
+
+      // First get the enrollment to get the courseId
+      const enrollment = await Enrollment.findById(enrollmentId);
+      if (!enrollment) {
+        return res.status(404).json({ message: 'Enrollment not found' });
+      }
+
+      // Only the enrolled student and the course teacher can see the status
+      if (enrollment.userId.toString() !== req.user.userId) {
+        const course = await Course.findById(enrollment.courseId);
+        if (!course || course.teacherId.toString() !== req.user.userId) {
+          return res.status(403).json({ message: 'Access denied' });
+        }
+      }
+
+      // Get all lessons for this course
+      const lessons = await Lesson.find({ courseId: enrollment.courseId }).sort(
+        {
+          order: 1,
+        }
+      );
+      const lessonIds = lessons.map((lesson) => lesson._id);
+
+      const homework = await Homework.find({
+        lessonId: { $in: lessonIds },
+      }).sort({ dueDate: 1 });
+      const submissions = await HomeworkSubmission.find({
+        userId: enrollment.userId,
+        homeworkId: { $in: homework.map((item) => item._id) },
+      });
+
+      const now = new Date();
+      const homeworkList = lessons.map((lesson) => ({
+        lessonId: lesson._id,
+        lessonTitle: lesson.title,
+        lessonOrder: lesson.order,
+        homework: homework
+          .filter((item) => item.lessonId.toString() === lesson._id.toString())
+          .map((item) => {
+            const submission =
+              submissions.find(
+                (sub) => sub.homeworkId.toString() === item._id.toString()
+              ) || null;
+
+            return {
+              ...item.toObject(),
+              submission,
+              submissionStatus: submission
+                ? submission.status
+                : 'not_submitted',
+              isOverdue: !submission && now > item.dueDate,
+            };
+          }),
+      }));
+
+      res.json(homeworkList);
+    } catch (error) {
+      console.error('Get homework error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,355 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const CourseSection = require('../models/CourseSection');
+const Enrollment = require('../models/Enrollment');
+const LessonProgress = require('../models/LessonProgress');
+const {
+  authenticateToken,
+  optionalAuthenticateToken,
+  isTeacher,
+  isTeacherOrAdmin,
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  canManageCourse,
+  deleteLessonsCascade,
+} = require('../services/courses');
+const {
+  recalculateEnrollmentProgress,
+  recalculateCourseProgress,
+} = require('../services/enrollments');
+const {
+  getLessonViewer,
+  canViewCourse,
+  getLessonAccess,
+  lockedLessonResponse,
+  presentLesson,
+  getCourseCurriculum,
+} = require('../services/lessons');
+const { deleteMediaForEntities } = require('../services/media');
+const {
+  auditSnapshot,
+  recordChange,
+  recordRemoval,
+} = require('../services/audit');
+const { notifyLessonPublished } = require('../services/notifications');
+const { verifyVideoLink, signMediaLink } = require('../services/signedLinks');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Course lessons in curriculum order, as the requesting user may see them.
+// Answers 404 for courses the user cannot see.
+async function sendCourseLessons(res, courseId, user) {
+  const course = await Course.findById(courseId);
+  const viewer = course && (await getLessonViewer(course, user));
+  if (!course || !canViewCourse(course, viewer)) {
+    return res.status(404).json({ message: 'Course not found' });
+  }
+
+  const { lessons } = await getCourseCurriculum(course._id);
+  res.json(lessons.map((lesson) => presentLesson(lesson, viewer)));
+}
+
+// A lesson may only be placed in a section of its own course
+async function isSectionInCourse(sectionId, courseId) {
+  if (!sectionId) {
+    return true;
+  }
+  return Boolean(await CourseSection.exists({ _id: sectionId, courseId }));
+}
+
+// Lesson endpoints
+router.get(
+  '/courses/:courseId/lessons',
+  optionalAuthenticateToken,
+  validate(schemas.lessons.listByCourseParam),
+  async (req, res) => {
+    try {
+      await sendCourseLessons(res, req.params.courseId, req.user);
+    } catch (error) {
+      console.error('Get lessons error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.post(
+  '/lessons',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.lessons.create),
+  async (req, res) => {
+    try {
+      const { courseId } = req.body;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only add lessons to your own courses' });
+      }
+
+      if (!(await isSectionInCourse(req.body.sectionId, course._id))) {
+        return res
+          .status(400)
+          .json({ message: 'Section does not belong to this course' });
+      }
+
+      const lesson = new Lesson(req.body);
+      await lesson.save();
+      await recordChange(req, 'lesson.create', lesson);
+      await recalculateCourseProgress(course._id);
+      await notifyLessonPublished(lesson, course);
+      res.status(201).json(lesson);
+    } catch (error) {
+      console.error('Create lesson error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Update lesson (owning teacher or admin)
+async function updateLesson(req, res) {
+  try {
+    const { lessonId } = req.params;
+
+    const lesson = await Lesson.findById(lessonId);
+    if (!lesson) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+
+    const course = await Course.findById(lesson.courseId);
+    if (!course || !canManageCourse(course, req.user)) {
+      return res
+        .status(403)
+        .json({ message: 'You can only modify lessons of your own courses' });
+    }
+
+    if (!(await isSectionInCourse(req.body.sectionId, course._id))) {
+      return res
+        .status(400)
+        .json({ message: 'Section does not belong to this course' });
+    }
+
+    const before = auditSnapshot(lesson);
+
+    // Setting one drip schedule replaces the other
+    const update = { ...req.body };
+    if (update.releaseAt) {
+      update.releaseAfterDays = null;
+    } else if (update.releaseAfterDays) {
+      update.releaseAt = null;
+    }
+    // Linking an external video replaces an uploaded one
+    const replacesUpload = Boolean(update.videoUrl && lesson.videoMediaId);
+    if (replacesUpload) {
+      update.videoMediaId = null;
+    }
+    lesson.set(update);
+
+    const validationError = lesson.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        message: 'Validation error',
+        error: validationError.message,
+      });
+    }
+
+    await lesson.save();
+    await recordChange(req, 'lesson.update', lesson, before);
+    if (replacesUpload) {
+      await deleteMediaForEntities('Lesson', [lesson._id], 'lesson_video');
+    }
+    res.json(lesson);
+  } catch (error) {
+    console.error('Update lesson error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+router.put(
+  '/lessons/:lessonId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.lessons.update),
+  updateLesson
+);
+router.patch(
+  '/lessons/:lessonId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.lessons.update),
+  updateLesson
+);
+
+// Delete lesson with its homework, quizzes and progress (owning teacher or
+// admin)
+router.delete(
+  '/lessons/:lessonId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.lessons.remove),
+  async (req, res) => {
+    try {
+      const { lessonId } = req.params;
+
+      const lesson = await Lesson.findById(lessonId);
+      if (!lesson) {
+        return res.status(404).json({ message: 'Lesson not found' });
+      }
+
+      const course = await Course.findById(lesson.courseId);
+      if (course && !canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only delete lessons of your own courses' });
+      }
+      if (!course && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      await deleteLessonsCascade([lesson._id]);
+      await recordRemoval(req, 'lesson.delete', lesson);
+
+      // Lesson count changed, so progress of every student has to follow
+      await recalculateCourseProgress(lesson.courseId);
+
+      res.json({ message: 'Lesson deleted successfully' });
+    } catch (error) {
+      console.error('Delete lesson error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Update lesson progress (watched position and completion)
+router.put(
+  '/lessons/:lessonId/progress',
+  authenticateToken,
+  validate(schemas.lessons.updateProgress),
+  async (req, res) => {
+    try {
+      const { lessonId } = req.params;
+      const { completed, lastPosition } = req.body;
+
+      const lesson = await Lesson.findById(lessonId);
+      if (!lesson) {
+        return res.status(404).json({ message: 'Lesson not found' });
+      }
+
+      const enrollment = await Enrollment.findOne({
+        userId: req.user.userId,
+        courseId: lesson.courseId,
+        status: { $ne: 'cancelled' },
+      });
+      if (!enrollment) {
+        return res
+          .status(403)
+          .json({ message: 'You are not enrolled in this course' });
+      }
+
+      const access = getLessonAccess(lesson, {
+        canManage: false,
+        enrollment,
+      });
+      if (access.locked) {
+        return res.status(403).json(lockedLessonResponse(access));
+      }
+
+      let lessonProgress = await LessonProgress.findOne({
+        userId: req.user.userId,
+        lessonId,
+      });
+
+      if (!lessonProgress) {
+        lessonProgress = new LessonProgress({
+          userId: req.user.userId,
+          lessonId,
+          courseId: lesson.courseId,
+          enrollmentId: enrollment._id,
+        });
+      }
+
+      if (lastPosition !== undefined) {
+        lessonProgress.lastPosition = lastPosition;
+      }
+
+      if (completed && !lessonProgress.completed) {
+        lessonProgress.completed = true;
+        lessonProgress.completedAt = Date.now();
+      }
+
+      lessonProgress.updatedAt = Date.now();
+      await lessonProgress.save();
+
+      await recalculateEnrollmentProgress(enrollment);
+
+      res.json({ lessonProgress, enrollment });
+    } catch (error) {
+      console.error('Update lesson progress error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Follow a signed video link handed out with lesson content. Uploaded videos
+// are passed on to a fresh signed media link.
+router.get(
+  '/lessons/:lessonId/video',
+  validate(schemas.lessons.video),
+  async (req, res) => {
+    try {
+      const { lessonId } = req.params;
+      const { expires, signature } = req.query;
+
+      if (!verifyVideoLink(lessonId, expires, signature)) {
+        return res
+          .status(403)
+          .json({ message: 'Video link is invalid or has expired' });
+      }
+
+      const lesson = await Lesson.findById(lessonId).select(
+        'videoUrl videoMediaId'
+      );
+      if (!lesson) {
+        return res.status(404).json({ message: 'Lesson not found' });
+      }
+      if (!lesson.videoUrl && !lesson.videoMediaId) {
+        return res.status(404).json({ message: 'Lesson has no video' });
+      }
+
+      res.set('Cache-Control', 'private, no-store');
+      res.redirect(
+        lesson.videoMediaId
+          ? signMediaLink(lesson.videoMediaId)
+          : lesson.videoUrl
+      );
+    } catch (error) {
+      console.error('Get lesson video error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Get lessons by course ID
+router.get(
+  '/lessons',
+  optionalAuthenticateToken,
+  validate(schemas.lessons.listByCourseQuery),
+  async (req, res) => {
+    try {
+      await sendCourseLessons(res, req.query.courseId, req.user);
+    } catch (error) {
+      console.error('Get lessons error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
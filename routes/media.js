@@ -0,0 +1,358 @@
+const path = require('path');
+const express = require('express');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Media = require('../models/Media');
+const TeacherProfile = require('../models/TeacherProfile');
+const {
+  authenticateToken,
+  isTeacher,
+  isTeacherOrAdmin,
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { uploadFile } = require('../middleware/upload');
+const { canManageCourse } = require('../services/courses');
+const {
+  storeMedia,
+  deleteMedia,
+  deleteReplacedMedia,
+  presentMedia,
+} = require('../services/media');
+const { getStorageDriver } = require('../services/storage');
+const localDriver = require('../services/storage/localDriver');
+const { verifyMediaLink } = require('../services/signedLinks');
+const { auditSnapshot, recordChange } = require('../services/audit');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Presigned storage URLs only have to outlive the redirect
+const DOWNLOAD_URL_TTL_SECONDS = 60;
+
+// Resolve a lesson together with the course it belongs to
+async function findLessonWithCourse(lessonId) {
+  const lesson = await Lesson.findById(lessonId);
+  if (!lesson) {
+    return null;
+  }
+
+  const course = await Course.findById(lesson.courseId);
+  if (!course) {
+    return null;
+  }
+
+  return { lesson, course };
+}
+
+// Make sure the current user manages the course before the upload is
+// received, so files for other teachers' courses are never processed or
+// stored. Sets req.course.
+async function requireManagedCourse(req, res, next) {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (!canManageCourse(course, req.user)) {
+      return res
+        .status(403)
+        .json({ message: 'You can only modify your own courses' });
+    }
+
+    req.course = course;
+    next();
+  } catch (error) {
+    console.error('Check course owner error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// Same as requireManagedCourse for the course of a lesson. Sets req.lesson
+// and req.course.
+async function requireManagedLesson(req, res, next) {
+  try {
+    const result = await findLessonWithCourse(req.params.lessonId);
+    if (!result) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+
+    if (!canManageCourse(result.course, req.user)) {
+      return res
+        .status(403)
+        .json({ message: 'You can only modify lessons of your own courses' });
+    }
+
+    req.lesson = result.lesson;
+    req.course = result.course;
+    next();
+  } catch (error) {
+    console.error('Check lesson owner error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// The avatar belongs to the current teacher's profile, which has to exist
+// before the upload is received. Sets req.teacherProfile.
+async function requireTeacherProfile(req, res, next) {
+  try {
+    const teacherProfile = await TeacherProfile.findOne({
+      userId: req.user.userId,
+    });
+    if (!teacherProfile) {
+      return res.status(404).json({ message: 'Teacher profile not found' });
+    }
+
+    req.teacherProfile = teacherProfile;
+    next();
+  } catch (error) {
+    console.error('Check teacher profile error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+// Public files of the local storage driver. Keys are never reused, so they
+// can be cached for good.
+router.use(
+  '/media/files',
+  express.static(path.join(localDriver.getUploadDir(), 'public'), {
+    index: false,
+    immutable: true,
+    maxAge: '365d',
+  })
+);
+
+// Upload the course image (owning teacher or admin). It replaces the
+// current image and gets a thumbnail for catalog listings.
+router.post(
+  '/courses/:courseId/image',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.media.courseImage),
+  requireManagedCourse,
+  uploadFile('course_image'),
+  async (req, res) => {
+    try {
+      const { course } = req;
+
+      const media = await storeMedia({
+        kind: 'course_image',
+        file: req.file,
+        entityId: course._id,
+        ownerId: req.user.userId,
+      });
+      const { url, thumbnailUrl } = presentMedia(media);
+
+      const before = auditSnapshot(course);
+      course.image = url;
+      course.thumbnail = thumbnailUrl;
+      await course.save();
+      await recordChange(req, 'course.update', course, before);
+      await deleteReplacedMedia(media);
+
+      res.status(201).json({ media: presentMedia(media), course });
+    } catch (error) {
+      console.error('Upload course image error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Upload the avatar of the current teacher's profile
+router.post(
+  '/teacherProfiles/avatar',
+  authenticateToken,
+  isTeacher,
+  requireTeacherProfile,
+  uploadFile('avatar'),
+  async (req, res) => {
+    try {
+      const { teacherProfile } = req;
+
+      const media = await storeMedia({
+        kind: 'avatar',
+        file: req.file,
+        entityId: teacherProfile.userId,
+        ownerId: req.user.userId,
+      });
+      const { url, thumbnailUrl } = presentMedia(media);
+
+      teacherProfile.avatar = url;
+      teacherProfile.avatarThumbnail = thumbnailUrl;
+      teacherProfile.updatedAt = Date.now();
+      await teacherProfile.save();
+      await deleteReplacedMedia(media);
+
+      res.status(201).json({ media: presentMedia(media), teacherProfile });
+    } catch (error) {
+      console.error('Upload avatar error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Upload the lesson video (owning teacher or admin). It replaces the current
+// video, whether it was uploaded or linked.
+router.post(
+  '/lessons/:lessonId/video',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.media.lessonUpload),
+  requireManagedLesson,
+  uploadFile('lesson_video'),
+  async (req, res) => {
+    try {
+      const { lesson } = req;
+
+      const media = await storeMedia({
+        kind: 'lesson_video',
+        file: req.file,
+        entityId: lesson._id,
+        ownerId: req.user.userId,
+      });
+
+      const before = auditSnapshot(lesson);
+      lesson.videoMediaId = media._id;
+      lesson.videoUrl = '';
+      await lesson.save();
+      await recordChange(req, 'lesson.update', lesson, before);
+      await deleteReplacedMedia(media);
+
+      res.status(201).json({ media: presentMedia(media), lesson });
+    } catch (error) {
+      console.error('Upload lesson video error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Attach a handout (PDF or slides) to a lesson (owning teacher or admin)
+router.post(
+  '/lessons/:lessonId/attachments',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.media.lessonUpload),
+  requireManagedLesson,
+  uploadFile('lesson_attachment'),
+  async (req, res) => {
+    try {
+      const { lesson } = req;
+
+      const media = await storeMedia({
+        kind: 'lesson_attachment',
+        file: req.file,
+        entityId: lesson._id,
+        ownerId: req.user.userId,
+      });
+
+      const before = auditSnapshot(lesson);
+      lesson.attachments.push({
+        mediaId: media._id,
+        name: media.originalName,
+        mimeType: media.mimeType,
+        size: media.size,
+      });
+      await lesson.save();
+      await recordChange(req, 'lesson.update', lesson, before);
+
+      res.status(201).json({ media: presentMedia(media), lesson });
+    } catch (error) {
+      console.error('Upload lesson attachment error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.delete(
+  '/lessons/:lessonId/attachments/:mediaId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.media.attachment),
+  requireManagedLesson,
+  async (req, res) => {
+    try {
+      const { lesson } = req;
+
+      const attachment = lesson.attachments.find((item) =>
+        item.mediaId.equals(req.params.mediaId)
+      );
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      const before = auditSnapshot(lesson);
+      lesson.attachments = lesson.attachments.filter(
+        (item) => item !== attachment
+      );
+      await lesson.save();
+      await recordChange(req, 'lesson.update', lesson, before);
+      await deleteMedia(
+        await Media.find({ _id: attachment.mediaId, entityId: lesson._id })
+      );
+
+      res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+      console.error('Delete lesson attachment error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Follow a signed media link handed out with lesson content. Drivers that
+// can presign URLs redirect to storage; others stream the file through.
+router.get(
+  '/media/:mediaId/download',
+  validate(schemas.media.download),
+  async (req, res) => {
+    try {
+      const { mediaId } = req.params;
+      const { expires, signature } = req.query;
+
+      if (!verifyMediaLink(mediaId, expires, signature)) {
+        return res
+          .status(403)
+          .json({ message: 'Download link is invalid or has expired' });
+      }
+
+      const media = await Media.findById(mediaId);
+      if (!media) {
+        return res.status(404).json({ message: 'File not found' });
+      }
+
+      const storage = getStorageDriver(media.driver);
+      const fileName =
+        media.kind === 'lesson_attachment' ? media.originalName : undefined;
+      res.set('Cache-Control', 'private, no-store');
+
+      const downloadUrl = await storage.getDownloadUrl(media.key, {
+        expiresIn: DOWNLOAD_URL_TTL_SECONDS,
+        fileName,
+        contentType: media.mimeType,
+      });
+      if (downloadUrl) {
+        return res.redirect(downloadUrl);
+      }
+
+      const stream = await storage.createReadStream(media.key);
+      stream.on('error', (error) => {
+        console.error('Stream media error:', error);
+        if (res.headersSent) {
+          return res.destroy();
+        }
+        res.status(404).json({ message: 'File not found' });
+      });
+
+      if (fileName) {
+        res.attachment(fileName);
+      }
+      res.type(media.mimeType);
+      res.set('Content-Length', String(media.size));
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Download media error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
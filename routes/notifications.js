@@ -0,0 +1,152 @@
+const express = require('express');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { parsePagination, paginatedResponse } = require('../utils/query');
+const { resolvePreferences } = require('../services/notifications');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Notification center of the current user, newest first
+router.get(
+  '/notifications',
+  authenticateToken,
+  validate(schemas.notifications.list),
+  async (req, res) => {
+    try {
+      const { unread, type } = req.query;
+
+      const query = { userId: req.user.userId, inApp: true };
+      if (unread !== undefined) {
+        query.readAt = { $exists: !unread };
+      }
+      if (type) {
+        query.type = type;
+      }
+
+      const pagination = parsePagination(req.query);
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Notification.countDocuments(query),
+        Notification.countDocuments({
+          userId: req.user.userId,
+          inApp: true,
+          readAt: { $exists: false },
+        }),
+      ]);
+
+      res.json({
+        ...paginatedResponse(notifications, total, pagination),
+        unreadCount,
+      });
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Read notifications are left out of the next email digest
+router.put('/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.userId, readAt: { $exists: false } },
+      { readAt: Date.now(), emailPending: false }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put(
+  '/notifications/:notificationId/read',
+  authenticateToken,
+  validate(schemas.notifications.byId),
+  async (req, res) => {
+    try {
+      const notification = await Notification.findOne({
+        _id: req.params.notificationId,
+        userId: req.user.userId,
+      });
+      if (!notification) {
+        return res.status(404).json({ message: 'Notification not found' });
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = Date.now();
+        notification.emailPending = false;
+        await notification.save();
+      }
+
+      res.json(notification);
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Per-type delivery preferences and the daily email digest
+router.get(
+  '/notifications/preferences',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.userId).select(
+        'notificationPreferences'
+      );
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      res.json(resolvePreferences(user));
+    } catch (error) {
+      console.error('Get notification preferences error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.put(
+  '/notifications/preferences',
+  authenticateToken,
+  validate(schemas.notifications.updatePreferences),
+  async (req, res) => {
+    try {
+      const { emailDigest, types } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const current = resolvePreferences(user);
+      if (emailDigest !== undefined) {
+        user.notificationPreferences.emailDigest = emailDigest;
+      }
+      for (const [type, preference] of Object.entries(types || {})) {
+        user.notificationPreferences.types.set(type, {
+          ...current.types[type],
+          ...preference,
+        });
+      }
+      await user.save();
+
+      res.json(resolvePreferences(user));
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
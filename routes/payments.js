@@ -0,0 +1,447 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { validate, sendValidationError } = require('../middleware/validate');
+const {
+  hasEnrollmentApproval,
+  activateEnrollment,
+} = require('../services/enrollments');
+const { getPaymentProvider } = require('../services/payments');
+const { leaveCourseRoom } = require('../services/realtime');
+const { auditSnapshot, recordChange } = require('../services/audit');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Payment endpoints
+const CHECKOUT_TTL_MS = 30 * 60 * 1000;
+
+// Payments recorded before checkout went through a payment provider have
+// no provider, charge or expiry. Their checkouts can never be confirmed and
+// their refunds are handled outside the platform.
+function isProviderPayment(payment) {
+  return Boolean(payment.provider && payment.providerPaymentId);
+}
+
+function isCheckoutExpired(payment) {
+  return !payment.expiresAt || payment.expiresAt < new Date();
+}
+
+// Mark pending checkouts that outlived their expiry, or never had one, as
+// abandoned
+async function abandonExpiredPayments(filter) {
+  await Payment.updateMany(
+    {
+      ...filter,
+      status: 'pending',
+      $or: [
+        { expiresAt: { $lt: new Date() } },
+        { expiresAt: { $exists: false } },
+      ],
+    },
+    { status: 'abandoned', failureReason: 'Checkout expired' }
+  );
+}
+
+// Move a pending payment to its outcome. Returns null when another request
+// settled it first, so only one request acts on the outcome.
+async function settlePendingPayment(payment, update) {
+  return Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'pending' },
+    update,
+    { new: true }
+  );
+}
+
+// Answer a request that lost the race to settle a payment
+async function sendAlreadySettled(res, payment) {
+  const current = await Payment.findById(payment._id);
+  return res
+    .status(400)
+    .json({ message: `Payment is already ${current.status}` });
+}
+
+// Start checkout for a paid course. The amount always comes from the course.
+router.post(
+  '/payments',
+  authenticateToken,
+  validate(schemas.payments.create),
+  async (req, res) => {
+    try {
+      const { courseId, paymentMethod } = req.body;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!course.published) {
+        return res
+          .status(403)
+          .json({ message: 'This course is not open for enrollment' });
+      }
+
+      if (course.price <= 0) {
+        return res
+          .status(400)
+          .json({ message: 'This course is free, enroll directly' });
+      }
+
+      if (!(await hasEnrollmentApproval(req.user.userId, course))) {
+        return res.status(403).json({
+          message: 'An approved application is required for this course',
+        });
+      }
+
+      const enrollment = await Enrollment.findOne({
+        userId: req.user.userId,
+        courseId,
+        status: { $ne: 'cancelled' },
+      });
+      if (enrollment) {
+        return res
+          .status(400)
+          .json({ message: 'Already enrolled in this course' });
+      }
+
+      await abandonExpiredPayments({ userId: req.user.userId, courseId });
+
+      // Reuse an open checkout instead of charging twice
+      const pendingPayment = await Payment.findOne({
+        userId: req.user.userId,
+        courseId,
+        status: 'pending',
+      });
+      if (pendingPayment) {
+        return res.json(pendingPayment);
+      }
+
+      const provider = getPaymentProvider();
+      const payment = new Payment({
+        userId: req.user.userId,
+        courseId,
+        amount: course.price,
+        paymentMethod,
+        provider: provider.name,
+        expiresAt: new Date(Date.now() + CHECKOUT_TTL_MS),
+      });
+
+      const charge = await provider.createCharge({
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentId: payment._id,
+        paymentMethod,
+      });
+      payment.providerPaymentId = charge.providerPaymentId;
+
+      await payment.save();
+      await recordChange(req, 'payment.create', payment);
+      res.status(201).json(payment);
+    } catch (error) {
+      console.error('Create payment error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Confirm a pending checkout and enroll the student once it is paid
+router.post(
+  '/payments/:paymentId/confirm',
+  authenticateToken,
+  validate(schemas.payments.confirm),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment || payment.userId.toString() !== req.user.userId) {
+        return res.status(404).json({ message: 'Payment not found' });
+      }
+
+      if (payment.status !== 'pending') {
+        return res
+          .status(400)
+          .json({ message: `Payment is already ${payment.status}` });
+      }
+
+      const before = auditSnapshot(payment);
+
+      if (isCheckoutExpired(payment)) {
+        if (isProviderPayment(payment)) {
+          await getPaymentProvider(payment.provider).cancelCharge(
+            payment.providerPaymentId
+          );
+        }
+        const expired = await settlePendingPayment(payment, {
+          status: 'abandoned',
+          failureReason: 'Checkout expired',
+        });
+        if (!expired) {
+          return sendAlreadySettled(res, payment);
+        }
+        await recordChange(req, 'payment.confirm', expired, before);
+        return res.status(400).json({ message: 'Checkout expired' });
+      }
+
+      const result = await getPaymentProvider(payment.provider).confirmCharge(
+        payment.providerPaymentId,
+        req.body
+      );
+
+      if (result.status !== 'completed') {
+        const failed = await settlePendingPayment(payment, {
+          status: 'failed',
+          failureReason: result.failureReason || 'Payment failed',
+        });
+        if (!failed) {
+          return sendAlreadySettled(res, payment);
+        }
+        await recordChange(req, 'payment.confirm', failed, before);
+        return res.status(402).json({
+          message: 'Payment failed',
+          reason: failed.failureReason,
+          payment: failed,
+        });
+      }
+
+      // Concurrent confirmations both reach the provider, but only the one
+      // that completes the payment enrolls the student
+      const completed = await settlePendingPayment(payment, {
+        status: 'completed',
+        completedAt: Date.now(),
+      });
+      if (!completed) {
+        return sendAlreadySettled(res, payment);
+      }
+      await recordChange(req, 'payment.confirm', completed, before);
+
+      const enrollment = await activateEnrollment(
+        completed.userId,
+        completed.courseId
+      );
+
+      res.json({ payment: completed, enrollment });
+    } catch (error) {
+      console.error('Confirm payment error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Abandon a pending checkout
+router.post(
+  '/payments/:paymentId/cancel',
+  authenticateToken,
+  validate(schemas.payments.cancel),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment || payment.userId.toString() !== req.user.userId) {
+        return res.status(404).json({ message: 'Payment not found' });
+      }
+
+      if (payment.status !== 'pending') {
+        return res
+          .status(400)
+          .json({ message: `Payment is already ${payment.status}` });
+      }
+
+      const before = auditSnapshot(payment);
+      if (isProviderPayment(payment)) {
+        await getPaymentProvider(payment.provider).cancelCharge(
+          payment.providerPaymentId
+        );
+      }
+      const cancelled = await settlePendingPayment(payment, {
+        status: 'abandoned',
+        failureReason: 'Cancelled by user',
+      });
+      if (!cancelled) {
+        return sendAlreadySettled(res, payment);
+      }
+      await recordChange(req, 'payment.cancel', cancelled, before);
+
+      res.json(cancelled);
+    } catch (error) {
+      console.error('Cancel payment error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.get('/payments', authenticateToken, async (req, res) => {
+  try {
+    await abandonExpiredPayments({ userId: req.user.userId });
+
+    const payments = await Payment.find({ userId: req.user.userId }).populate(
+      'courseId',
+      'title'
+    );
+    res.json(payments);
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Undo the reservation of a refund the provider did not accept. Other
+// refunds may have been reserved since, so the status is derived from what
+// remains.
+async function releaseRefund(payment, entry) {
+  const refundedAmount = { $subtract: ['$refundedAmount', entry.amount] };
+  await Payment.updateOne({ _id: payment._id }, [
+    {
+      $set: {
+        refunds: {
+          $filter: {
+            input: '$refunds',
+            cond: { $ne: ['$$this._id', entry._id] },
+          },
+        },
+        refundedAmount,
+        status: {
+          $switch: {
+            branches: [
+              {
+                case: { $gte: [refundedAmount, '$amount'] },
+                then: 'refunded',
+              },
+              {
+                case: { $gt: [refundedAmount, 0] },
+                then: 'partially_refunded',
+              },
+            ],
+            default: 'completed',
+          },
+        },
+      },
+    },
+  ]);
+}
+
+// Refund a payment fully or partially (admin only). A full refund cancels
+// the matching enrollment.
+router.post(
+  '/payments/:paymentId/refunds',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.payments.refund),
+  async (req, res) => {
+    try {
+      const { paymentId } = req.params;
+      const { amount, reason } = req.body;
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment) {
+        return res.status(404).json({ message: 'Payment not found' });
+      }
+
+      if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+        return res
+          .status(400)
+          .json({ message: `Cannot refund a ${payment.status} payment` });
+      }
+
+      if (!isProviderPayment(payment)) {
+        return res.status(400).json({
+          message:
+            'This payment was not made through a payment provider and must be refunded manually',
+        });
+      }
+
+      const remaining = payment.amount - payment.refundedAmount;
+      const refundAmount = amount === undefined ? remaining : amount;
+
+      if (refundAmount > remaining) {
+        return sendValidationError(res, [
+          {
+            location: 'body',
+            field: 'amount',
+            code: 'TOO_LARGE',
+            message: `amount must be less than or equal to ${remaining}`,
+          },
+        ]);
+      }
+
+      // Reserve the amount before asking the provider, so concurrent
+      // refunds cannot add up to more than was paid
+      const before = auditSnapshot(payment);
+      const refundedAmount = payment.refundedAmount + refundAmount;
+      const entry = {
+        _id: new mongoose.Types.ObjectId(),
+        amount: refundAmount,
+        reason: reason || '',
+        refundedBy: req.user.userId,
+      };
+      const reserved = await Payment.findOneAndUpdate(
+        {
+          _id: payment._id,
+          status: payment.status,
+          refundedAmount: payment.refundedAmount,
+        },
+        {
+          $push: { refunds: entry },
+          $set: {
+            refundedAmount,
+            status:
+              refundedAmount >= payment.amount
+                ? 'refunded'
+                : 'partially_refunded',
+          },
+        },
+        { new: true }
+      );
+      if (!reserved) {
+        return res.status(409).json({
+          message: 'The payment changed while refunding, please try again',
+        });
+      }
+
+      // The reservation is released whenever the provider did not refund,
+      // including when it could not be reached
+      let refund;
+      try {
+        refund = await getPaymentProvider(payment.provider).refundCharge(
+          payment.providerPaymentId,
+          refundAmount
+        );
+      } catch (error) {
+        console.error('Provider refund error:', error);
+        refund = { status: 'failed' };
+      }
+      if (refund.status !== 'completed') {
+        await releaseRefund(payment, entry);
+        return res.status(502).json({ message: 'Refund was not accepted' });
+      }
+
+      const refunded = await Payment.findOneAndUpdate(
+        { _id: payment._id, 'refunds._id': entry._id },
+        { $set: { 'refunds.$.providerRefundId': refund.providerRefundId } },
+        { new: true }
+      );
+      await recordChange(req, 'payment.refund', refunded, before);
+
+      if (refunded.status === 'refunded') {
+        await Enrollment.findOneAndUpdate(
+          { userId: refunded.userId, courseId: refunded.courseId },
+          { $set: { status: 'cancelled' }, $unset: { statusBeforeDeletion: 1 } }
+        );
+        leaveCourseRoom(refunded.userId, refunded.courseId);
+      }
+
+      res.json(refunded);
+    } catch (error) {
+      console.error('Refund payment error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,449 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Enrollment = require('../models/Enrollment');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const {
+  authenticateToken,
+  isTeacher,
+  isTeacherOrAdmin,
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { canManageCourse } = require('../services/courses');
+const {
+  recalculateEnrollmentProgress,
+  recalculateCourseProgress,
+} = require('../services/enrollments');
+const {
+  findQuizWithCourse,
+  normalizeQuestions,
+  toStudentView,
+  gradeAnswers,
+  isAttemptExpired,
+  getQuizAnalytics,
+  deleteQuizzesCascade,
+} = require('../services/quizzes');
+const {
+  getLessonAccess,
+  resolveLessonAccess,
+  lockedLessonResponse,
+} = require('../services/lessons');
+const {
+  auditSnapshot,
+  recordChange,
+  recordRemoval,
+} = require('../services/audit');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Quiz endpoints. Answer keys are only shown to the teacher who owns the
+// course and to admins.
+router.get(
+  '/lessons/:lessonId/quizzes',
+  authenticateToken,
+  validate(schemas.quizzes.listByLesson),
+  async (req, res) => {
+    try {
+      const lesson = await Lesson.findById(req.params.lessonId);
+      if (!lesson) {
+        return res.status(404).json({ message: 'Lesson not found' });
+      }
+
+      const result = await resolveLessonAccess(lesson, req.user);
+      if (!result) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+      if (result.access.locked) {
+        return res.status(403).json(lockedLessonResponse(result.access));
+      }
+
+      const quizzes = await Quiz.find({ lessonId: lesson._id }).sort({
+        createdAt: 1,
+      });
+
+      if (result.viewer.canManage) {
+        return res.json(quizzes);
+      }
+      res.json(quizzes.map(toStudentView));
+    } catch (error) {
+      console.error('Get quizzes error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.get(
+  '/quizzes/:quizId',
+  authenticateToken,
+  validate(schemas.quizzes.byId),
+  async (req, res) => {
+    try {
+      const result = await findQuizWithCourse(req.params.quizId);
+      if (!result) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+      const { quiz, course } = result;
+
+      if (canManageCourse(course, req.user)) {
+        return res.json(quiz);
+      }
+
+      const lesson = await Lesson.findById(quiz.lessonId);
+      const lessonAccess =
+        lesson && (await resolveLessonAccess(lesson, req.user));
+      if (!lessonAccess) {
+        return res.status(404).json({ message: 'Lesson not found' });
+      }
+      if (lessonAccess.access.locked) {
+        return res.status(403).json(lockedLessonResponse(lessonAccess.access));
+      }
+
+      res.json(toStudentView(quiz));
+    } catch (error) {
+      console.error('Get quiz error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.post(
+  '/quizzes',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.quizzes.create),
+  async (req, res) => {
+    try {
+      const lesson = await Lesson.findById(req.body.lessonId);
+      if (!lesson) {
+        return res.status(404).json({ message: 'Lesson not found' });
+      }
+
+      const course = await Course.findById(lesson.courseId);
+      if (!course || !canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only add quizzes to your own courses' });
+      }
+
+      const quiz = new Quiz({
+        ...req.body,
+        courseId: course._id,
+        questions: normalizeQuestions(req.body.questions),
+      });
+      await quiz.save();
+      await recordChange(req, 'quiz.create', quiz);
+      await recalculateCourseProgress(course._id);
+      res.status(201).json(quiz);
+    } catch (error) {
+      console.error('Create quiz error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Update quiz (owning teacher or admin). Questions sent back with their
+// _id keep their identity, so analytics for them are preserved.
+async function updateQuiz(req, res) {
+  try {
+    const result = await findQuizWithCourse(req.params.quizId);
+    if (!result) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    const { quiz, course } = result;
+
+    if (!canManageCourse(course, req.user)) {
+      return res
+        .status(403)
+        .json({ message: 'You can only modify quizzes of your own courses' });
+    }
+
+    const before = auditSnapshot(quiz);
+    const { questions, ...fields } = req.body;
+    quiz.set(fields);
+    if (questions) {
+      quiz.questions = normalizeQuestions(questions);
+    }
+    quiz.updatedAt = Date.now();
+
+    await quiz.save();
+    await recordChange(req, 'quiz.update', quiz, before);
+    res.json(quiz);
+  } catch (error) {
+    console.error('Update quiz error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+router.put(
+  '/quizzes/:quizId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.quizzes.update),
+  updateQuiz
+);
+router.patch(
+  '/quizzes/:quizId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.quizzes.update),
+  updateQuiz
+);
+
+// Delete quiz with its attempts (owning teacher or admin)
+router.delete(
+  '/quizzes/:quizId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.quizzes.byId),
+  async (req, res) => {
+    try {
+      const result = await findQuizWithCourse(req.params.quizId);
+      if (!result) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+
+      if (!canManageCourse(result.course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only delete quizzes of your own courses' });
+      }
+
+      await deleteQuizzesCascade([result.quiz._id]);
+      await recordRemoval(req, 'quiz.delete', result.quiz);
+      await recalculateCourseProgress(result.course._id);
+
+      res.json({ message: 'Quiz deleted successfully' });
+    } catch (error) {
+      console.error('Delete quiz error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Start a quiz attempt. An unfinished attempt is resumed instead of
+// starting a new one.
+router.post(
+  '/quizzes/:quizId/attempts',
+  authenticateToken,
+  validate(schemas.quizzes.byId),
+  async (req, res) => {
+    try {
+      const result = await findQuizWithCourse(req.params.quizId);
+      if (!result) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+      const { quiz, course } = result;
+
+      const enrollment = await Enrollment.findOne({
+        userId: req.user.userId,
+        courseId: course._id,
+        status: { $ne: 'cancelled' },
+      });
+      if (!enrollment) {
+        return res
+          .status(403)
+          .json({ message: 'You are not enrolled in this course' });
+      }
+
+      const lesson = await Lesson.findById(quiz.lessonId);
+      const access = lesson
+        ? getLessonAccess(lesson, { canManage: false, enrollment })
+        : { locked: false };
+      if (access.locked) {
+        return res.status(403).json(lockedLessonResponse(access));
+      }
+
+      const openAttempt = await QuizAttempt.findOne({
+        quizId: quiz._id,
+        userId: req.user.userId,
+        status: 'in_progress',
+      });
+      if (openAttempt) {
+        if (!isAttemptExpired(openAttempt)) {
+          return res.json({ attempt: openAttempt, quiz: toStudentView(quiz) });
+        }
+        openAttempt.status = 'expired';
+        await openAttempt.save();
+      }
+
+      if (quiz.maxAttempts > 0) {
+        const attemptCount = await QuizAttempt.countDocuments({
+          quizId: quiz._id,
+          userId: req.user.userId,
+        });
+        if (attemptCount >= quiz.maxAttempts) {
+          return res
+            .status(403)
+            .json({ message: 'No attempts left for this quiz' });
+        }
+      }
+
+      const startedAt = new Date();
+      const attempt = new QuizAttempt({
+        quizId: quiz._id,
+        userId: req.user.userId,
+        courseId: course._id,
+        enrollmentId: enrollment._id,
+        startedAt,
+        expiresAt:
+          quiz.timeLimit > 0
+            ? new Date(startedAt.getTime() + quiz.timeLimit * 60 * 1000)
+            : undefined,
+      });
+      await attempt.save();
+
+      res.status(201).json({ attempt, quiz: toStudentView(quiz) });
+    } catch (error) {
+      console.error('Start quiz attempt error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Submit answers for auto-grading
+router.post(
+  '/quiz-attempts/:attemptId/submit',
+  authenticateToken,
+  validate(schemas.quizzes.submitAttempt),
+  async (req, res) => {
+    try {
+      const attempt = await QuizAttempt.findById(req.params.attemptId);
+      if (!attempt || attempt.userId.toString() !== req.user.userId) {
+        return res.status(404).json({ message: 'Quiz attempt not found' });
+      }
+
+      if (attempt.status !== 'in_progress') {
+        return res
+          .status(400)
+          .json({ message: `Quiz attempt is already ${attempt.status}` });
+      }
+
+      const quiz = await Quiz.findById(attempt.quizId);
+      if (!quiz) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+
+      const expired = isAttemptExpired(attempt);
+      const outcome = expired
+        ? { status: 'expired' }
+        : { ...gradeAnswers(quiz, req.body.answers), status: 'submitted' };
+
+      // Only the request that moves the attempt out of progress records its
+      // outcome, so concurrent submissions cannot overwrite each other
+      const submitted = await QuizAttempt.findOneAndUpdate(
+        { _id: attempt._id, userId: req.user.userId, status: 'in_progress' },
+        { ...outcome, submittedAt: Date.now() },
+        { new: true }
+      );
+      if (!submitted) {
+        const current = await QuizAttempt.findById(attempt._id);
+        return res
+          .status(400)
+          .json({ message: `Quiz attempt is already ${current.status}` });
+      }
+
+      if (expired) {
+        return res
+          .status(400)
+          .json({ message: 'Time limit exceeded', attempt: submitted });
+      }
+
+      let enrollment = await Enrollment.findById(submitted.enrollmentId);
+      if (enrollment) {
+        enrollment = await recalculateEnrollmentProgress(enrollment);
+      }
+
+      res.json({ attempt: submitted, enrollment });
+    } catch (error) {
+      console.error('Submit quiz attempt error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Students see their own attempts, the course teacher sees everyone's
+router.get(
+  '/quizzes/:quizId/attempts',
+  authenticateToken,
+  validate(schemas.quizzes.byId),
+  async (req, res) => {
+    try {
+      const result = await findQuizWithCourse(req.params.quizId);
+      if (!result) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+
+      const filter = { quizId: result.quiz._id };
+      if (!canManageCourse(result.course, req.user)) {
+        filter.userId = req.user.userId;
+      }
+
+      const attempts = await QuizAttempt.find(filter)
+        .populate('userId', 'name email')
+        .sort({ startedAt: -1 });
+
+      res.json(attempts);
+    } catch (error) {
+      console.error('Get quiz attempts error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.get(
+  '/quiz-attempts/:attemptId',
+  authenticateToken,
+  validate(schemas.quizzes.attemptById),
+  async (req, res) => {
+    try {
+      const attempt = await QuizAttempt.findById(req.params.attemptId);
+      if (!attempt) {
+        return res.status(404).json({ message: 'Quiz attempt not found' });
+      }
+
+      const isOwner = attempt.userId.toString() === req.user.userId;
+      if (!isOwner) {
+        const course = await Course.findById(attempt.courseId);
+        if (!course || !canManageCourse(course, req.user)) {
+          return res.status(403).json({ message: 'Access denied' });
+        }
+      }
+
+      res.json(attempt);
+    } catch (error) {
+      console.error('Get quiz attempt error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Per-question analytics (owning teacher or admin)
+router.get(
+  '/quizzes/:quizId/analytics',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.quizzes.byId),
+  async (req, res) => {
+    try {
+      const result = await findQuizWithCourse(req.params.quizId);
+      if (!result) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+
+      if (!canManageCourse(result.course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only view analytics for your courses' });
+      }
+
+      res.json(await getQuizAnalytics(result.quiz));
+    } catch (error) {
+      console.error('Get quiz analytics error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
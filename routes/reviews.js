@@ -0,0 +1,330 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const CourseReview = require('../models/CourseReview');
+const { authenticateToken, isAdmin, isTeacher } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { parsePagination, paginatedResponse } = require('../utils/query');
+const { updateCourseRating } = require('../services/reviews');
+const { notifyNewReview } = require('../services/notifications');
+const {
+  auditSnapshot,
+  recordChange,
+  recordRemoval,
+} = require('../services/audit');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Course Review endpoints
+router.post(
+  '/courses/:courseId/reviews',
+  authenticateToken,
+  validate(schemas.reviews.create),
+  async (req, res) => {
+    try {
+      const { courseId } = req.params;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      // Only students who took the course can review it
+      const enrollment = await Enrollment.findOne({
+        userId: req.user.userId,
+        courseId,
+        status: { $ne: 'cancelled' },
+      });
+      if (!enrollment) {
+        return res
+          .status(403)
+          .json({ message: 'Only enrolled students can review this course' });
+      }
+
+      const review = new CourseReview({
+        userId: req.user.userId,
+        courseId,
+        ...req.body,
+      });
+      await review.save();
+      await updateCourseRating(courseId);
+      await notifyNewReview(review, course);
+
+      res.status(201).json(review);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(400)
+          .json({ message: 'Already reviewed this course' });
+      }
+      console.error('Create review error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.get(
+  '/courses/:courseId/reviews',
+  validate(schemas.reviews.listByCourseParam),
+  async (req, res) => {
+    try {
+      const reviews = await CourseReview.find({
+        courseId: req.params.courseId,
+        status: { $ne: 'hidden' },
+      })
+        .select('-flaggedBy -flagReason')
+        .populate('userId', 'name')
+        .populate('reply.repliedBy', 'name');
+      res.json(reviews);
+    } catch (error) {
+      console.error('Get reviews error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Get course reviews by course ID
+router.get(
+  '/courseReviews',
+  validate(schemas.reviews.listByCourseQuery),
+  async (req, res) => {
+    try {
+      const { courseId } = req.query;
+
+      const pagination = parsePagination(req.query);
+      const filter = { courseId, status: { $ne: 'hidden' } };
+
+      const [reviews, course] = await Promise.all([
+        CourseReview.find(filter)
+          .select('-flaggedBy -flagReason')
+          .populate('userId', 'name email')
+          .populate('reply.repliedBy', 'name')
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Course.findById(courseId).select(
+          'averageRating reviewCount ratingHistogram'
+        ),
+      ]);
+
+      // Rating stats are kept on the course and cover every visible review
+      const totalReviews = course ? course.reviewCount : 0;
+
+      res.json({
+        ...paginatedResponse(reviews, totalReviews, pagination),
+        averageRating: course ? course.averageRating : 0,
+        totalReviews,
+        ratingHistogram: course
+          ? course.ratingHistogram
+          : { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      });
+    } catch (error) {
+      console.error('Get course reviews error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Edit own review
+router.put(
+  '/reviews/:reviewId',
+  authenticateToken,
+  validate(schemas.reviews.update),
+  async (req, res) => {
+    try {
+      const review = await CourseReview.findById(req.params.reviewId);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      if (review.userId.toString() !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'You can only edit your own reviews' });
+      }
+
+      const { rating, comment } = req.body;
+      if (rating !== undefined) {
+        review.rating = rating;
+      }
+      if (comment !== undefined) {
+        review.comment = comment;
+      }
+      review.updatedAt = Date.now();
+      await review.save();
+      await updateCourseRating(review.courseId);
+
+      res.json(review);
+    } catch (error) {
+      console.error('Update review error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Delete a review (author or admin)
+router.delete(
+  '/reviews/:reviewId',
+  authenticateToken,
+  validate(schemas.reviews.byId),
+  async (req, res) => {
+    try {
+      const review = await CourseReview.findById(req.params.reviewId);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      if (
+        req.user.role !== 'admin' &&
+        review.userId.toString() !== req.user.userId
+      ) {
+        return res
+          .status(403)
+          .json({ message: 'You can only delete your own reviews' });
+      }
+
+      await review.deleteOne();
+      await updateCourseRating(review.courseId);
+      // Authors removing their own reviews are not audited
+      if (review.userId.toString() !== req.user.userId) {
+        await recordRemoval(req, 'review.delete', review);
+      }
+
+      res.json({ message: 'Review deleted successfully' });
+    } catch (error) {
+      console.error('Delete review error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Reply to a review (teacher who owns the course)
+router.put(
+  '/reviews/:reviewId/reply',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.reviews.reply),
+  async (req, res) => {
+    try {
+      const review = await CourseReview.findById(req.params.reviewId);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      const course = await Course.findById(review.courseId);
+      if (!course || course.teacherId.toString() !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'You can only reply to reviews of your courses' });
+      }
+
+      review.reply = {
+        comment: req.body.comment,
+        repliedBy: req.user.userId,
+        repliedAt: Date.now(),
+      };
+      await review.save();
+
+      res.json(review);
+    } catch (error) {
+      console.error('Reply to review error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.delete(
+  '/reviews/:reviewId/reply',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.reviews.byId),
+  async (req, res) => {
+    try {
+      const review = await CourseReview.findById(req.params.reviewId);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      const course = await Course.findById(review.courseId);
+      if (!course || course.teacherId.toString() !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'You can only reply to reviews of your courses' });
+      }
+
+      review.reply = undefined;
+      await review.save();
+
+      res.json(review);
+    } catch (error) {
+      console.error('Delete review reply error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Report a review for admin moderation
+router.put(
+  '/reviews/:reviewId/flag',
+  authenticateToken,
+  validate(schemas.reviews.flag),
+  async (req, res) => {
+    try {
+      const review = await CourseReview.findById(req.params.reviewId);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      review.flagged = true;
+      review.flagReason = req.body.reason || '';
+      review.flaggedBy = req.user.userId;
+      review.flaggedAt = Date.now();
+      await review.save();
+
+      res.json({ message: 'Review flagged for moderation' });
+    } catch (error) {
+      console.error('Flag review error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Hide or restore a review (admin only). Resolves any open flag.
+router.put(
+  '/reviews/:reviewId/moderate',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.reviews.moderate),
+  async (req, res) => {
+    try {
+      const review = await CourseReview.findById(req.params.reviewId);
+      if (!review) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      const { status, reason } = req.body;
+      const statusChanged = review.status !== status;
+      const before = auditSnapshot(review);
+
+      review.status = status;
+      review.flagged = false;
+      review.moderationReason = reason || '';
+      review.moderatedBy = req.user.userId;
+      review.moderatedAt = Date.now();
+      await review.save();
+      await recordChange(req, 'review.moderate', review, before);
+
+      if (statusChanged) {
+        await updateCourseRating(review.courseId);
+      }
+
+      res.json(review);
+    } catch (error) {
+      console.error('Moderate review error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
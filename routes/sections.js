@@ -0,0 +1,317 @@
+const express = require('express');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const CourseSection = require('../models/CourseSection');
+const {
+  authenticateToken,
+  optionalAuthenticateToken,
+  isTeacherOrAdmin,
+} = require('../middleware/auth');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { canManageCourse } = require('../services/courses');
+const {
+  getLessonViewer,
+  canViewCourse,
+  presentLesson,
+  getCourseCurriculum,
+  reorderCurriculum,
+} = require('../services/lessons');
+const {
+  auditSnapshot,
+  recordAudit,
+  recordChange,
+  recordRemoval,
+} = require('../services/audit');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// True when `ids` lists every id in `expected` exactly once
+function isExactCover(ids, expected) {
+  const unique = new Set(ids);
+  return (
+    unique.size === ids.length &&
+    unique.size === expected.length &&
+    expected.every((id) => unique.has(id.toString()))
+  );
+}
+
+// Order of the sections and lessons of a curriculum, in the shape the
+// reorder endpoint takes, for the audit log
+function curriculumLayout({ sections, lessons }) {
+  const lessonIdsIn = (sectionId) =>
+    lessons
+      .filter((lesson) =>
+        sectionId
+          ? lesson.sectionId && lesson.sectionId.equals(sectionId)
+          : !lesson.sectionId ||
+            !sections.some((section) => section._id.equals(lesson.sectionId))
+      )
+      .map((lesson) => lesson._id.toString());
+
+  return {
+    sections: sections.map((section) => ({
+      sectionId: section._id.toString(),
+      lessonIds: lessonIdsIn(section._id),
+    })),
+    unsectionedLessonIds: lessonIdsIn(null),
+  };
+}
+
+// Course curriculum: sections with their lessons, plus lessons that are not
+// in any section. Locked lesson content is hidden from students.
+router.get(
+  '/courses/:courseId/curriculum',
+  optionalAuthenticateToken,
+  validate(schemas.sections.listByCourse),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      const viewer = course && (await getLessonViewer(course, req.user));
+      if (!course || !canViewCourse(course, viewer)) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      const { sections, lessons } = await getCourseCurriculum(course._id);
+      const lessonsIn = (sectionId) =>
+        lessons
+          .filter((lesson) =>
+            sectionId
+              ? lesson.sectionId && lesson.sectionId.equals(sectionId)
+              : !lesson.sectionId ||
+                !sections.some((section) =>
+                  section._id.equals(lesson.sectionId)
+                )
+          )
+          .map((lesson) => presentLesson(lesson, viewer));
+
+      res.json({
+        courseId: course._id,
+        unsectionedLessons: lessonsIn(null),
+        sections: sections.map((section) => ({
+          ...section.toObject(),
+          lessons: lessonsIn(section._id),
+        })),
+      });
+    } catch (error) {
+      console.error('Get curriculum error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Section endpoints
+router.get(
+  '/courses/:courseId/sections',
+  validate(schemas.sections.listByCourse),
+  async (req, res) => {
+    try {
+      const sections = await CourseSection.find({
+        courseId: req.params.courseId,
+      }).sort({ order: 1, createdAt: 1 });
+      res.json(sections);
+    } catch (error) {
+      console.error('Get sections error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+router.post(
+  '/courses/:courseId/sections',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.sections.create),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only add sections to your own courses' });
+      }
+
+      // New sections go last unless a position is given
+      let { order } = req.body;
+      if (order === undefined) {
+        const last = await CourseSection.findOne({ courseId: course._id }).sort(
+          { order: -1 }
+        );
+        order = last ? last.order + 1 : 1;
+      }
+
+      const section = new CourseSection({
+        ...req.body,
+        courseId: course._id,
+        order,
+      });
+      await section.save();
+      await recordChange(req, 'section.create', section);
+      res.status(201).json(section);
+    } catch (error) {
+      console.error('Create section error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Update section (owning teacher or admin)
+async function updateSection(req, res) {
+  try {
+    const section = await CourseSection.findById(req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ message: 'Section not found' });
+    }
+
+    const course = await Course.findById(section.courseId);
+    if (!course || !canManageCourse(course, req.user)) {
+      return res
+        .status(403)
+        .json({ message: 'You can only modify sections of your own courses' });
+    }
+
+    const before = auditSnapshot(section);
+    section.set(req.body);
+    await section.save();
+    await recordChange(req, 'section.update', section, before);
+    res.json(section);
+  } catch (error) {
+    console.error('Update section error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
+
+router.put(
+  '/sections/:sectionId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.sections.update),
+  updateSection
+);
+router.patch(
+  '/sections/:sectionId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.sections.update),
+  updateSection
+);
+
+// Delete a section. Its lessons are kept and moved out of the section.
+router.delete(
+  '/sections/:sectionId',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.sections.remove),
+  async (req, res) => {
+    try {
+      const section = await CourseSection.findById(req.params.sectionId);
+      if (!section) {
+        return res.status(404).json({ message: 'Section not found' });
+      }
+
+      const course = await Course.findById(section.courseId);
+      if (!course || !canManageCourse(course, req.user)) {
+        return res.status(403).json({
+          message: 'You can only delete sections of your own courses',
+        });
+      }
+
+      await Lesson.updateMany(
+        { sectionId: section._id },
+        { $unset: { sectionId: 1 } }
+      );
+      await section.deleteOne();
+      await recordRemoval(req, 'section.delete', section);
+
+      res.json({ message: 'Section deleted successfully' });
+    } catch (error) {
+      console.error('Delete section error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Reorder the whole curriculum at once. The layout must list every section
+// and every lesson of the course exactly once.
+router.put(
+  '/courses/:courseId/curriculum/order',
+  authenticateToken,
+  isTeacherOrAdmin,
+  validate(schemas.sections.reorder),
+  async (req, res) => {
+    try {
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (!canManageCourse(course, req.user)) {
+        return res
+          .status(403)
+          .json({ message: 'You can only reorder your own courses' });
+      }
+
+      const { sections, unsectionedLessonIds } = req.body;
+      const [sectionIds, lessonIds] = await Promise.all([
+        CourseSection.find({ courseId: course._id }).distinct('_id'),
+        Lesson.find({ courseId: course._id }).distinct('_id'),
+      ]);
+
+      const errors = [];
+      if (
+        !isExactCover(
+          sections.map((section) => section.sectionId),
+          sectionIds
+        )
+      ) {
+        errors.push({
+          location: 'body',
+          field: 'sections',
+          code: 'INVALID_ORDER',
+          message: 'sections must list every section of the course once',
+        });
+      }
+      if (
+        !isExactCover(
+          [
+            ...unsectionedLessonIds,
+            ...sections.flatMap((section) => section.lessonIds),
+          ],
+          lessonIds
+        )
+      ) {
+        errors.push({
+          location: 'body',
+          field: 'lessonIds',
+          code: 'INVALID_ORDER',
+          message: 'lessons must list every lesson of the course once',
+        });
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const before = curriculumLayout(await getCourseCurriculum(course._id));
+      await reorderCurriculum(course._id, { sections, unsectionedLessonIds });
+
+      const curriculum = await getCourseCurriculum(course._id);
+      await recordAudit(req, {
+        action: 'course.reorder',
+        targetType: 'Course',
+        targetId: course._id,
+        before,
+        after: curriculumLayout(curriculum),
+      });
+      res.json(curriculum);
+    } catch (error) {
+      console.error('Reorder curriculum error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
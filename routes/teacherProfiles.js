@@ -0,0 +1,312 @@
+const express = require('express');
+const User = require('../models/User');
+const TeacherProfile = require('../models/TeacherProfile');
+const { authenticateToken, isTeacher } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getTeacherRating } = require('../services/reviews');
+const { deleteMediaForEntities } = require('../services/media');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Linking an external avatar replaces an uploaded one
+function replacesUploadedAvatar(teacherProfile, avatar) {
+  return Boolean(
+    teacherProfile.avatarThumbnail && avatar && avatar !== teacherProfile.avatar
+  );
+}
+
+// Get teacher profile(s)
+router.get(
+  '/teacherProfiles',
+  validate(schemas.teacherProfiles.get),
+  async (req, res) => {
+    try {
+      const { teacherId } = req.query;
+
+      if (teacherId) {
+        // Get single teacher profile
+        const user = await User.findOne({
+          _id: teacherId,
+          role: 'teacher',
+          deletedAt: null,
+        });
+        if (!user) {
+          return res.status(404).json({ message: 'Teacher not found' });
+        }
+
+        let teacherProfile = await TeacherProfile.findOne({
+          userId: teacherId,
+        });
+
+        if (!teacherProfile) {
+          teacherProfile = new TeacherProfile({
+            userId: teacherId,
+            bio: '',
+            specialization: '',
+            experience: 0,
+            education: '',
+            ...(await getTeacherRating(teacherId)),
+          });
+          await teacherProfile.save();
+        }
+
+        await teacherProfile.populate('userId', 'name email role');
+        return res.json(teacherProfile);
+      } else {
+        // Get all teachers
+        const teachers = await User.find({ role: 'teacher', deletedAt: null });
+        const teacherIds = teachers.map((teacher) => teacher._id);
+
+        const teacherProfiles = await TeacherProfile.find({
+          userId: { $in: teacherIds },
+        }).populate('userId', 'name email role');
+
+        // Create profiles for teachers who don't have one
+        const existingProfileIds = teacherProfiles.map((profile) =>
+          profile.userId._id.toString()
+        );
+        const missingProfiles = teachers.filter(
+          (teacher) => !existingProfileIds.includes(teacher._id.toString())
+        );
+
+        if (missingProfiles.length > 0) {
+          const newProfiles = await Promise.all(
+            missingProfiles.map(async (teacher) => ({
+              userId: teacher._id,
+              bio: '',
+              specialization: '',
+              experience: 0,
+              education: '',
+              ...(await getTeacherRating(teacher._id)),
+            }))
+          );
+
+          await TeacherProfile.insertMany(newProfiles);
+
+          // Fetch all profiles again including the newly created ones
+          const allProfiles = await TeacherProfile.find({
+            userId: { $in: teacherIds },
+          }).populate('userId', 'name email role');
+          return res.json(allProfiles);
+        }
+
+        return res.json(teacherProfiles);
+      }
+    } catch (error) {
+      console.error('Get teacher profile(s) error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Create or update teacher profile
+router.post(
+  '/teacherProfiles',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.teacherProfiles.save),
+  async (req, res) => {
+    try {
+      // First verify that the user exists
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        console.error('User not found:', req.user.userId);
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const {
+        bio,
+        specialization,
+        experience,
+        education,
+        avatar,
+        certifications,
+        expertise,
+        socialLinks,
+        teacherName,
+        email,
+      } = req.body;
+
+      console.log('Received profile data:', req.body);
+
+      // Find existing profile or create new one
+      let teacherProfile = await TeacherProfile.findOne({
+        userId: req.user.userId,
+      });
+      let replacesAvatarUpload = false;
+
+      if (teacherProfile) {
+        console.log('Updating existing profile for user:', req.user.userId);
+        // Update existing profile
+        teacherProfile.teacherName = teacherName || teacherProfile.teacherName;
+        teacherProfile.email = email || teacherProfile.email;
+        teacherProfile.bio = bio || teacherProfile.bio;
+        teacherProfile.specialization =
+          specialization || teacherProfile.specialization;
+        teacherProfile.experience = experience || teacherProfile.experience;
+        teacherProfile.education = education || teacherProfile.education;
+        replacesAvatarUpload = replacesUploadedAvatar(teacherProfile, avatar);
+        if (replacesAvatarUpload) {
+          teacherProfile.avatarThumbnail = '';
+        }
+        teacherProfile.avatar = avatar || teacherProfile.avatar;
+        teacherProfile.certifications =
+          certifications || teacherProfile.certifications;
+        teacherProfile.expertise = expertise || teacherProfile.expertise;
+        teacherProfile.socialLinks = socialLinks || teacherProfile.socialLinks;
+        teacherProfile.updatedAt = Date.now();
+      } else {
+        console.log('Creating new profile for user:', req.user.userId);
+        // Create new profile with required fields
+        teacherProfile = new TeacherProfile({
+          userId: req.user.userId,
+          teacherName: teacherName || user.name,
+          email: email || user.email,
+          bio: bio || '',
+          specialization: specialization || '',
+          experience: experience || '0',
+          education: education || '',
+          avatar: avatar || '',
+          certifications: certifications || [],
+          expertise: expertise || [],
+          socialLinks: socialLinks || {
+            linkedin: '',
+            github: '',
+            twitter: '',
+            website: '',
+          },
+          ...(await getTeacherRating(req.user.userId)),
+        });
+      }
+
+      // Validate the profile before saving
+      const validationError = teacherProfile.validateSync();
+      if (validationError) {
+        console.error('Validation error:', validationError);
+        return res.status(400).json({
+          message: 'Validation error',
+          error: validationError.message,
+        });
+      }
+
+      await teacherProfile.save();
+      if (replacesAvatarUpload) {
+        await deleteMediaForEntities('User', [req.user.userId], 'avatar');
+      }
+      await teacherProfile.populate('userId', 'name email role');
+      console.log('Profile saved successfully:', teacherProfile._id);
+      res.json(teacherProfile);
+    } catch (error) {
+      console.error('Create/Update teacher profile error:', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.user?.userId,
+        body: req.body,
+      });
+      res.status(500).json({
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Update specific teacher profile
+router.put(
+  '/teacherProfiles/:teacherId',
+  authenticateToken,
+  isTeacher,
+  validate(schemas.teacherProfiles.update),
+  async (req, res) => {
+    try {
+      const { teacherId } = req.params;
+      const {
+        teacherName,
+        email,
+        bio,
+        specialization,
+        experience,
+        education,
+        avatar,
+        certifications,
+        expertise,
+        socialLinks,
+      } = req.body;
+
+      // Verify that the teacher is updating their own profile
+      if (teacherId !== req.user.userId.toString()) {
+        return res
+          .status(403)
+          .json({ message: 'You can only update your own profile' });
+      }
+
+      // Find the profile
+      let teacherProfile = await TeacherProfile.findOne({ userId: teacherId });
+      let replacesAvatarUpload = false;
+
+      if (!teacherProfile) {
+        // Create new profile if it doesn't exist
+        teacherProfile = new TeacherProfile({
+          userId: teacherId,
+          teacherName: teacherName || '',
+          email: email || '',
+          bio: bio || '',
+          specialization: specialization || '',
+          experience: experience || '0',
+          education: education || '',
+          avatar: avatar || '',
+          certifications: certifications || [],
+          expertise: expertise || [],
+          socialLinks: socialLinks || {
+            linkedin: '',
+            github: '',
+            twitter: '',
+            website: '',
+          },
+          ...(await getTeacherRating(teacherId)),
+        });
+      } else {
+        // Update existing profile
+        teacherProfile.teacherName = teacherName || teacherProfile.teacherName;
+        teacherProfile.email = email || teacherProfile.email;
+        teacherProfile.bio = bio || teacherProfile.bio;
+        teacherProfile.specialization =
+          specialization || teacherProfile.specialization;
+        teacherProfile.experience = experience || teacherProfile.experience;
+        teacherProfile.education = education || teacherProfile.education;
+        replacesAvatarUpload = replacesUploadedAvatar(teacherProfile, avatar);
+        if (replacesAvatarUpload) {
+          teacherProfile.avatarThumbnail = '';
+        }
+        teacherProfile.avatar = avatar || teacherProfile.avatar;
+        teacherProfile.certifications =
+          certifications || teacherProfile.certifications;
+        teacherProfile.expertise = expertise || teacherProfile.expertise;
+        teacherProfile.socialLinks = {
+          linkedin:
+            socialLinks?.linkedin || teacherProfile.socialLinks?.linkedin || '',
+          github:
+            socialLinks?.github || teacherProfile.socialLinks?.github || '',
+          twitter:
+            socialLinks?.twitter || teacherProfile.socialLinks?.twitter || '',
+          website:
+            socialLinks?.website || teacherProfile.socialLinks?.website || '',
+        };
+        teacherProfile.updatedAt = Date.now();
+      }
+
+      await teacherProfile.save();
+      if (replacesAvatarUpload) {
+        await deleteMediaForEntities('User', [req.user.userId], 'avatar');
+      }
+      await teacherProfile.populate('userId', 'name email role');
+      res.json(teacherProfile);
+    } catch (error) {
+      console.error('Update teacher profile error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
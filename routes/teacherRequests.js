@@ -0,0 +1,161 @@
+const express = require('express');
+const User = require('../models/User');
+const TeacherRequest = require('../models/TeacherRequest');
+const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { revokeUserSessions } = require('../services/auth');
+const { parsePagination, paginatedResponse } = require('../utils/query');
+const { grantRole } = require('../services/roles');
+const { auditSnapshot, recordChange } = require('../services/audit');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Ask to become a teacher (students only)
+router.post(
+  '/teacher-requests',
+  authenticateToken,
+  validate(schemas.teacherRequests.create),
+  async (req, res) => {
+    try {
+      const { message } = req.body;
+
+      if (req.user.role !== 'student') {
+        return res
+          .status(400)
+          .json({ message: 'Only students can request teacher access' });
+      }
+
+      const teacherRequest = new TeacherRequest({
+        userId: req.user.userId,
+        message,
+      });
+      await teacherRequest.save();
+
+      res.status(201).json(teacherRequest);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(400)
+          .json({ message: 'You already have a pending teacher request' });
+      }
+      console.error('Create teacher request error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Get own teacher requests
+router.get('/teacher-requests/me', authenticateToken, async (req, res) => {
+  try {
+    const teacherRequests = await TeacherRequest.find({
+      userId: req.user.userId,
+    }).sort({ createdAt: -1 });
+
+    res.json(teacherRequests);
+  } catch (error) {
+    console.error('Get own teacher requests error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// List teacher requests (admin only)
+router.get(
+  '/teacher-requests',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.teacherRequests.list),
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+      const query = status ? { status } : {};
+      const pagination = parsePagination(req.query);
+
+      const [teacherRequests, total] = await Promise.all([
+        TeacherRequest.find(query)
+          .populate('userId', 'name email role')
+          .populate('reviewedBy', 'name email')
+          .sort({ createdAt: -1 })
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        TeacherRequest.countDocuments(query),
+      ]);
+
+      res.json(paginatedResponse(teacherRequests, total, pagination));
+    } catch (error) {
+      console.error('Get teacher requests error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+);
+
+// Approve or reject a pending teacher request (admin only)
+function decideTeacherRequest(status) {
+  return async (req, res) => {
+    try {
+      const { requestId } = req.params;
+      const { reason } = req.body;
+
+      const teacherRequest = await TeacherRequest.findById(requestId);
+      if (!teacherRequest) {
+        return res.status(404).json({ message: 'Teacher request not found' });
+      }
+
+      if (teacherRequest.status !== 'pending') {
+        return res.status(400).json({
+          message: `Teacher request is already ${teacherRequest.status}`,
+        });
+      }
+
+      const user = await User.findById(teacherRequest.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const before = auditSnapshot(teacherRequest);
+      teacherRequest.status = status;
+      teacherRequest.decisionReason = reason || '';
+      teacherRequest.reviewedBy = req.user.userId;
+      teacherRequest.reviewedAt = Date.now();
+      await teacherRequest.save();
+      await recordChange(
+        req,
+        `teacher_request.${status === 'approved' ? 'approve' : 'reject'}`,
+        teacherRequest,
+        before
+      );
+
+      if (status === 'approved' && user.role === 'student') {
+        await grantRole(user, 'teacher', {
+          grantedBy: req.user.userId,
+          source: 'teacher_request',
+          req,
+        });
+        await revokeUserSessions(user._id);
+      }
+
+      res.json(teacherRequest);
+    } catch (error) {
+      console.error('Decide teacher request error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+router.put(
+  '/teacher-requests/:requestId/approve',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.teacherRequests.decide),
+  decideTeacherRequest('approved')
+);
+
+router.put(
+  '/teacher-requests/:requestId/reject',
+  authenticateToken,
+  isAdmin,
+  validate(schemas.teacherRequests.decide),
+  decideTeacherRequest('rejected')
+);
+
+module.exports = router;
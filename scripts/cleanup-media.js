@@ -0,0 +1,22 @@
+// Remove uploaded files whose owning user, course or lesson no longer
+// exists, including files whose removal failed when the entity was deleted.
+// Usage: npm run cleanup-media
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { findOrphanedMedia, deleteMedia } = require('../services/media');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const orphans = await findOrphanedMedia();
+  await deleteMedia(orphans);
+
+  console.log(`Cleaned up ${orphans.length} orphaned file(s)`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Cleanup media error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// One-time bootstrap of the first admin account.
+// Usage: npm run create-admin -- <email> <password> <name>
+// An existing account with the email is promoted instead of created.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { grantRole } = require('../services/roles');
+
+async function main() {
+  const [email, password, ...nameParts] = process.argv.slice(2);
+  const name = nameParts.join(' ');
+
+  if (!email) {
+    throw new Error('Usage: create-admin <email> <password> <name>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const adminExists = await User.findOne({ role: 'admin', deletedAt: null });
+  if (adminExists) {
+    throw new Error('Admin already exists');
+  }
+
+  let user = await User.findOne({ email: email.toLowerCase().trim() });
+  if (!user) {
+    if (!password || !name) {
+      throw new Error('Password and name are required for a new account');
+    }
+    user = new User({ email, password, name, role: 'admin' });
+  }
+
+  await grantRole(user, 'admin', { source: 'bootstrap' });
+  console.log(`Admin ready: ${user.email}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Create admin error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// Issue certificates for enrollments that were completed before
+// certificates existed. Already issued certificates are left untouched.
+// Usage: npm run issue-certificates
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
+const { issueCertificate } = require('../services/certificates');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const enrollments = await Enrollment.find({ status: 'completed' });
+  for (const enrollment of enrollments) {
+    await issueCertificate(enrollment);
+  }
+
+  console.log(`Checked ${enrollments.length} completed enrollment(s)`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Issue certificates error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,22 @@
+// Purge users deleted longer ago than the retention window
+// (USER_RETENTION_DAYS, 30 days by default). Meant to run from cron, for
+// example once a day.
+// Usage: npm run purge-users
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { purgeDeletedUsers } = require('../services/users');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const purged = await purgeDeletedUsers();
+
+  console.log(`Purged ${purged} deleted user(s)`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Purge users error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+// Rebuild rating aggregates on every course and teacher profile from the
+// stored reviews. Run once after upgrading, or to repair drifted totals.
+// Reviews written before moderation existed are marked visible first.
+// Usage: npm run recalculate-ratings
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const CourseReview = require('../models/CourseReview');
+const { updateCourseRating } = require('../services/reviews');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { modifiedCount } = await CourseReview.updateMany(
+    { status: { $exists: false } },
+    { status: 'visible' }
+  );
+  console.log(`Marked ${modifiedCount} older review(s) as visible`);
+
+  const courseIds = await Course.find().distinct('_id');
+  for (const courseId of courseIds) {
+    await updateCourseRating(courseId);
+  }
+
+  console.log(`Recalculated ratings for ${courseIds.length} course(s)`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Recalculate ratings error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,30 @@
+// Send homework due reminders, drip lesson unlock notifications and the daily
+// email digests. Meant to run from cron, for example every hour; each digest
+// goes out at most once a day.
+// Usage: npm run send-notifications
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+  sendHomeworkDueReminders,
+  sendLessonUnlockNotifications,
+  sendEmailDigests,
+} = require('../services/notifications');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const reminders = await sendHomeworkDueReminders();
+  const unlocks = await sendLessonUnlockNotifications();
+  const digests = await sendEmailDigests();
+
+  console.log(
+    `Sent ${reminders} homework reminder(s), ${unlocks} lesson unlock notification(s) and ${digests} email digest(s)`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error('Send notifications error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,477 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Homework = require('../models/Homework');
+const HomeworkSubmission = require('../models/HomeworkSubmission');
+const Lesson = require('../models/Lesson');
+const LessonProgress = require('../models/LessonProgress');
+const Payment = require('../models/Payment');
+const CourseReview = require('../models/CourseReview');
+const { parseDateRange } = require('../utils/query');
+const { getCourseCurriculum } = require('./lessons');
+
+// Payments that brought in money, refunded or not; refunds are subtracted
+// to get net revenue
+const REVENUE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Match a date field against an optional `from`/`to` range
+function dateMatch(field, range) {
+  const dates = parseDateRange(range);
+  return Object.keys(dates).length > 0 ? { [field]: dates } : {};
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round((value || 0) * factor) / factor;
+}
+
+// Restrict to a set of courses, or to none when courseIds is null
+function courseMatch(courseIds) {
+  return courseIds ? { courseId: { $in: courseIds } } : {};
+}
+
+// $facet branches computing the same totals across everything matched and,
+// for a set of courses, per course, in a single pass
+function totalsFacet(courseIds, courseIdField, group) {
+  const facets = { overall: [{ $group: { _id: null, ...group } }] };
+  if (courseIds) {
+    facets.byCourse = [{ $group: { _id: courseIdField, ...group } }];
+  }
+  return facets;
+}
+
+// $facet branch bucketing documents by day, week or month (UTC). Buckets
+// without any document are left out.
+function seriesFacet(dateField, interval, group) {
+  return [
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: `$${dateField}`,
+            unit: interval,
+            startOfWeek: 'monday',
+          },
+        },
+        ...group,
+      },
+    },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+async function aggregateEnrollments(courseIds, range) {
+  const group = {
+    total: { $sum: 1 },
+    active: countWhere({ $eq: ['$status', 'active'] }),
+    completed: countWhere({ $eq: ['$status', 'completed'] }),
+    cancelled: countWhere({ $eq: ['$status', 'cancelled'] }),
+    // $avg skips the nulls, so cancelled enrollments do not drag it down
+    averageProgress: {
+      $avg: {
+        $cond: [{ $ne: ['$status', 'cancelled'] }, '$progress', null],
+      },
+    },
+  };
+
+  const [result] = await Enrollment.aggregate([
+    {
+      $match: {
+        ...courseMatch(courseIds),
+        ...dateMatch('enrolledAt', range),
+      },
+    },
+    {
+      $facet: {
+        ...totalsFacet(courseIds, '$courseId', group),
+        overTime: seriesFacet('enrolledAt', range.interval, {
+          enrollments: { $sum: 1 },
+        }),
+      },
+    },
+  ]);
+  return result;
+}
+
+// Homework due within the range: how many submissions came in out of those
+// expected from the course's students, and how many were on time
+async function aggregateHomework(courseIds, range) {
+  const lessonIds = await Lesson.find({
+    courseId: { $in: courseIds },
+  }).distinct('_id');
+
+  const [result] = await Homework.aggregate([
+    {
+      $match: {
+        lessonId: { $in: lessonIds },
+        ...dateMatch('dueDate', range),
+      },
+    },
+    {
+      $lookup: {
+        from: Lesson.collection.name,
+        localField: 'lessonId',
+        foreignField: '_id',
+        pipeline: [{ $project: { courseId: 1 } }],
+        as: 'lesson',
+      },
+    },
+    { $unwind: '$lesson' },
+    {
+      $lookup: {
+        from: Enrollment.collection.name,
+        localField: 'lesson.courseId',
+        foreignField: 'courseId',
+        pipeline: [
+          { $match: { status: { $ne: 'cancelled' } } },
+          { $count: 'students' },
+        ],
+        as: 'students',
+      },
+    },
+    {
+      $lookup: {
+        from: HomeworkSubmission.collection.name,
+        localField: '_id',
+        foreignField: 'homeworkId',
+        pipeline: [{ $project: { isLate: 1 } }],
+        as: 'submissions',
+      },
+    },
+    {
+      $project: {
+        courseId: '$lesson.courseId',
+        expected: { $ifNull: [{ $first: '$students.students' }, 0] },
+        submitted: { $size: '$submissions' },
+        onTime: {
+          $size: {
+            $filter: {
+              input: '$submissions',
+              cond: { $not: ['$$this.isLate'] },
+            },
+          },
+        },
+      },
+    },
+    {
+      $facet: totalsFacet(courseIds, '$courseId', {
+        homework: { $sum: 1 },
+        expected: { $sum: '$expected' },
+        submitted: { $sum: '$submitted' },
+        onTime: { $sum: '$onTime' },
+      }),
+    },
+  ]);
+  return result;
+}
+
+async function aggregateRevenue(courseIds, range) {
+  const [result] = await Payment.aggregate([
+    {
+      $match: {
+        ...courseMatch(courseIds),
+        status: { $in: REVENUE_STATUSES },
+        ...dateMatch('completedAt', range),
+      },
+    },
+    {
+      $facet: {
+        ...totalsFacet(courseIds, '$courseId', {
+          payments: { $sum: 1 },
+          grossRevenue: { $sum: '$amount' },
+          refundedAmount: { $sum: '$refundedAmount' },
+        }),
+        overTime: seriesFacet('completedAt', range.interval, {
+          payments: { $sum: 1 },
+          grossRevenue: { $sum: '$amount' },
+          refundedAmount: { $sum: '$refundedAmount' },
+        }),
+      },
+    },
+  ]);
+  return result;
+}
+
+async function aggregateRatings(courseIds, range) {
+  const group = {
+    reviews: { $sum: 1 },
+    averageRating: { $avg: '$rating' },
+  };
+
+  const [result] = await CourseReview.aggregate([
+    {
+      $match: {
+        courseId: { $in: courseIds },
+        status: { $ne: 'hidden' },
+        ...dateMatch('createdAt', range),
+      },
+    },
+    {
+      $facet: {
+        ...totalsFacet(courseIds, '$courseId', group),
+        overTime: seriesFacet('createdAt', range.interval, group),
+      },
+    },
+  ]);
+  return result;
+}
+
+function formatEnrollments(row = {}) {
+  return {
+    total: row.total || 0,
+    active: row.active || 0,
+    completed: row.completed || 0,
+    cancelled: row.cancelled || 0,
+    averageProgress: round(row.averageProgress),
+  };
+}
+
+function formatHomework(row = {}) {
+  const submitted = row.submitted || 0;
+  return {
+    homework: row.homework || 0,
+    expectedSubmissions: row.expected || 0,
+    submissions: submitted,
+    onTimeSubmissions: row.onTime || 0,
+    submissionRate: percentage(submitted, row.expected),
+    onTimeRate: percentage(row.onTime, submitted),
+  };
+}
+
+function formatRevenue(row = {}) {
+  const grossRevenue = round(row.grossRevenue, 2);
+  const refundedAmount = round(row.refundedAmount, 2);
+  return {
+    payments: row.payments || 0,
+    grossRevenue,
+    refundedAmount,
+    netRevenue: round(grossRevenue - refundedAmount, 2),
+  };
+}
+
+function formatRevenueSeries(rows) {
+  return rows.map((row) => ({ period: row._id, ...formatRevenue(row) }));
+}
+
+function formatSignups(row = {}) {
+  return {
+    total: row.total || 0,
+    student: row.student || 0,
+    teacher: row.teacher || 0,
+    admin: row.admin || 0,
+  };
+}
+
+function formatRatings(row = {}) {
+  return {
+    reviews: row.reviews || 0,
+    averageRating: round(row.averageRating),
+  };
+}
+
+const METRICS = [
+  ['enrollments', aggregateEnrollments, formatEnrollments],
+  ['homework', aggregateHomework, formatHomework],
+  ['revenue', aggregateRevenue, formatRevenue],
+  ['ratings', aggregateRatings, formatRatings],
+];
+
+// Enrollment, homework, revenue and rating figures for a set of courses,
+// in total and per course, plus their evolution over the range. `range`
+// holds the optional `from`/`to` dates and the `interval` of the series.
+async function getCoursesAnalytics(courseIds, range) {
+  const results = await Promise.all(
+    METRICS.map(([, aggregate]) => aggregate(courseIds, range))
+  );
+
+  const totals = {};
+  const byCourse = new Map(
+    courseIds.map((courseId) => [courseId.toString(), {}])
+  );
+  METRICS.forEach(([name, , format], index) => {
+    const { overall, byCourse: rows } = results[index];
+    totals[name] = format(overall[0]);
+
+    for (const [courseId, metrics] of byCourse) {
+      metrics[name] = format(rows.find((row) => row._id.equals(courseId)));
+    }
+  });
+
+  const [enrollments, , revenue, ratings] = results;
+  return {
+    totals,
+    byCourse,
+    enrollmentsOverTime: enrollments.overTime.map((row) => ({
+      period: row._id,
+      enrollments: row.enrollments,
+    })),
+    revenueOverTime: formatRevenueSeries(revenue.overTime),
+    ratingTrend: ratings.overTime.map((row) => ({
+      period: row._id,
+      ...formatRatings(row),
+    })),
+  };
+}
+
+// Platform-wide figures for the admin overview: users by role and status
+// with signups over the range, courses by category, enrollments and revenue
+async function getPlatformOverview(range) {
+  const signups = {
+    total: { $sum: 1 },
+    student: countWhere({ $eq: ['$role', 'student'] }),
+    teacher: countWhere({ $eq: ['$role', 'teacher'] }),
+    admin: countWhere({ $eq: ['$role', 'admin'] }),
+  };
+
+  const [[users], [courses], enrollments, revenue] = await Promise.all([
+    User.aggregate([
+      {
+        $facet: {
+          overall: [
+            {
+              $group: {
+                _id: null,
+                ...signups,
+                suspended: countWhere({ $eq: ['$status', 'suspended'] }),
+                banned: countWhere({ $eq: ['$status', 'banned'] }),
+              },
+            },
+          ],
+          signups: [
+            { $match: dateMatch('createdAt', range) },
+            { $group: { _id: null, ...signups } },
+          ],
+          signupsOverTime: [
+            { $match: dateMatch('createdAt', range) },
+            ...seriesFacet('createdAt', range.interval, signups),
+          ],
+        },
+      },
+    ]),
+    Course.aggregate([
+      {
+        $facet: {
+          overall: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                published: countWhere({ $ne: ['$published', false] }),
+                featured: countWhere({ $eq: ['$featured', true] }),
+              },
+            },
+          ],
+          byCategory: [
+            { $group: { _id: '$category', courses: { $sum: 1 } } },
+            { $sort: { courses: -1, _id: 1 } },
+          ],
+        },
+      },
+    ]),
+    aggregateEnrollments(null, range),
+    aggregateRevenue(null, range),
+  ]);
+
+  const userTotals = users.overall[0] || {};
+  const courseTotals = courses.overall[0] || { total: 0, published: 0 };
+
+  return {
+    users: {
+      total: userTotals.total || 0,
+      byRole: formatSignups(userTotals),
+      suspended: userTotals.suspended || 0,
+      banned: userTotals.banned || 0,
+      signups: formatSignups(users.signups[0]),
+      signupsOverTime: users.signupsOverTime.map((row) => ({
+        period: row._id,
+        ...formatSignups(row),
+      })),
+    },
+    courses: {
+      total: courseTotals.total,
+      published: courseTotals.published,
+      unpublished: courseTotals.total - courseTotals.published,
+      featured: courseTotals.featured || 0,
+      byCategory: courses.byCategory.map((row) => ({
+        category: row._id,
+        courses: row.courses,
+      })),
+    },
+    enrollments: {
+      ...formatEnrollments(enrollments.overall[0]),
+      overTime: enrollments.overTime.map((row) => ({
+        period: row._id,
+        enrollments: row.enrollments,
+      })),
+    },
+    revenue: {
+      ...formatRevenue(revenue.overall[0]),
+      overTime: formatRevenueSeries(revenue.overTime),
+    },
+  };
+}
+
+// How many students of the range's cohort completed each lesson, in
+// curriculum order, and the share lost since the previous lesson
+async function getLessonDropOff(course, range) {
+  const cohort = {
+    status: { $ne: 'cancelled' },
+    ...dateMatch('enrolledAt', range),
+  };
+
+  const [{ lessons }, completions, students] = await Promise.all([
+    getCourseCurriculum(course._id),
+    LessonProgress.aggregate([
+      { $match: { courseId: course._id, completed: true } },
+      {
+        $lookup: {
+          from: Enrollment.collection.name,
+          localField: 'enrollmentId',
+          foreignField: '_id',
+          as: 'enrollment',
+        },
+      },
+      { $unwind: '$enrollment' },
+      {
+        $match: {
+          'enrollment.status': cohort.status,
+          ...dateMatch('enrollment.enrolledAt', range),
+        },
+      },
+      { $group: { _id: '$lessonId', completedBy: { $sum: 1 } } },
+    ]),
+    Enrollment.countDocuments({ courseId: course._id, ...cohort }),
+  ]);
+
+  let previous = students;
+  return lessons.map((lesson, index) => {
+    const stats = completions.find((item) => item._id.equals(lesson._id));
+    const completedBy = stats ? stats.completedBy : 0;
+    const dropOffRate = percentage(
+      Math.max(previous - completedBy, 0),
+      previous
+    );
+    previous = completedBy;
+
+    return {
+      lessonId: lesson._id,
+      title: lesson.title,
+      position: index + 1,
+      completedBy,
+      completionRate: percentage(completedBy, students),
+      dropOffRate,
+    };
+  });
+}
+
+module.exports = {
+  getCoursesAnalytics,
+  getPlatformOverview,
+  getLessonDropOff,
+};
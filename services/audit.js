@@ -0,0 +1,108 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit log
+const SECRET_FIELDS = ['password', 'tokenVersion'];
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Account fields admins act on; preferences and tokens stay out of the log
+const USER_AUDIT_FIELDS = [
+  'name',
+  'email',
+  'emailVerified',
+  'role',
+  'status',
+  'suspendedUntil',
+  'suspensionReason',
+  'deletedAt',
+];
+
+// Plain copy of a document for the audit log, limited to `fields` when
+// given. Secrets and bookkeeping fields are left out.
+function auditSnapshot(doc, fields) {
+  const plain = doc.toObject({ depopulate: true, flattenMaps: true });
+  const keys = (fields || Object.keys(plain)).filter(
+    (key) => !SECRET_FIELDS.includes(key) && !IGNORED_FIELDS.includes(key)
+  );
+
+  const snapshot = {};
+  for (const key of keys) {
+    if (plain[key] !== undefined) {
+      snapshot[key] = plain[key];
+    }
+  }
+  return snapshot;
+}
+
+// Keep only the fields whose value differs between two snapshots
+function diffSnapshots(before, after) {
+  const diff = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      if (before[key] !== undefined) {
+        diff.before[key] = before[key];
+      }
+      if (after[key] !== undefined) {
+        diff.after[key] = after[key];
+      }
+    }
+  }
+  return diff;
+}
+
+// Append an entry to the audit log. The actor, IP and user agent come from
+// `req`, which is omitted for actions taken by command-line scripts. When
+// both snapshots are given only the fields that changed are kept. Like
+// notifications, auditing never fails the action it records.
+async function recordAudit(
+  req,
+  { action, targetType, targetId, before = null, after = null }
+) {
+  try {
+    const changes =
+      before && after ? diffSnapshots(before, after) : { before, after };
+    const actor = req && req.user;
+
+    await AuditLog.create({
+      actorId: actor ? actor.userId : null,
+      actorRole: actor ? actor.role : null,
+      action,
+      targetType,
+      targetId,
+      ...changes,
+      ip: (req && req.ip) || '',
+      userAgent: (req && req.headers['user-agent']) || '',
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+// Record the creation of `doc`, or its update when the snapshot taken
+// before the change is given
+async function recordChange(req, action, doc, before, fields) {
+  await recordAudit(req, {
+    action,
+    targetType: doc.constructor.modelName,
+    targetId: doc._id,
+    before: before || null,
+    after: auditSnapshot(doc, fields),
+  });
+}
+
+async function recordRemoval(req, action, doc, fields) {
+  await recordAudit(req, {
+    action,
+    targetType: doc.constructor.modelName,
+    targetId: doc._id,
+    before: auditSnapshot(doc, fields),
+  });
+}
+
+module.exports = {
+  USER_AUDIT_FIELDS,
+  auditSnapshot,
+  recordAudit,
+  recordChange,
+  recordRemoval,
+};
@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+const { sendMail } = require('./mailer');
+const { disconnectUser } = require('./realtime');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a short-lived access token and a server-side refresh token
+async function issueTokens(user, req) {
+  const token = jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      tokenVersion: user.tokenVersion,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || '',
+  });
+
+  return { token, refreshToken };
+}
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Create a single-use email token, replacing any unused one of the same type
+async function createUserToken(userId, type, ttlMs) {
+  await UserToken.deleteMany({ userId, type, usedAt: { $exists: false } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+}
+
+// Find a valid email token and mark it as used
+async function consumeUserToken(token, type) {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(
+    user._id,
+    'email_verification',
+    EMAIL_VERIFICATION_TTL_MS
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your EduNet email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\nThe link expires in 24 hours.`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createUserToken(
+    user._id,
+    'password_reset',
+    PASSWORD_RESET_TTL_MS
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your EduNet password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${APP_URL}/reset-password?token=${token}\n\nThe link expires in 1 hour. If you did not ask for a reset, ignore this email.`,
+  });
+}
+
+// Invalidate every access and refresh token of a user and close their live
+// connections, which were opened with those tokens
+async function revokeUserSessions(userId, reason) {
+  await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  disconnectUser(userId, reason);
+}
+
+module.exports = {
+  hashToken,
+  issueTokens,
+  createUserToken,
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  revokeUserSessions,
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const TeacherProfile = require('../models/TeacherProfile');
+const Certificate = require('../models/Certificate');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Public certificate IDs look like EDU-1A2B-3C4D-5E6F
+function generateCertificateId() {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `EDU-${hex.match(/.{4}/g).join('-')}`;
+}
+
+function verificationUrl(certificate) {
+  return `${APP_URL}/certificates/${certificate.certificateId}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+// Issue the certificate for a completed enrollment. Safe to call more than
+// once: an enrollment only ever gets a single certificate.
+async function issueCertificate(enrollment) {
+  const existing = await Certificate.findOne({ enrollmentId: enrollment._id });
+  if (existing) {
+    return existing;
+  }
+
+  const [user, course] = await Promise.all([
+    User.findById(enrollment.userId).select('name'),
+    Course.findById(enrollment.courseId).select('title teacherId'),
+  ]);
+  if (!user || !course) {
+    return null;
+  }
+
+  const [teacherProfile, teacher] = await Promise.all([
+    TeacherProfile.findOne({ userId: course.teacherId }).select('teacherName'),
+    User.findById(course.teacherId).select('name'),
+  ]);
+
+  try {
+    return await Certificate.create({
+      certificateId: generateCertificateId(),
+      userId: enrollment.userId,
+      courseId: enrollment.courseId,
+      enrollmentId: enrollment._id,
+      studentName: user.name,
+      courseTitle: course.title,
+      teacherName:
+        (teacherProfile && teacherProfile.teacherName) ||
+        (teacher && teacher.name) ||
+        'EduNet',
+      completedAt: enrollment.completedAt || Date.now(),
+    });
+  } catch (error) {
+    // A concurrent request issued it first
+    if (error.code === 11000) {
+      return Certificate.findOne({ enrollmentId: enrollment._id });
+    }
+    throw error;
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function renderCertificateSvg(certificate) {
+  const text = (y, size, value, weight = 'normal') =>
+    `<text x="550" y="${y}" font-size="${size}" font-weight="${weight}" text-anchor="middle">${escapeXml(
+      value
+    )}</text>`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" width="1100" height="850" viewBox="0 0 1100 850" font-family="Helvetica, Arial, sans-serif" fill="#1f2937">',
+    '<rect width="1100" height="850" fill="#ffffff"/>',
+    '<rect x="30" y="30" width="1040" height="790" fill="none" stroke="#1d4ed8" stroke-width="6"/>',
+    text(170, 48, 'Certificate of Completion', 'bold'),
+    text(260, 22, 'This certifies that'),
+    text(340, 44, certificate.studentName, 'bold'),
+    text(420, 22, 'has successfully completed the course'),
+    text(490, 34, certificate.courseTitle, 'bold'),
+    text(560, 20, `Taught by ${certificate.teacherName}`),
+    text(600, 20, `Completed on ${formatDate(certificate.completedAt)}`),
+    text(730, 16, `Certificate ID: ${certificate.certificateId}`),
+    text(760, 16, `Verify at ${verificationUrl(certificate)}`),
+    '</svg>',
+  ].join('\n');
+}
+
+// Render the certificate as a single landscape page and resolve with the
+// PDF bytes
+function renderCertificatePdf(certificate) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      layout: 'landscape',
+      margin: 60,
+      info: {
+        Title: `Certificate ${certificate.certificateId}`,
+        Author: 'EduNet',
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    doc
+      .lineWidth(4)
+      .strokeColor('#1d4ed8')
+      .rect(24, 24, width - 48, height - 48)
+      .stroke();
+
+    const line = (value, size, font = 'Helvetica', gap = 1) =>
+      doc
+        .font(font)
+        .fontSize(size)
+        .text(value, { align: 'center' })
+        .moveDown(gap);
+
+    doc.fillColor('#1f2937').moveDown(2);
+    line('Certificate of Completion', 34, 'Helvetica-Bold', 1.5);
+    line('This certifies that', 16);
+    line(certificate.studentName, 30, 'Helvetica-Bold');
+    line('has successfully completed the course', 16);
+    line(certificate.courseTitle, 24, 'Helvetica-Bold');
+    line(`Taught by ${certificate.teacherName}`, 14, 'Helvetica', 0.3);
+    line(
+      `Completed on ${formatDate(certificate.completedAt)}`,
+      14,
+      'Helvetica',
+      3
+    );
+    line(`Certificate ID: ${certificate.certificateId}`, 11, 'Helvetica', 0.3);
+    line(`Verify at ${verificationUrl(certificate)}`, 11);
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  issueCertificate,
+  renderCertificateSvg,
+  renderCertificatePdf,
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Favorite = require('../models/Favorite');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const CourseSection = require('../models/CourseSection');
+const Enrollment = require('../models/Enrollment');
+const Homework = require('../models/Homework');
+const HomeworkSubmission = require('../models/HomeworkSubmission');
+const LessonProgress = require('../models/LessonProgress');
+const CourseReview = require('../models/CourseReview');
+const CourseApplication = require('../models/CourseApplication');
+const Quiz = require('../models/Quiz');
+const DiscussionThread = require('../models/DiscussionThread');
+const DiscussionReply = require('../models/DiscussionReply');
+const { deleteQuizzesCascade } = require('./quizzes');
+const { updateTeacherRating } = require('./reviews');
+const { deleteMediaForEntities } = require('./media');
+
+// Only the teacher who owns a course, or an admin, can modify it
+function canManageCourse(course, user) {
+  return user.role === 'admin' || course.teacherId.toString() === user.userId;
+}
+
+// Remove homework together with every submission made for it
+async function deleteHomeworkCascade(homeworkIds) {
+  await HomeworkSubmission.deleteMany({ homeworkId: { $in: homeworkIds } });
+  await Homework.deleteMany({ _id: { $in: homeworkIds } });
+}
+
+// Remove discussion threads matching a filter together with their replies
+async function deleteDiscussionsCascade(filter) {
+  const threadIds = await DiscussionThread.find(filter).distinct('_id');
+  await DiscussionReply.deleteMany({ threadId: { $in: threadIds } });
+  await DiscussionThread.deleteMany({ _id: { $in: threadIds } });
+}
+
+// Remove lessons together with their homework, quizzes, progress records,
+// discussions and uploaded files
+async function deleteLessonsCascade(lessonIds) {
+  const homeworkIds = await Homework.find({
+    lessonId: { $in: lessonIds },
+  }).distinct('_id');
+  const quizIds = await Quiz.find({ lessonId: { $in: lessonIds } }).distinct(
+    '_id'
+  );
+
+  await deleteHomeworkCascade(homeworkIds);
+  await deleteQuizzesCascade(quizIds);
+  await LessonProgress.deleteMany({ lessonId: { $in: lessonIds } });
+  await deleteDiscussionsCascade({ lessonId: { $in: lessonIds } });
+  await deleteMediaForEntities('Lesson', lessonIds);
+  await Lesson.deleteMany({ _id: { $in: lessonIds } });
+}
+
+// Remove a course and everything that references it. Payments are kept
+// for accounting.
+async function deleteCourseCascade(course) {
+  const lessonIds = await Lesson.find({ courseId: course._id }).distinct('_id');
+
+  await deleteLessonsCascade(lessonIds);
+  await CourseSection.deleteMany({ courseId: course._id });
+  await Enrollment.deleteMany({ courseId: course._id });
+  await CourseReview.deleteMany({ courseId: course._id });
+  await CourseApplication.deleteMany({ courseId: course._id });
+  await deleteDiscussionsCascade({ courseId: course._id });
+  await Favorite.deleteMany({ courseId: course._id.toString() });
+  await deleteMediaForEntities('Course', [course._id]);
+  await Course.findByIdAndDelete(course._id);
+  await updateTeacherRating(course.teacherId);
+}
+
+// Resolve a homework together with the lesson and course it belongs to
+async function findHomeworkWithCourse(homeworkId) {
+  if (!mongoose.Types.ObjectId.isValid(homeworkId)) {
+    return null;
+  }
+
+  const homework = await Homework.findById(homeworkId);
+  if (!homework) {
+    return null;
+  }
+
+  const lesson = await Lesson.findById(homework.lessonId);
+  if (!lesson) {
+    return null;
+  }
+
+  const course = await Course.findById(lesson.courseId);
+  if (!course) {
+    return null;
+  }
+
+  return { homework, lesson, course };
+}
+
+module.exports = {
+  canManageCourse,
+  deleteHomeworkCascade,
+  deleteLessonsCascade,
+  deleteCourseCascade,
+  findHomeworkWithCourse,
+};
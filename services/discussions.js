@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const DiscussionThread = require('../models/DiscussionThread');
+const DiscussionReply = require('../models/DiscussionReply');
+const { getLessonViewer } = require('./lessons');
+
+// Discussions are open to the course's teacher, admins and enrolled
+// students. Returns the lesson viewer of a member, or null.
+async function getDiscussionViewer(course, user) {
+  const viewer = await getLessonViewer(course, user);
+  return viewer.canManage || viewer.enrollment ? viewer : null;
+}
+
+// Resolve a thread together with the course it belongs to
+async function findThreadWithCourse(threadId) {
+  if (!mongoose.Types.ObjectId.isValid(threadId)) {
+    return null;
+  }
+
+  const thread = await DiscussionThread.findById(threadId);
+  if (!thread) {
+    return null;
+  }
+
+  const course = await Course.findById(thread.courseId);
+  if (!course) {
+    return null;
+  }
+
+  return { thread, course };
+}
+
+// Resolve a reply together with its thread and course
+async function findReplyWithThread(replyId) {
+  const reply = await DiscussionReply.findById(replyId);
+  if (!reply) {
+    return null;
+  }
+
+  const result = await findThreadWithCourse(reply.threadId);
+  return result && { reply, ...result };
+}
+
+// Keep the mentioned users who can read the course's discussions, leaving
+// out the author
+async function resolveMentions(course, userIds, authorId) {
+  const requested = [...new Set((userIds || []).map(String))].filter(
+    (userId) => userId !== authorId.toString()
+  );
+  if (requested.length === 0) {
+    return [];
+  }
+
+  const enrolled = await Enrollment.find({
+    courseId: course._id,
+    userId: { $in: requested },
+    status: { $ne: 'cancelled' },
+  }).distinct('userId');
+  const members = new Set(
+    [course.teacherId, ...enrolled].map((userId) => userId.toString())
+  );
+
+  return requested.filter((userId) => members.has(userId));
+}
+
+// Recount the replies of a thread and whether it has been answered
+async function refreshThreadStats(thread) {
+  const [replyCount, instructorReplied] = await Promise.all([
+    DiscussionReply.countDocuments({ threadId: thread._id }),
+    DiscussionReply.exists({ threadId: thread._id, fromInstructor: true }),
+  ]);
+
+  thread.replyCount = replyCount;
+  thread.answered = Boolean(thread.acceptedReplyId || instructorReplied);
+  await thread.save();
+}
+
+// Add or withdraw the user's upvote. The filter makes repeated votes
+// no-ops, so the count never drifts.
+async function setUpvote(Model, postId, userId, upvoted) {
+  const update = upvoted
+    ? {
+        filter: { _id: postId, upvotedBy: { $ne: userId } },
+        change: { $push: { upvotedBy: userId }, $inc: { upvoteCount: 1 } },
+      }
+    : {
+        filter: { _id: postId, upvotedBy: userId },
+        change: { $pull: { upvotedBy: userId }, $inc: { upvoteCount: -1 } },
+      };
+
+  await Model.updateOne(update.filter, update.change);
+  return Model.findById(postId);
+}
+
+// Thread or reply as shown to a user: whether they upvoted it instead of the
+// list of voters
+function presentPost(post, user) {
+  const data = post.toObject();
+  data.upvoted = post.upvotedBy.some((userId) => userId.equals(user.userId));
+  delete data.upvotedBy;
+  return data;
+}
+
+module.exports = {
+  getDiscussionViewer,
+  findThreadWithCourse,
+  findReplyWithThread,
+  resolveMentions,
+  refreshThreadStats,
+  setUpvote,
+  presentPost,
+};
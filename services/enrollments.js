@@ -0,0 +1,148 @@
+const Lesson = require('../models/Lesson');
+const Enrollment = require('../models/Enrollment');
+const LessonProgress = require('../models/LessonProgress');
+const CourseApplication = require('../models/CourseApplication');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { issueCertificate } = require('./certificates');
+const { notifyNewEnrollment } = require('./notifications');
+
+// Courses with requiresApplication only admit approved applicants
+async function hasEnrollmentApproval(userId, course) {
+  if (!course.requiresApplication) {
+    return true;
+  }
+
+  const application = await CourseApplication.findOne({
+    userId,
+    courseId: course._id,
+    status: 'approved',
+  });
+  return Boolean(application);
+}
+
+// Create an enrollment, or reactivate a cancelled one. The teacher is told
+// about every student who joins.
+async function activateEnrollment(userId, courseId) {
+  let enrollment = await Enrollment.findOne({ userId, courseId });
+  const joined = !enrollment || enrollment.status === 'cancelled';
+
+  if (!enrollment) {
+    enrollment = new Enrollment({ userId, courseId });
+  } else if (enrollment.status === 'cancelled') {
+    enrollment.status = 'active';
+    enrollment.enrolledAt = Date.now();
+  }
+
+  await enrollment.save();
+  if (joined) {
+    await notifyNewEnrollment(enrollment);
+  }
+  return enrollment;
+}
+
+// Recompute enrollment progress from completed lessons and passed quizzes
+// in the course, along with the overall quiz score
+async function recalculateEnrollmentProgress(enrollment) {
+  const [lessonIds, quizIds] = await Promise.all([
+    Lesson.find({ courseId: enrollment.courseId }).distinct('_id'),
+    Quiz.find({ courseId: enrollment.courseId }).distinct('_id'),
+  ]);
+
+  const [completedLessons, bestScores] = await Promise.all([
+    LessonProgress.countDocuments({
+      userId: enrollment.userId,
+      lessonId: { $in: lessonIds },
+      completed: true,
+    }),
+    QuizAttempt.aggregate([
+      {
+        $match: {
+          userId: enrollment.userId,
+          quizId: { $in: quizIds },
+          status: 'submitted',
+        },
+      },
+      {
+        $group: {
+          _id: '$quizId',
+          best: { $max: '$percentage' },
+          passed: { $max: '$passed' },
+        },
+      },
+    ]),
+  ]);
+
+  const passedQuizzes = bestScores.filter((quiz) => quiz.passed).length;
+  const totalItems = lessonIds.length + quizIds.length;
+  const completedCount = completedLessons + passedQuizzes;
+
+  enrollment.quizScore =
+    quizIds.length > 0
+      ? Math.round(
+          bestScores.reduce((sum, quiz) => sum + quiz.best, 0) / quizIds.length
+        )
+      : 0;
+
+  enrollment.progress =
+    totalItems > 0 ? Math.round((completedCount / totalItems) * 100) : 0;
+
+  const justCompleted =
+    totalItems > 0 &&
+    completedCount === totalItems &&
+    enrollment.status === 'active';
+
+  if (justCompleted) {
+    enrollment.status = 'completed';
+    enrollment.completedAt = Date.now();
+  }
+
+  await enrollment.save();
+
+  if (justCompleted) {
+    await issueCertificate(enrollment);
+  }
+
+  return enrollment;
+}
+
+// Enrollments recalculated at the same time by recalculateCourseProgress
+const PROGRESS_BATCH_SIZE = 50;
+
+async function recalculateProgressBatch(enrollments) {
+  await Promise.all(
+    enrollments.map(async (enrollment) => {
+      try {
+        await recalculateEnrollmentProgress(enrollment);
+      } catch (error) {
+        console.error('Recalculate progress error:', error);
+      }
+    })
+  );
+}
+
+// Recompute progress of every student in a course, after lessons or quizzes
+// were added or removed. Enrollments are read from a cursor and handled in
+// batches. Like notifications, this never fails the change that caused it.
+async function recalculateCourseProgress(courseId) {
+  try {
+    let batch = [];
+    for await (const enrollment of Enrollment.find({ courseId }).cursor()) {
+      batch.push(enrollment);
+      if (batch.length === PROGRESS_BATCH_SIZE) {
+        await recalculateProgressBatch(batch);
+        batch = [];
+      }
+    }
+    await recalculateProgressBatch(batch);
+  } catch (error) {
+    console.error('Recalculate course progress error:', error);
+  }
+}
+
+module.exports = {
+  hasEnrollmentApproval,
+  activateEnrollment,
+  recalculateEnrollmentProgress,
+  recalculateCourseProgress,
+};
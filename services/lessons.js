@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const CourseSection = require('../models/CourseSection');
+const Enrollment = require('../models/Enrollment');
+const { canManageCourse } = require('./courses');
+const { signVideoLink, signMediaLink } = require('./signedLinks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Who is looking at a course's lessons. Managers see everything; enrolled
+// students get the drip schedule relative to their own enrollment.
+async function getLessonViewer(course, user) {
+  if (!user) {
+    return { canManage: false, enrollment: null };
+  }
+
+  if (canManageCourse(course, user)) {
+    return { canManage: true, enrollment: null };
+  }
+
+  const enrollment = await Enrollment.findOne({
+    userId: user.userId,
+    courseId: course._id,
+    status: { $ne: 'cancelled' },
+  });
+  return { canManage: false, enrollment };
+}
+
+// Unpublished courses, their lessons included, are only visible to admins,
+// to their teacher and to students who are already enrolled
+function canViewCourse(course, viewer) {
+  return course.published || viewer.canManage || Boolean(viewer.enrollment);
+}
+
+// Whether a drip-scheduled lesson is open yet. Lessons released relative to
+// enrollment stay locked, with no date, for anyone not enrolled.
+function getLessonAvailability(lesson, enrollment, now = new Date()) {
+  if (lesson.releaseAt) {
+    return { locked: now < lesson.releaseAt, unlocksAt: lesson.releaseAt };
+  }
+
+  if (lesson.releaseAfterDays > 0) {
+    if (!enrollment) {
+      return { locked: true, unlocksAt: null };
+    }
+
+    const unlocksAt = new Date(
+      enrollment.enrolledAt.getTime() + lesson.releaseAfterDays * DAY_MS
+    );
+    return { locked: now < unlocksAt, unlocksAt };
+  }
+
+  return { locked: false, unlocksAt: null };
+}
+
+// Whether a viewer may open a lesson. Content is reserved for enrolled
+// students, except for free previews, and drip-scheduled lessons stay
+// closed until they unlock.
+function getLessonAccess(lesson, viewer) {
+  if (viewer.canManage) {
+    return { locked: false, lockReason: null, unlocksAt: null };
+  }
+
+  if (!viewer.enrollment && !lesson.isPreview) {
+    return { locked: true, lockReason: 'enrollment_required', unlocksAt: null };
+  }
+
+  const { locked, unlocksAt } = getLessonAvailability(
+    lesson,
+    viewer.enrollment
+  );
+  return { locked, lockReason: locked ? 'not_released' : null, unlocksAt };
+}
+
+// Load the course of a lesson and work out what the user may see of it
+async function resolveLessonAccess(lesson, user) {
+  const course = await Course.findById(lesson.courseId);
+  if (!course) {
+    return null;
+  }
+
+  const viewer = await getLessonViewer(course, user);
+  return { course, viewer, access: getLessonAccess(lesson, viewer) };
+}
+
+const LOCK_MESSAGES = {
+  enrollment_required: 'Enroll in this course to access this lesson',
+  not_released: 'This lesson is not available yet',
+};
+
+// Body of the 403 sent when a locked lesson is requested
+function lockedLessonResponse(access) {
+  return {
+    message: LOCK_MESSAGES[access.lockReason],
+    lockReason: access.lockReason,
+    unlocksAt: access.unlocksAt,
+  };
+}
+
+// Lesson as shown to a viewer. Managers get the stored lesson; everyone else
+// gets a signed video link, and no content at all for locked lessons.
+// Uploaded videos and attachments are only ever reachable through signed
+// links.
+function presentLesson(lesson, viewer) {
+  const data = lesson.toObject();
+  const hasVideo = Boolean(lesson.videoUrl || lesson.videoMediaId);
+  const withLinks = (attachments) =>
+    attachments.map((attachment) => ({
+      ...attachment,
+      url: signMediaLink(attachment.mediaId),
+    }));
+
+  if (viewer.canManage) {
+    return {
+      ...data,
+      videoLink: hasVideo ? signVideoLink(lesson._id) : null,
+      attachments: withLinks(data.attachments),
+    };
+  }
+
+  const access = getLessonAccess(lesson, viewer);
+  delete data.videoUrl;
+  delete data.videoMediaId;
+  if (access.locked) {
+    delete data.description;
+    delete data.attachments;
+  } else {
+    data.videoUrl = hasVideo ? signVideoLink(lesson._id) : null;
+    data.attachments = withLinks(data.attachments);
+  }
+  return { ...data, ...access };
+}
+
+// Order lessons by section, then by their position within it. `sections`
+// must already be sorted; lessons without a section come first.
+function sortLessons(lessons, sections) {
+  const sectionRank = new Map(
+    sections.map((section, index) => [section._id.toString(), index])
+  );
+  const rankOf = (lesson) =>
+    (lesson.sectionId && sectionRank.get(lesson.sectionId.toString())) ?? -1;
+
+  return [...lessons].sort(
+    (a, b) =>
+      rankOf(a) - rankOf(b) || a.order - b.order || a.createdAt - b.createdAt
+  );
+}
+
+async function getCourseCurriculum(courseId) {
+  const [sections, lessons] = await Promise.all([
+    CourseSection.find({ courseId }).sort({ order: 1, createdAt: 1 }),
+    Lesson.find({ courseId }),
+  ]);
+
+  return { sections, lessons: sortLessons(lessons, sections) };
+}
+
+// Rewrite section order and lesson placement in one transaction, so readers
+// never see a half-applied reorder. Section and lesson positions follow the
+// array order of the (already validated) layout.
+async function reorderCurriculum(courseId, { sections, unsectionedLessonIds }) {
+  const sectionWrites = sections.map((section, index) => ({
+    updateOne: {
+      filter: { _id: section.sectionId, courseId },
+      update: { $set: { order: index + 1 } },
+    },
+  }));
+
+  const lessonWrites = [
+    ...unsectionedLessonIds.map((lessonId, index) => ({
+      updateOne: {
+        filter: { _id: lessonId, courseId },
+        update: { $set: { order: index + 1 }, $unset: { sectionId: 1 } },
+      },
+    })),
+    ...sections.flatMap((section) =>
+      section.lessonIds.map((lessonId, index) => ({
+        updateOne: {
+          filter: { _id: lessonId, courseId },
+          update: { $set: { order: index + 1, sectionId: section.sectionId } },
+        },
+      }))
+    ),
+  ];
+
+  await mongoose.connection.transaction(async (session) => {
+    if (sectionWrites.length > 0) {
+      await CourseSection.bulkWrite(sectionWrites, { session });
+    }
+    if (lessonWrites.length > 0) {
+      await Lesson.bulkWrite(lessonWrites, { session });
+    }
+  });
+}
+
+module.exports = {
+  getLessonViewer,
+  canViewCourse,
+  getLessonAvailability,
+  getLessonAccess,
+  resolveLessonAccess,
+  lockedLessonResponse,
+  presentLesson,
+  sortLessons,
+  getCourseCurriculum,
+  reorderCurriculum,
+};
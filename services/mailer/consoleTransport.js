@@ -0,0 +1,10 @@
+// Development transport that prints every message to the console
+async function send({ to, subject, text }) {
+  console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  return { delivered: true };
+}
+
+module.exports = {
+  name: 'console',
+  send,
+};
@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development and test transport that writes each message as a JSON file
+// into MAIL_OUTBOX_DIR (logs/mail by default).
+function getOutboxDir() {
+  return (
+    process.env.MAIL_OUTBOX_DIR ||
+    path.join(__dirname, '..', '..', 'logs', 'mail')
+  );
+}
+
+async function send(message) {
+  const outboxDir = getOutboxDir();
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
+  await fs.writeFile(
+    path.join(outboxDir, fileName),
+    JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+  );
+
+  return { delivered: true };
+}
+
+module.exports = {
+  name: 'file',
+  send,
+  getOutboxDir,
+};
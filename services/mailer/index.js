@@ -0,0 +1,36 @@
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+// A mail transport is an object exposing:
+//   send({ to, subject, text }) -> { delivered }
+// Real transports (SMTP, API based) are added with registerMailTransport and
+// selected with the MAIL_TRANSPORT environment variable.
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+};
+
+function registerMailTransport(transport) {
+  transports[transport.name] = transport;
+}
+
+function getMailTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+}
+
+async function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'EduNet <no-reply@edunet.local>',
+    ...message,
+  });
+}
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail,
+};
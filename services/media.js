@@ -0,0 +1,272 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const { getStorageDriver } = require('./storage');
+const { signMediaLink } = require('./signedLinks');
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// File extension stored with each accepted non-image type
+const EXTENSIONS = {
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov',
+  'application/pdf': '.pdf',
+  'application/vnd.ms-powerpoint': '.ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+    '.pptx',
+  'application/vnd.oasis.opendocument.presentation': '.odp',
+};
+
+// What may be uploaded for each kind of media. Images are re-encoded to
+// WebP at a bounded size, with a thumbnail next to them.
+const MEDIA_KINDS = {
+  avatar: {
+    entityType: 'User',
+    visibility: 'public',
+    mimeTypes: IMAGE_TYPES,
+    maxSizeEnv: 'MEDIA_MAX_IMAGE_MB',
+    defaultMaxSizeMb: 10,
+    image: {
+      resize: { width: 512, height: 512, fit: 'cover' },
+      thumbnail: { width: 128, height: 128, fit: 'cover' },
+    },
+  },
+  course_image: {
+    entityType: 'Course',
+    visibility: 'public',
+    mimeTypes: IMAGE_TYPES,
+    maxSizeEnv: 'MEDIA_MAX_IMAGE_MB',
+    defaultMaxSizeMb: 10,
+    image: {
+      resize: {
+        width: 1600,
+        height: 1600,
+        fit: 'inside',
+        withoutEnlargement: true,
+      },
+      thumbnail: { width: 400, height: 225, fit: 'cover' },
+    },
+  },
+  lesson_video: {
+    entityType: 'Lesson',
+    visibility: 'private',
+    mimeTypes: ['video/mp4', 'video/webm', 'video/quicktime'],
+    maxSizeEnv: 'MEDIA_MAX_VIDEO_MB',
+    defaultMaxSizeMb: 1024,
+  },
+  lesson_attachment: {
+    entityType: 'Lesson',
+    visibility: 'private',
+    mimeTypes: [
+      'application/pdf',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.oasis.opendocument.presentation',
+    ],
+    maxSizeEnv: 'MEDIA_MAX_ATTACHMENT_MB',
+    defaultMaxSizeMb: 50,
+  },
+};
+
+// Models of the entities media can belong to, for the orphan sweep
+const ENTITY_MODELS = { User, Course, Lesson };
+
+function getMaxFileSize(kind) {
+  const config = MEDIA_KINDS[kind];
+  const megabytes =
+    parseFloat(process.env[config.maxSizeEnv]) || config.defaultMaxSizeMb;
+  return Math.round(megabytes * MB);
+}
+
+// The declared MIME type is chosen by the client, so check that images
+// decode and PDFs carry the PDF signature before anything is stored
+async function hasExpectedContent(kind, file) {
+  if (MEDIA_KINDS[kind].image) {
+    try {
+      const { format } = await sharp(file.path).metadata();
+      return ['jpeg', 'png', 'webp', 'gif'].includes(format);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  if (file.mimetype === 'application/pdf') {
+    const handle = await fsPromises.open(file.path, 'r');
+    try {
+      const { buffer } = await handle.read(Buffer.alloc(5), 0, 5, 0);
+      return buffer.toString('latin1') === '%PDF-';
+    } finally {
+      await handle.close();
+    }
+  }
+
+  return true;
+}
+
+// Write an uploaded file (already validated) to storage and record it
+async function storeMedia({ kind, file, entityId, ownerId }) {
+  const config = MEDIA_KINDS[kind];
+  const driver = getStorageDriver();
+  const media = new Media({
+    ownerId,
+    kind,
+    entityType: config.entityType,
+    entityId,
+    visibility: config.visibility,
+    driver: driver.name,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+  });
+  const baseKey = `${config.visibility}/${kind}/${entityId}/${media._id}`;
+
+  if (config.image) {
+    const image = await sharp(file.path)
+      .rotate()
+      .resize(config.image.resize)
+      .webp()
+      .toBuffer({ resolveWithObject: true });
+    const thumbnail = await sharp(file.path)
+      .rotate()
+      .resize(config.image.thumbnail)
+      .webp()
+      .toBuffer();
+
+    media.set({
+      key: `${baseKey}.webp`,
+      thumbnailKey: `${baseKey}-thumb.webp`,
+      mimeType: 'image/webp',
+      size: image.info.size,
+      width: image.info.width,
+      height: image.info.height,
+    });
+    await driver.put(media.key, image.data, {
+      contentType: 'image/webp',
+      contentLength: image.info.size,
+    });
+    await driver.put(media.thumbnailKey, thumbnail, {
+      contentType: 'image/webp',
+      contentLength: thumbnail.length,
+    });
+  } else {
+    media.key = `${baseKey}${EXTENSIONS[file.mimetype] || ''}`;
+    await driver.put(media.key, fs.createReadStream(file.path), {
+      contentType: file.mimetype,
+      contentLength: file.size,
+    });
+  }
+
+  try {
+    await media.save();
+  } catch (error) {
+    await removeMediaFiles(media);
+    throw error;
+  }
+  return media;
+}
+
+async function removeMediaFiles(media) {
+  const driver = getStorageDriver(media.driver);
+  await Promise.all(
+    [media.key, media.thumbnailKey]
+      .filter(Boolean)
+      .map((key) => driver.remove(key))
+  );
+}
+
+// Remove stored files and their records. A record is kept when its files
+// could not be removed, so the orphan sweep can retry later.
+async function deleteMedia(mediaList) {
+  const results = await Promise.allSettled(mediaList.map(removeMediaFiles));
+
+  const removedIds = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      removedIds.push(mediaList[index]._id);
+    } else {
+      console.error('Remove media files error:', result.reason);
+    }
+  });
+
+  await Media.deleteMany({ _id: { $in: removedIds } });
+}
+
+// Remove every file belonging to the given entities, or only the files of
+// one kind
+async function deleteMediaForEntities(entityType, entityIds, kind) {
+  const mediaList = await Media.find({
+    entityType,
+    entityId: { $in: entityIds },
+    ...(kind && { kind }),
+  });
+  await deleteMedia(mediaList);
+}
+
+// Remove the files a new upload replaces, such as the previous course image
+async function deleteReplacedMedia(media) {
+  const mediaList = await Media.find({
+    kind: media.kind,
+    entityType: media.entityType,
+    entityId: media.entityId,
+    _id: { $ne: media._id },
+  });
+  await deleteMedia(mediaList);
+}
+
+// Media whose owning entity no longer exists
+async function findOrphanedMedia() {
+  const orphans = [];
+
+  for (const [entityType, Model] of Object.entries(ENTITY_MODELS)) {
+    const entityIds = await Media.find({ entityType }).distinct('entityId');
+    const existingIds = await Model.find({
+      _id: { $in: entityIds },
+    }).distinct('_id');
+    const existing = new Set(existingIds.map((id) => id.toString()));
+
+    const missingIds = entityIds.filter((id) => !existing.has(id.toString()));
+    if (missingIds.length > 0) {
+      orphans.push(
+        ...(await Media.find({ entityType, entityId: { $in: missingIds } }))
+      );
+    }
+  }
+
+  return orphans;
+}
+
+// Media as returned by the API: public files get their permanent URLs,
+// private ones a signed download link
+function presentMedia(media) {
+  const { key, thumbnailKey, driver, ...data } = media.toObject();
+
+  if (media.visibility === 'public') {
+    const storage = getStorageDriver(driver);
+    data.url = storage.getPublicUrl(key);
+    data.thumbnailUrl = thumbnailKey
+      ? storage.getPublicUrl(thumbnailKey)
+      : null;
+  } else {
+    data.url = signMediaLink(media._id);
+  }
+  return data;
+}
+
+module.exports = {
+  MEDIA_KINDS,
+  getMaxFileSize,
+  hasExpectedContent,
+  storeMedia,
+  deleteMedia,
+  deleteMediaForEntities,
+  deleteReplacedMedia,
+  findOrphanedMedia,
+  presentMedia,
+};
@@ -0,0 +1,481 @@
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Enrollment = require('../models/Enrollment');
+const Homework = require('../models/Homework');
+const HomeworkSubmission = require('../models/HomeworkSubmission');
+const Notification = require('../models/Notification');
+const { getLessonAccess } = require('./lessons');
+const { sendMail } = require('./mailer');
+const { publishToUser } = require('./realtime');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const NOTIFICATION_TYPES = [
+  'application_approved',
+  'application_rejected',
+  'homework_due',
+  'lesson_published',
+  'new_enrollment',
+  'new_application',
+  'new_review',
+  'discussion_reply',
+  'discussion_mention',
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Students are reminded of homework due within this many hours
+const HOMEWORK_REMINDER_HOURS =
+  parseInt(process.env.HOMEWORK_REMINDER_HOURS, 10) || 24;
+
+// Drip-scheduled lessons that unlocked within this many hours are announced
+// by the scheduled job; older unlocks are not announced after the fact
+const LESSON_UNLOCK_LOOKBACK_HOURS =
+  parseInt(process.env.LESSON_UNLOCK_LOOKBACK_HOURS, 10) || 48;
+
+// Digests go out once a day; the slack lets an hourly job drift a little
+const DIGEST_INTERVAL_MS = 23 * HOUR_MS;
+
+// Preferences of a user with defaults filled in for every type
+function resolvePreferences(user) {
+  const stored = (user && user.notificationPreferences) || {};
+  const types = {};
+  for (const type of NOTIFICATION_TYPES) {
+    const preference = stored.types && stored.types.get(type);
+    types[type] = {
+      inApp: preference ? preference.inApp : true,
+      email: preference ? preference.email : true,
+    };
+  }
+
+  return { types, emailDigest: Boolean(stored.emailDigest) };
+}
+
+// Create a notification for each recipient, following their preferences,
+// and push the in-app ones to connected clients. Notifying never fails the
+// action that triggered it.
+async function notify(userIds, notification) {
+  try {
+    const users = await User.find({
+      _id: { $in: [].concat(userIds) },
+      deletedAt: null,
+    }).select('notificationPreferences');
+
+    const documents = [];
+    for (const user of users) {
+      const preferences = resolvePreferences(user);
+      const { inApp, email } = preferences.types[notification.type];
+      const emailPending = preferences.emailDigest && email;
+      if (inApp || emailPending) {
+        documents.push({
+          ...notification,
+          userId: user._id,
+          inApp,
+          emailPending,
+        });
+      }
+    }
+
+    if (documents.length > 0) {
+      const created = await Notification.insertMany(documents);
+      created
+        .filter((item) => item.inApp)
+        .forEach((item) => publishToUser(item.userId, 'notification', item));
+    }
+    return documents.length;
+  } catch (error) {
+    console.error('Notify error:', error);
+    return 0;
+  }
+}
+
+// The event helpers below also push a live event to the people concerned,
+// whatever their notification preferences
+
+async function notifyApplicationDecision(application, course) {
+  publishToUser(application.userId, 'application.decided', {
+    applicationId: application._id,
+    courseId: course._id,
+    status: application.status,
+    reason: application.decisionReason,
+  });
+
+  const approved = application.status === 'approved';
+  const reason = application.decisionReason
+    ? ` Reason: ${application.decisionReason}`
+    : '';
+
+  await notify(application.userId, {
+    type: approved ? 'application_approved' : 'application_rejected',
+    title: approved ? 'Application approved' : 'Application rejected',
+    message: approved
+      ? `Your application to "${course.title}" was approved.`
+      : `Your application to "${course.title}" was rejected.${reason}`,
+    link: `/courses/${course._id}`,
+    courseId: course._id,
+  });
+}
+
+async function notifyNewApplication(application, course) {
+  const student = await User.findById(application.userId).select('name');
+
+  await notify(course.teacherId, {
+    type: 'new_application',
+    title: 'New application',
+    message: `${student ? student.name : 'A student'} applied to "${
+      course.title
+    }".`,
+    link: `/courses/${course._id}/applications`,
+    courseId: course._id,
+  });
+}
+
+async function notifyNewEnrollment(enrollment) {
+  const [course, student] = await Promise.all([
+    Course.findById(enrollment.courseId).select('title teacherId'),
+    User.findById(enrollment.userId).select('name'),
+  ]);
+  if (!course) {
+    return;
+  }
+
+  await notify(course.teacherId, {
+    type: 'new_enrollment',
+    title: 'New enrollment',
+    message: `${student ? student.name : 'A student'} enrolled in "${
+      course.title
+    }".`,
+    link: `/courses/${course._id}`,
+    courseId: course._id,
+  });
+}
+
+async function notifyNewReview(review, course) {
+  publishToUser(course.teacherId, 'review.created', {
+    reviewId: review._id,
+    courseId: course._id,
+    rating: review.rating,
+  });
+
+  const student = await User.findById(review.userId).select('name');
+
+  await notify(course.teacherId, {
+    type: 'new_review',
+    title: 'New review',
+    message: `${student ? student.name : 'A student'} rated "${course.title}" ${
+      review.rating
+    }/5.`,
+    link: `/courses/${course._id}/reviews`,
+    courseId: course._id,
+  });
+}
+
+// Tell enrolled students about a new lesson they can open right away.
+// Students for whom it is still drip-locked are told by
+// sendLessonUnlockNotifications once it unlocks.
+async function notifyLessonPublished(lesson, course) {
+  const enrollments = await Enrollment.find({
+    courseId: course._id,
+    status: 'active',
+  });
+  const recipients = enrollments
+    .filter(
+      (enrollment) =>
+        !getLessonAccess(lesson, { canManage: false, enrollment }).locked
+    )
+    .map((enrollment) => enrollment.userId);
+
+  recipients.forEach((userId) =>
+    publishToUser(userId, 'lesson.published', {
+      lessonId: lesson._id,
+      courseId: course._id,
+      title: lesson.title,
+    })
+  );
+  if (recipients.length === 0) {
+    return;
+  }
+
+  await notify(recipients, {
+    type: 'lesson_published',
+    title: 'New lesson',
+    message: `"${lesson.title}" was published in "${course.title}".`,
+    link: `/courses/${course._id}/lessons/${lesson._id}`,
+    courseId: course._id,
+    lessonId: lesson._id,
+  });
+}
+
+async function authorName(userId) {
+  const author = await User.findById(userId).select('name');
+  return author ? author.name : 'Someone';
+}
+
+// Tell the author of a thread about a new reply, unless they wrote it or
+// were mentioned in it
+async function notifyDiscussionReply(thread, reply, course) {
+  const threadAuthor = thread.authorId.toString();
+  if (
+    threadAuthor === reply.authorId.toString() ||
+    reply.mentions.some((userId) => userId.toString() === threadAuthor)
+  ) {
+    return;
+  }
+
+  await notify(thread.authorId, {
+    type: 'discussion_reply',
+    title: 'New reply',
+    message: `${await authorName(reply.authorId)} replied to "${
+      thread.title
+    }".`,
+    link: `/courses/${course._id}/discussions/${thread._id}`,
+    courseId: course._id,
+    lessonId: thread.lessonId,
+  });
+}
+
+// Tell users they were @mentioned in a thread or reply
+async function notifyDiscussionMentions(post, thread, course) {
+  if (post.mentions.length === 0) {
+    return;
+  }
+
+  await notify(post.mentions, {
+    type: 'discussion_mention',
+    title: 'You were mentioned',
+    message: `${await authorName(post.authorId)} mentioned you in "${
+      thread.title
+    }".`,
+    link: `/courses/${course._id}/discussions/${thread._id}`,
+    courseId: course._id,
+    lessonId: thread.lessonId,
+  });
+}
+
+// Remind students of homework due soon that they have not submitted yet.
+// Each student is reminded once per homework.
+async function sendHomeworkDueReminders(now = new Date()) {
+  const homeworkList = await Homework.find({
+    dueDate: {
+      $gt: now,
+      $lte: new Date(now.getTime() + HOMEWORK_REMINDER_HOURS * HOUR_MS),
+    },
+  });
+
+  let sent = 0;
+  for (const homework of homeworkList) {
+    const lesson = await Lesson.findById(homework.lessonId);
+    const course = lesson && (await Course.findById(lesson.courseId));
+    if (!course) {
+      continue;
+    }
+
+    const [enrollments, submitted, reminded] = await Promise.all([
+      Enrollment.find({ courseId: course._id, status: 'active' }),
+      HomeworkSubmission.find({ homeworkId: homework._id }).distinct('userId'),
+      Notification.find({
+        type: 'homework_due',
+        homeworkId: homework._id,
+      }).distinct('userId'),
+    ]);
+    const skip = new Set(
+      [...submitted, ...reminded].map((userId) => userId.toString())
+    );
+
+    const recipients = enrollments
+      .filter(
+        (enrollment) =>
+          !skip.has(enrollment.userId.toString()) &&
+          !getLessonAccess(lesson, { canManage: false, enrollment }).locked
+      )
+      .map((enrollment) => enrollment.userId);
+
+    if (recipients.length > 0) {
+      sent += await notify(recipients, {
+        type: 'homework_due',
+        title: 'Homework due soon',
+        message: `"${homework.title}" in "${
+          course.title
+        }" is due on ${homework.dueDate.toUTCString()}.`,
+        link: `/courses/${course._id}/lessons/${lesson._id}`,
+        courseId: course._id,
+        lessonId: lesson._id,
+        homeworkId: homework._id,
+      });
+    }
+  }
+
+  return sent;
+}
+
+// Active enrollments for which a drip-scheduled lesson unlocked between
+// since and now. A lesson released at a date only unlocks for students who
+// enrolled before that date; later students could open it right away.
+function unlockedEnrollmentsQuery(lesson, since, now) {
+  if (lesson.releaseAt) {
+    return {
+      courseId: lesson.courseId,
+      status: 'active',
+      enrolledAt: { $lt: lesson.releaseAt },
+    };
+  }
+
+  const delay = lesson.releaseAfterDays * DAY_MS;
+  return {
+    courseId: lesson.courseId,
+    status: 'active',
+    enrolledAt: {
+      $gt: new Date(since.getTime() - delay),
+      $lte: new Date(now.getTime() - delay),
+    },
+  };
+}
+
+// Tell students about drip-scheduled lessons that unlocked for them since
+// the last runs. Students already told about a lesson are skipped.
+async function sendLessonUnlockNotifications(now = new Date()) {
+  const since = new Date(
+    now.getTime() - LESSON_UNLOCK_LOOKBACK_HOURS * HOUR_MS
+  );
+  const lessons = await Lesson.find({
+    $or: [
+      { releaseAt: { $gt: since, $lte: now } },
+      { releaseAt: null, releaseAfterDays: { $gt: 0 } },
+    ],
+  });
+
+  let sent = 0;
+  for (const lesson of lessons) {
+    const course = await Course.findById(lesson.courseId);
+    if (!course) {
+      continue;
+    }
+
+    const [enrollments, notified] = await Promise.all([
+      Enrollment.find(unlockedEnrollmentsQuery(lesson, since, now)),
+      Notification.find({
+        type: 'lesson_published',
+        lessonId: lesson._id,
+      }).distinct('userId'),
+    ]);
+    const skip = new Set(notified.map((userId) => userId.toString()));
+
+    const recipients = enrollments
+      .filter((enrollment) => !skip.has(enrollment.userId.toString()))
+      .map((enrollment) => enrollment.userId);
+    if (recipients.length === 0) {
+      continue;
+    }
+
+    recipients.forEach((userId) =>
+      publishToUser(userId, 'lesson.unlocked', {
+        lessonId: lesson._id,
+        courseId: course._id,
+        title: lesson.title,
+      })
+    );
+    sent += await notify(recipients, {
+      type: 'lesson_published',
+      title: 'Lesson unlocked',
+      message: `"${lesson.title}" is now open in "${course.title}".`,
+      link: `/courses/${course._id}/lessons/${lesson._id}`,
+      courseId: course._id,
+      lessonId: lesson._id,
+    });
+  }
+
+  return sent;
+}
+
+function digestText(user, notifications) {
+  const items = notifications.map((notification) =>
+    [
+      `- ${notification.title}: ${notification.message}`,
+      notification.link && `  ${APP_URL}${notification.link}`,
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  return [
+    `Hi ${user.name},`,
+    '',
+    'Here is what happened on EduNet since your last digest:',
+    '',
+    ...items,
+    '',
+    'You can choose which notifications you receive in your notification settings.',
+  ].join('\n');
+}
+
+// Email each user who opted in a summary of their unread notifications, at
+// most once a day. A failed digest is left pending for the next run and
+// does not hold up the other users.
+async function sendEmailDigests(now = new Date()) {
+  const users = await User.find({
+    'notificationPreferences.emailDigest': true,
+    deletedAt: null,
+    $or: [
+      { 'notificationPreferences.lastDigestAt': { $exists: false } },
+      {
+        'notificationPreferences.lastDigestAt': {
+          $lte: new Date(now.getTime() - DIGEST_INTERVAL_MS),
+        },
+      },
+    ],
+  }).select('name email notificationPreferences');
+
+  let sent = 0;
+  for (const user of users) {
+    try {
+      const notifications = await Notification.find({
+        userId: user._id,
+        emailPending: true,
+        readAt: { $exists: false },
+      }).sort({ createdAt: 1 });
+      if (notifications.length === 0) {
+        continue;
+      }
+
+      await sendMail({
+        to: user.email,
+        subject: `Your EduNet digest: ${notifications.length} new notification${
+          notifications.length === 1 ? '' : 's'
+        }`,
+        text: digestText(user, notifications),
+      });
+
+      await Notification.updateMany(
+        {
+          _id: { $in: notifications.map((notification) => notification._id) },
+        },
+        { emailPending: false, emailedAt: now }
+      );
+      user.notificationPreferences.lastDigestAt = now;
+      await user.save();
+      sent += 1;
+    } catch (error) {
+      console.error('Send email digest error:', error);
+    }
+  }
+
+  return sent;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  resolvePreferences,
+  notify,
+  notifyApplicationDecision,
+  notifyNewApplication,
+  notifyNewEnrollment,
+  notifyNewReview,
+  notifyLessonPublished,
+  notifyDiscussionReply,
+  notifyDiscussionMentions,
+  sendHomeworkDueReminders,
+  sendLessonUnlockNotifications,
+  sendEmailDigests,
+};
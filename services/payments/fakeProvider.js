@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Local payment provider used in development and tests. Charges are kept in
+// memory and confirmed instantly. Confirming with the `tok_fail` token
+// simulates a declined card.
+const charges = new Map();
+
+const FAILING_TOKEN = 'tok_fail';
+
+async function createCharge({ amount, currency, paymentId }) {
+  const providerPaymentId = `fake_${crypto.randomBytes(12).toString('hex')}`;
+
+  charges.set(providerPaymentId, {
+    amount,
+    currency,
+    paymentId: paymentId.toString(),
+    status: 'pending',
+  });
+
+  return { providerPaymentId, status: 'pending' };
+}
+
+async function confirmCharge(providerPaymentId, { paymentToken } = {}) {
+  const charge = charges.get(providerPaymentId);
+  if (!charge) {
+    return { status: 'failed', failureReason: 'Unknown charge' };
+  }
+
+  if (paymentToken === FAILING_TOKEN) {
+    charge.status = 'failed';
+    return { status: 'failed', failureReason: 'Card declined' };
+  }
+
+  charge.status = 'completed';
+  return { status: 'completed' };
+}
+
+async function cancelCharge(providerPaymentId) {
+  const charge = charges.get(providerPaymentId);
+  if (charge && charge.status === 'pending') {
+    charge.status = 'cancelled';
+  }
+  return { status: 'cancelled' };
+}
+
+async function refundCharge(providerPaymentId, amount) {
+  const charge = charges.get(providerPaymentId);
+  if (charge) {
+    charge.refunded = (charge.refunded || 0) + amount;
+  }
+
+  return {
+    providerRefundId: `fake_re_${crypto.randomBytes(12).toString('hex')}`,
+    status: 'completed',
+  };
+}
+
+module.exports = {
+  name: 'fake',
+  createCharge,
+  confirmCharge,
+  cancelCharge,
+  refundCharge,
+};
@@ -0,0 +1,42 @@
+const fakeProvider = require('./fakeProvider');
+
+// A payment provider is an object exposing:
+//   createCharge({ amount, currency, paymentId, paymentMethod })
+//     -> { providerPaymentId, status }
+//   confirmCharge(providerPaymentId, details) -> { status, failureReason }
+//   cancelCharge(providerPaymentId) -> { status }
+//   refundCharge(providerPaymentId, amount) -> { providerRefundId, status }
+// Real gateways are added with registerPaymentProvider and selected with the
+// PAYMENT_PROVIDER environment variable.
+const providers = {
+  [fakeProvider.name]: fakeProvider,
+};
+
+function registerPaymentProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+// The fake provider accepts any card, so it is only the default in test
+// and development. Everywhere else PAYMENT_PROVIDER must be set.
+function defaultProviderName() {
+  if (process.env.PAYMENT_PROVIDER) {
+    return process.env.PAYMENT_PROVIDER;
+  }
+  if (['test', 'development'].includes(process.env.NODE_ENV)) {
+    return fakeProvider.name;
+  }
+  throw new Error('PAYMENT_PROVIDER is not set');
+}
+
+function getPaymentProvider(name = defaultProviderName()) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+};
@@ -0,0 +1,254 @@
+const Course = require('../models/Course');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Grace period for network latency when an attempt is submitted right at
+// the time limit
+const SUBMISSION_GRACE_MS = 30 * 1000;
+
+// Resolve a quiz together with the course it belongs to
+async function findQuizWithCourse(quizId) {
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) {
+    return null;
+  }
+
+  const course = await Course.findById(quiz.courseId);
+  if (!course) {
+    return null;
+  }
+
+  return { quiz, course };
+}
+
+// Fill in fixed options for true/false questions
+function normalizeQuestions(questions) {
+  return questions.map((question) =>
+    question.type === 'true_false'
+      ? { ...question, options: TRUE_FALSE_OPTIONS, correctAnswers: [] }
+      : question
+  );
+}
+
+// Quiz as shown to students: answer keys are removed
+function toStudentView(quiz) {
+  const { questions, ...rest } = quiz.toObject();
+
+  return {
+    ...rest,
+    questions: questions.map((question) => {
+      const visible = { ...question };
+      delete visible.correctOptions;
+      delete visible.correctAnswers;
+      return visible;
+    }),
+  };
+}
+
+function normalizeText(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+function isAnswerCorrect(question, answer) {
+  if (question.type === 'short_answer') {
+    const given = normalizeText(answer.textAnswer);
+    return (
+      given !== '' &&
+      question.correctAnswers.some(
+        (accepted) => normalizeText(accepted) === given
+      )
+    );
+  }
+
+  // Choice questions are all-or-nothing: the selection must match exactly
+  const selected = [...new Set(answer.selectedOptions || [])].sort(
+    (a, b) => a - b
+  );
+  const correct = [...question.correctOptions].sort((a, b) => a - b);
+  return (
+    selected.length === correct.length &&
+    selected.every((option, index) => option === correct[index])
+  );
+}
+
+// Grade submitted answers against the quiz. Unanswered questions score zero.
+function gradeAnswers(quiz, answers) {
+  const answersByQuestion = new Map(
+    answers.map((answer) => [answer.questionId.toString(), answer])
+  );
+
+  let score = 0;
+  let maxScore = 0;
+  const graded = quiz.questions.map((question) => {
+    const answer = answersByQuestion.get(question._id.toString()) || {};
+    const isCorrect = isAnswerCorrect(question, answer);
+    const pointsAwarded = isCorrect ? question.points : 0;
+
+    score += pointsAwarded;
+    maxScore += question.points;
+
+    return {
+      questionId: question._id,
+      selectedOptions: answer.selectedOptions || [],
+      textAnswer: answer.textAnswer || '',
+      isCorrect,
+      pointsAwarded,
+    };
+  });
+
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
+
+  return {
+    answers: graded,
+    score,
+    maxScore,
+    percentage,
+    passed: percentage >= quiz.passingScore,
+  };
+}
+
+function isAttemptExpired(attempt, now = new Date()) {
+  return (
+    Boolean(attempt.expiresAt) &&
+    now.getTime() > attempt.expiresAt.getTime() + SUBMISSION_GRACE_MS
+  );
+}
+
+// Per-question analytics over every submitted attempt: how often each
+// question is answered correctly and which wrong answers are most common
+async function getQuizAnalytics(quiz) {
+  const [questionStats, wrongOptions, wrongTexts] = await Promise.all([
+    QuizAttempt.aggregate([
+      { $match: { quizId: quiz._id, status: 'submitted' } },
+      { $unwind: '$answers' },
+      {
+        $group: {
+          _id: '$answers.questionId',
+          attempts: { $sum: 1 },
+          correct: { $sum: { $cond: ['$answers.isCorrect', 1, 0] } },
+        },
+      },
+    ]),
+    QuizAttempt.aggregate([
+      { $match: { quizId: quiz._id, status: 'submitted' } },
+      { $unwind: '$answers' },
+      { $match: { 'answers.isCorrect': false } },
+      { $unwind: '$answers.selectedOptions' },
+      {
+        $group: {
+          _id: {
+            questionId: '$answers.questionId',
+            option: '$answers.selectedOptions',
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    QuizAttempt.aggregate([
+      { $match: { quizId: quiz._id, status: 'submitted' } },
+      { $unwind: '$answers' },
+      {
+        $match: {
+          'answers.isCorrect': false,
+          'answers.textAnswer': { $ne: '' },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            questionId: '$answers.questionId',
+            answer: { $toLower: { $trim: { input: '$answers.textAnswer' } } },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]),
+  ]);
+
+  const byQuestion = (items, questionId) =>
+    items.filter((item) => item._id.questionId.equals(questionId));
+
+  const questions = quiz.questions.map((question) => {
+    const stats = questionStats.find((item) => item._id.equals(question._id));
+    const attempts = stats ? stats.attempts : 0;
+    const correct = stats ? stats.correct : 0;
+
+    const commonWrongAnswers =
+      question.type === 'short_answer'
+        ? byQuestion(wrongTexts, question._id)
+            .slice(0, 5)
+            .map((item) => ({ answer: item._id.answer, count: item.count }))
+        : byQuestion(wrongOptions, question._id)
+            .filter(
+              (item) => !question.correctOptions.includes(item._id.option)
+            )
+            .sort((a, b) => b.count - a.count)
+            .map((item) => ({
+              option: item._id.option,
+              answer: question.options[item._id.option],
+              count: item.count,
+            }));
+
+    return {
+      questionId: question._id,
+      prompt: question.prompt,
+      type: question.type,
+      attempts,
+      correct,
+      incorrect: attempts - correct,
+      correctRate: attempts > 0 ? Math.round((correct / attempts) * 100) : 0,
+      commonWrongAnswers,
+    };
+  });
+
+  // Hardest questions first
+  questions.sort((a, b) => b.incorrect - a.incorrect);
+
+  const summary = await QuizAttempt.aggregate([
+    { $match: { quizId: quiz._id, status: 'submitted' } },
+    {
+      $group: {
+        _id: null,
+        attempts: { $sum: 1 },
+        students: { $addToSet: '$userId' },
+        averageScore: { $avg: '$percentage' },
+        passed: { $sum: { $cond: ['$passed', 1, 0] } },
+      },
+    },
+  ]);
+
+  const totals = summary[0];
+  return {
+    quizId: quiz._id,
+    attempts: totals ? totals.attempts : 0,
+    students: totals ? totals.students.length : 0,
+    averageScore: totals ? Math.round(totals.averageScore) : 0,
+    passRate:
+      totals && totals.attempts > 0
+        ? Math.round((totals.passed / totals.attempts) * 100)
+        : 0,
+    questions,
+  };
+}
+
+// Remove quizzes together with every attempt made on them
+async function deleteQuizzesCascade(quizIds) {
+  await QuizAttempt.deleteMany({ quizId: { $in: quizIds } });
+  await Quiz.deleteMany({ _id: { $in: quizIds } });
+}
+
+module.exports = {
+  findQuizWithCourse,
+  normalizeQuestions,
+  toStudentView,
+  gradeAnswers,
+  isAttemptExpired,
+  getQuizAnalytics,
+  deleteQuizzesCascade,
+};
@@ -0,0 +1,239 @@
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { verifyAccessToken } = require('../middleware/auth');
+const { canManageCourse } = require('./courses');
+
+// Live events over a WebSocket at /api/ws. Clients authenticate with their
+// access token, in the Authorization header or the `token` query parameter
+// (browsers cannot set headers on WebSockets), and receive JSON messages of
+// the form { event, data }. They may send
+//   { action: 'join', courseId } / { action: 'leave', courseId }
+// to follow the live announcements of a course they teach or are enrolled
+// in. Connections are tracked in memory, so events only reach clients
+// connected to the instance that publishes them.
+const WS_PATH = '/api/ws';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+const userSockets = new Map();
+const courseRooms = new Map();
+
+function addSocket(map, key, socket) {
+  if (!map.has(key)) {
+    map.set(key, new Set());
+  }
+  map.get(key).add(socket);
+}
+
+function removeSocket(map, key, socket) {
+  const sockets = map.get(key);
+  if (sockets) {
+    sockets.delete(socket);
+    if (sockets.size === 0) {
+      map.delete(key);
+    }
+  }
+}
+
+function send(socket, event, data) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ event, data }));
+  }
+}
+
+function publish(sockets, event, data) {
+  if (!sockets) {
+    return 0;
+  }
+  sockets.forEach((socket) => send(socket, event, data));
+  return sockets.size;
+}
+
+// Push an event to every open connection of a user. Returns how many
+// connections it was sent to.
+function publishToUser(userId, event, data) {
+  return publish(userSockets.get(userId.toString()), event, data);
+}
+
+function publishToCourse(courseId, event, data) {
+  return publish(courseRooms.get(courseId.toString()), event, data);
+}
+
+// Close every connection of a user, e.g. once their account is suspended
+function disconnectUser(userId, reason = 'Session ended') {
+  const sockets = userSockets.get(userId.toString());
+  if (sockets) {
+    [...sockets].forEach((socket) => socket.close(4001, reason));
+  }
+}
+
+// Take every connection of a user out of a course room, e.g. once their
+// enrollment is cancelled
+function leaveCourseRoom(userId, courseId) {
+  const sockets = userSockets.get(userId.toString());
+  if (!sockets) {
+    return;
+  }
+
+  const room = courseId.toString();
+  sockets.forEach((socket) => {
+    if (socket.rooms.delete(room)) {
+      removeSocket(courseRooms, room, socket);
+      send(socket, 'left', { courseId: room });
+    }
+  });
+}
+
+// Course rooms are open to the course's teacher, admins and enrolled students
+async function canJoinCourse(user, courseId) {
+  const course = await Course.findById(courseId).select('teacherId');
+  if (!course) {
+    return false;
+  }
+  if (canManageCourse(course, user)) {
+    return true;
+  }
+
+  const enrollment = await Enrollment.exists({
+    userId: user.userId,
+    courseId: course._id,
+    status: { $ne: 'cancelled' },
+  });
+  return Boolean(enrollment);
+}
+
+async function handleMessage(socket, user, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, 'error', { message: 'Message is not valid JSON' });
+  }
+
+  const { action, courseId } = message || {};
+  if (!['join', 'leave'].includes(action)) {
+    return send(socket, 'error', { message: 'Unknown action' });
+  }
+  if (typeof courseId !== 'string' || !/^[a-f0-9]{24}$/i.test(courseId)) {
+    return send(socket, 'error', { message: 'courseId is invalid' });
+  }
+
+  if (action === 'leave') {
+    socket.rooms.delete(courseId);
+    removeSocket(courseRooms, courseId, socket);
+    return send(socket, 'left', { courseId });
+  }
+
+  try {
+    if (!(await canJoinCourse(user, courseId))) {
+      return send(socket, 'error', {
+        message: 'You are not a member of this course',
+        courseId,
+      });
+    }
+
+    socket.rooms.add(courseId);
+    addSocket(courseRooms, courseId, socket);
+    send(socket, 'joined', { courseId });
+  } catch (error) {
+    console.error('WebSocket join error:', error);
+    send(socket, 'error', { message: 'Internal server error' });
+  }
+}
+
+function rejectUpgrade(socket, status, message) {
+  const body = JSON.stringify({ message });
+  socket.end(
+    [
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+      'Content-Type: application/json',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      'Connection: close',
+      '',
+      body,
+    ].join('\r\n')
+  );
+}
+
+function accessTokenOf(req, url) {
+  const authHeader = req.headers['authorization'];
+  return (
+    (authHeader && authHeader.split(' ')[1]) || url.searchParams.get('token')
+  );
+}
+
+// Serve the WebSocket endpoint on an HTTP server that also runs the app
+function attachRealtimeServer(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH) {
+      return socket.destroy();
+    }
+
+    const token = accessTokenOf(req, url);
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Access token required');
+    }
+
+    try {
+      const { user, error } = await verifyAccessToken(token);
+      if (error) {
+        return rejectUpgrade(socket, error.status, error.message);
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) =>
+        wss.emit('connection', ws, user)
+      );
+    } catch (error) {
+      console.error('WebSocket upgrade error:', error);
+      rejectUpgrade(socket, 500, 'Internal server error');
+    }
+  });
+
+  wss.on('connection', (socket, user) => {
+    socket.isAlive = true;
+    socket.rooms = new Set();
+    addSocket(userSockets, user.userId, socket);
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => handleMessage(socket, user, raw));
+    socket.on('close', () => {
+      removeSocket(userSockets, user.userId, socket);
+      socket.rooms.forEach((courseId) =>
+        removeSocket(courseRooms, courseId, socket)
+      );
+    });
+
+    send(socket, 'connected', { userId: user.userId });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  WS_PATH,
+  attachRealtimeServer,
+  publishToUser,
+  publishToCourse,
+  disconnectUser,
+  leaveCourseRoom,
+};
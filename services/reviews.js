@@ -0,0 +1,85 @@
+const Course = require('../models/Course');
+const CourseReview = require('../models/CourseReview');
+const TeacherProfile = require('../models/TeacherProfile');
+
+const RATING_VALUES = [1, 2, 3, 4, 5];
+
+function emptyHistogram() {
+  return RATING_VALUES.reduce((histogram, value) => {
+    histogram[value] = 0;
+    return histogram;
+  }, {});
+}
+
+// Average of a 1-5 histogram, rounded to one decimal place
+function histogramAverage(histogram, count) {
+  if (count === 0) {
+    return 0;
+  }
+
+  const sum = RATING_VALUES.reduce(
+    (total, value) => total + value * (histogram[value] || 0),
+    0
+  );
+  return Math.round((sum / count) * 10) / 10;
+}
+
+// Combined rating over every course a teacher owns, weighted by review
+// count
+async function getTeacherRating(teacherId) {
+  const courses = await Course.find({ teacherId }).select(
+    'reviewCount ratingHistogram'
+  );
+
+  const histogram = emptyHistogram();
+  let totalRatings = 0;
+  for (const course of courses) {
+    totalRatings += course.reviewCount;
+    for (const value of RATING_VALUES) {
+      histogram[value] += course.ratingHistogram?.[value] || 0;
+    }
+  }
+
+  return { rating: histogramAverage(histogram, totalRatings), totalRatings };
+}
+
+// Roll a teacher's course ratings up into their profile
+async function updateTeacherRating(teacherId) {
+  const rating = await getTeacherRating(teacherId);
+  await TeacherProfile.updateOne({ userId: teacherId }, rating);
+}
+
+// Recompute a course's rating aggregates from its visible reviews, then
+// refresh the owning teacher's profile
+async function updateCourseRating(courseId) {
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return null;
+  }
+
+  const counts = await CourseReview.aggregate([
+    { $match: { courseId: course._id, status: { $ne: 'hidden' } } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const histogram = emptyHistogram();
+  let reviewCount = 0;
+  for (const { _id: rating, count } of counts) {
+    histogram[rating] = count;
+    reviewCount += count;
+  }
+
+  course.ratingHistogram = histogram;
+  course.reviewCount = reviewCount;
+  course.averageRating = histogramAverage(histogram, reviewCount);
+  await course.save();
+
+  await updateTeacherRating(course.teacherId);
+  return course;
+}
+
+module.exports = {
+  getTeacherRating,
+  updateCourseRating,
+  updateTeacherRating,
+};
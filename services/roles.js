@@ -0,0 +1,35 @@
+const RoleGrant = require('../models/RoleGrant');
+const { recordAudit } = require('./audit');
+
+// Change a user's role and record who granted it, in the role history and
+// the audit log. `req` is the request that made the change, if any. Callers
+// are responsible for revoking existing sessions of users that were already
+// logged in.
+async function grantRole(user, role, { grantedBy = null, source, req = null }) {
+  const previousRole = user.isNew ? null : user.role;
+
+  user.role = role;
+  await user.save();
+
+  await RoleGrant.create({
+    userId: user._id,
+    role,
+    previousRole,
+    grantedBy,
+    source,
+  });
+
+  await recordAudit(req, {
+    action: 'user.role_change',
+    targetType: 'User',
+    targetId: user._id,
+    before: { role: previousRole },
+    after: { role, source },
+  });
+
+  return user;
+}
+
+module.exports = {
+  grantRole,
+};
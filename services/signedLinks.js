@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Students never receive where lesson videos and attachments are stored.
+// They get short-lived links, signed with HMAC-SHA256, to
+// GET /api/lessons/:lessonId/video and GET /api/media/:mediaId/download,
+// which hand out the file once the signature checks out.
+const VIDEO_LINK_TTL_SECONDS =
+  parseInt(process.env.VIDEO_LINK_TTL_SECONDS, 10) || 10 * 60;
+
+function linkSecret() {
+  return process.env.VIDEO_LINK_SECRET || process.env.JWT_SECRET;
+}
+
+// The resource type is part of the signature, so a link for one kind of
+// resource cannot be replayed against another with the same id
+function computeSignature(resource, id, expires) {
+  return crypto
+    .createHmac('sha256', linkSecret())
+    .update(`${resource}:${id}:${expires}`)
+    .digest('base64url');
+}
+
+function signLink(resource, id, path, now) {
+  const expires = Math.floor(now / 1000) + VIDEO_LINK_TTL_SECONDS;
+  const signature = computeSignature(resource, id.toString(), expires);
+  return `${path}?expires=${expires}&signature=${signature}`;
+}
+
+function verifyLink(resource, id, expires, signature, now) {
+  if (expires * 1000 < now) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    computeSignature(resource, id.toString(), expires)
+  );
+  const provided = Buffer.from(signature);
+  return (
+    expected.length === provided.length &&
+    crypto.timingSafeEqual(expected, provided)
+  );
+}
+
+function signVideoLink(lessonId, now = Date.now()) {
+  return signLink('video', lessonId, `/api/lessons/${lessonId}/video`, now);
+}
+
+function verifyVideoLink(lessonId, expires, signature, now = Date.now()) {
+  return verifyLink('video', lessonId, expires, signature, now);
+}
+
+function signMediaLink(mediaId, now = Date.now()) {
+  return signLink('media', mediaId, `/api/media/${mediaId}/download`, now);
+}
+
+function verifyMediaLink(mediaId, expires, signature, now = Date.now()) {
+  return verifyLink('media', mediaId, expires, signature, now);
+}
+
+module.exports = {
+  VIDEO_LINK_TTL_SECONDS,
+  signVideoLink,
+  verifyVideoLink,
+  signMediaLink,
+  verifyMediaLink,
+};
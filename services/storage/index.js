@@ -0,0 +1,35 @@
+const localDriver = require('./localDriver');
+const s3Driver = require('./s3Driver');
+
+// A storage driver is an object exposing:
+//   put(key, body, { contentType, contentLength }) -> void
+//     body is a Buffer or a readable stream
+//   remove(key) -> void (missing objects are not an error)
+//   getPublicUrl(key) -> permanent URL of an object under the public/ prefix
+//   getDownloadUrl(key, { expiresIn, fileName, contentType }) -> short-lived
+//     URL of a private object, or null when the driver cannot sign URLs
+//   createReadStream(key) -> readable stream of the object, used when there
+//     is no download URL
+// Other backends are added with registerStorageDriver and selected with the
+// STORAGE_DRIVER environment variable.
+const drivers = {
+  [localDriver.name]: localDriver,
+  [s3Driver.name]: s3Driver,
+};
+
+function registerStorageDriver(driver) {
+  drivers[driver.name] = driver;
+}
+
+function getStorageDriver(name = process.env.STORAGE_DRIVER || 'local') {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+}
+
+module.exports = {
+  registerStorageDriver,
+  getStorageDriver,
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores objects as files under UPLOAD_DIR (uploads/ by default). Public
+// objects are served statically from MEDIA_PUBLIC_URL; private ones are
+// streamed by the media download endpoint.
+function getUploadDir() {
+  return process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads');
+}
+
+// Keys come from the media service, but never let one escape the upload
+// directory
+function resolvePath(key) {
+  const root = path.resolve(getUploadDir());
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+async function put(key, body) {
+  const filePath = resolvePath(key);
+  await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+
+  if (Buffer.isBuffer(body)) {
+    await fsPromises.writeFile(filePath, body);
+  } else {
+    await pipeline(body, fs.createWriteStream(filePath));
+  }
+}
+
+async function remove(key) {
+  await fsPromises.rm(resolvePath(key), { force: true });
+}
+
+function getPublicUrl(key) {
+  const baseUrl = process.env.MEDIA_PUBLIC_URL || '/api/media/files';
+  return `${baseUrl}/${key.replace(/^public\//, '')}`;
+}
+
+function getDownloadUrl() {
+  return null;
+}
+
+function createReadStream(key) {
+  return fs.createReadStream(resolvePath(key));
+}
+
+module.exports = {
+  name: 'local',
+  put,
+  remove,
+  getPublicUrl,
+  getDownloadUrl,
+  createReadStream,
+  getUploadDir,
+};
@@ -0,0 +1,98 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Stores objects in an S3 bucket, or any S3-compatible service (MinIO,
+// Cloudflare R2, DigitalOcean Spaces) when S3_ENDPOINT is set. Objects under
+// the public/ prefix must be readable through the bucket policy; private
+// ones are handed out as presigned URLs.
+let client;
+
+function getBucket() {
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3_BUCKET is not configured');
+  }
+  return process.env.S3_BUCKET;
+}
+
+function getClient() {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      // Falls back to the default AWS credential chain when not set
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+  return client;
+}
+
+async function put(key, body, { contentType, contentLength } = {}) {
+  await getClient().send(
+    new PutObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ContentLength: contentLength,
+    })
+  );
+}
+
+async function remove(key) {
+  await getClient().send(
+    new DeleteObjectCommand({ Bucket: getBucket(), Key: key })
+  );
+}
+
+function getPublicUrl(key) {
+  if (process.env.S3_PUBLIC_URL) {
+    return `${process.env.S3_PUBLIC_URL}/${key}`;
+  }
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT}/${getBucket()}/${key}`;
+  }
+  const region = process.env.S3_REGION || 'us-east-1';
+  return `https://${getBucket()}.s3.${region}.amazonaws.com/${key}`;
+}
+
+async function getDownloadUrl(key, { expiresIn, fileName, contentType } = {}) {
+  return getSignedUrl(
+    getClient(),
+    new GetObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      ResponseContentType: contentType,
+      ResponseContentDisposition: fileName
+        ? `attachment; filename="${encodeURIComponent(fileName)}"`
+        : undefined,
+    }),
+    { expiresIn }
+  );
+}
+
+async function createReadStream(key) {
+  const response = await getClient().send(
+    new GetObjectCommand({ Bucket: getBucket(), Key: key })
+  );
+  return response.Body;
+}
+
+module.exports = {
+  name: 's3',
+  put,
+  remove,
+  getPublicUrl,
+  getDownloadUrl,
+  createReadStream,
+};
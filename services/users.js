@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const LessonProgress = require('../models/LessonProgress');
+const HomeworkSubmission = require('../models/HomeworkSubmission');
+const QuizAttempt = require('../models/QuizAttempt');
+const Certificate = require('../models/Certificate');
+const Favorite = require('../models/Favorite');
+const CourseApplication = require('../models/CourseApplication');
+const Notification = require('../models/Notification');
+const TeacherProfile = require('../models/TeacherProfile');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+const { revokeUserSessions } = require('./auth');
+const { deleteMediaForEntities } = require('./media');
+const { updateTeacherRating } = require('./reviews');
+const { auditSnapshot, recordAudit, recordChange } = require('./audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deleted users can be restored for this many days, then they are purged
+const USER_RETENTION_DAYS = parseInt(process.env.USER_RETENTION_DAYS, 10) || 30;
+
+const ARCHIVED_COURSE_REASON = 'The teacher account was deleted';
+
+// What happens to the data of a deleted user.
+//
+// On deletion, which can be undone until the retention window ends:
+//   - sessions are revoked and live connections closed
+//   - their enrollments are cancelled, so they no longer count as students
+//   - courses they teach move to another teacher when one is given, or are
+//     archived: unpublished so they leave the catalog, while enrolled
+//     students keep their access
+// On restore, cancelled enrollments get their status back and archived
+// courses are published again.
+// On purge, once the retention window is over:
+//   - enrollments with their progress, submissions, quiz attempts and
+//     certificates, favorites, applications, notifications, tokens, the
+//     teacher profile and uploaded files are deleted
+//   - reviews and discussion posts are kept, under the anonymous account
+//   - payments are kept for accounting
+//   - role grants, teacher requests and the audit log are kept as history
+//   - the user document is anonymized rather than deleted, so the courses,
+//     payments and reviews that reference it still resolve
+
+// Last moment a deleted user can be restored
+function restoreDeadline(user) {
+  return new Date(user.deletedAt.getTime() + USER_RETENTION_DAYS * DAY_MS);
+}
+
+function canRestoreUser(user, now = new Date()) {
+  return Boolean(
+    user.deletedAt && !user.purgedAt && restoreDeadline(user) > now
+  );
+}
+
+// Soft delete a user, cancel their enrollments and hand over or archive the
+// courses they teach. `req` is the request that made the change, for the
+// audit log.
+async function softDeleteUser(user, { deletedBy, reassignTo, req = null }) {
+  user.deletedAt = Date.now();
+  user.deletedBy = deletedBy;
+  await user.save();
+  await revokeUserSessions(user._id, 'Account deleted');
+
+  const cancelled = await Enrollment.updateMany(
+    { userId: user._id, status: { $ne: 'cancelled' } },
+    [{ $set: { statusBeforeDeletion: '$status', status: 'cancelled' } }]
+  );
+
+  const result = {
+    cancelledEnrollments: cancelled.modifiedCount,
+    reassignedCourses: 0,
+    archivedCourses: 0,
+  };
+  const courses = await Course.find({ teacherId: user._id });
+  for (const course of courses) {
+    const before = auditSnapshot(course);
+    if (reassignTo) {
+      course.teacherId = reassignTo._id;
+      await course.save();
+      await recordChange(req, 'course.reassign', course, before);
+      result.reassignedCourses += 1;
+    } else if (course.published) {
+      course.published = false;
+      course.unpublishedReason = ARCHIVED_COURSE_REASON;
+      course.unpublishedBy = deletedBy;
+      course.unpublishedAt = Date.now();
+      course.featured = false;
+      course.featuredAt = undefined;
+      course.archivedAt = Date.now();
+      await course.save();
+      await recordChange(req, 'course.archive', course, before);
+      result.archivedCourses += 1;
+    }
+  }
+
+  if (result.reassignedCourses > 0) {
+    await updateTeacherRating(reassignTo._id);
+  }
+
+  return result;
+}
+
+// Undo a soft delete: bring back the enrollments it cancelled and publish
+// the courses it archived
+async function restoreUser(user, { req = null } = {}) {
+  user.deletedAt = undefined;
+  user.deletedBy = undefined;
+  await user.save();
+
+  const restored = await Enrollment.updateMany(
+    { userId: user._id, statusBeforeDeletion: { $exists: true } },
+    [
+      { $set: { status: '$statusBeforeDeletion' } },
+      { $unset: 'statusBeforeDeletion' },
+    ]
+  );
+
+  const courses = await Course.find({
+    teacherId: user._id,
+    archivedAt: { $exists: true },
+  });
+  for (const course of courses) {
+    const before = auditSnapshot(course);
+    course.published = true;
+    course.unpublishedReason = '';
+    course.unpublishedBy = undefined;
+    course.unpublishedAt = undefined;
+    course.archivedAt = undefined;
+    await course.save();
+    await recordChange(req, 'course.unarchive', course, before);
+  }
+
+  return {
+    restoredEnrollments: restored.modifiedCount,
+    restoredCourses: courses.length,
+  };
+}
+
+// Remove the personal data of a deleted user and anonymize the account
+async function purgeUser(user) {
+  const userId = user._id;
+
+  await Enrollment.deleteMany({ userId });
+  await LessonProgress.deleteMany({ userId });
+  await HomeworkSubmission.deleteMany({ userId });
+  await QuizAttempt.deleteMany({ userId });
+  await Certificate.deleteMany({ userId });
+  await Favorite.deleteMany({ userId });
+  await CourseApplication.deleteMany({ userId });
+  await Notification.deleteMany({ userId });
+  await RefreshToken.deleteMany({ userId });
+  await UserToken.deleteMany({ userId });
+  await TeacherProfile.deleteMany({ userId });
+  await deleteMediaForEntities('User', [userId]);
+
+  user.name = 'Deleted user';
+  user.email = `deleted-${userId}@deleted.invalid`;
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.emailVerified = false;
+  user.emailVerifiedAt = undefined;
+  user.purgedAt = Date.now();
+  await user.save();
+
+  await recordAudit(null, {
+    action: 'user.purge',
+    targetType: 'User',
+    targetId: userId,
+  });
+}
+
+// Purge every user whose retention window has ended. Returns how many
+// users were purged.
+async function purgeDeletedUsers(now = new Date()) {
+  const users = await User.find({
+    deletedAt: { $lte: new Date(now.getTime() - USER_RETENTION_DAYS * DAY_MS) },
+    purgedAt: { $exists: false },
+  });
+
+  for (const user of users) {
+    await purgeUser(user);
+  }
+  return users.length;
+}
+
+module.exports = {
+  USER_RETENTION_DAYS,
+  restoreDeadline,
+  canRestoreUser,
+  softDeleteUser,
+  restoreUser,
+  purgeDeletedUsers,
+};
@@ -0,0 +1,229 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+describe('platform overview', () => {
+  it('reports users, courses, enrollments and revenue', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user, { category: 'design' });
+    await createCourse(teacher.user, { published: false });
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    await Payment.create({
+      userId: student.user._id,
+      courseId: course._id,
+      amount: 30,
+      status: 'completed',
+      paymentMethod: 'card',
+      provider: 'fake',
+      completedAt: new Date(),
+    });
+
+    const res = await request(app)
+      .get('/api/admin/overview')
+      .set(auth(admin.token));
+    expect(res.status).toBe(200);
+    expect(res.body.users).toMatchObject({
+      total: 3,
+      byRole: { total: 3, student: 1, teacher: 1, admin: 1 },
+      signups: { total: 3 },
+    });
+    expect(res.body.courses).toMatchObject({
+      total: 2,
+      published: 1,
+      unpublished: 1,
+      byCategory: [
+        { category: 'design', courses: 1 },
+        { category: 'programming', courses: 1 },
+      ],
+    });
+    expect(res.body.enrollments.total).toBe(1);
+    expect(res.body.revenue).toMatchObject({ payments: 1, netRevenue: 30 });
+
+    const denied = await request(app)
+      .get('/api/admin/overview')
+      .set(auth(teacher.token));
+    expect(denied.status).toBe(403);
+  });
+});
+
+describe('course moderation', () => {
+  it('hides unpublished courses from the catalog and new students', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+
+    const unpublish = await request(app)
+      .put(`/api/admin/courses/${course._id}/unpublish`)
+      .set(auth(admin.token))
+      .send({ reason: 'Copyright complaint' });
+    expect(unpublish.body.course).toMatchObject({
+      published: false,
+      unpublishedReason: 'Copyright complaint',
+    });
+
+    const catalog = await request(app).get('/api/courses');
+    expect(catalog.body.data).toHaveLength(0);
+    expect((await request(app).get(`/api/courses/${course._id}`)).status).toBe(
+      404
+    );
+
+    // The teacher still sees the course among their own
+    const own = await request(app)
+      .get(`/api/courses?teacherId=${teacher.user._id}`)
+      .set(auth(teacher.token));
+    expect(own.body.data).toHaveLength(1);
+
+    const enroll = await request(app)
+      .post('/api/enrollments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString() });
+    expect(enroll.status).toBe(403);
+
+    const publish = await request(app)
+      .put(`/api/admin/courses/${course._id}/publish`)
+      .set(auth(admin.token));
+    expect(publish.body.course.published).toBe(true);
+    expect((await request(app).get('/api/courses')).body.data).toHaveLength(1);
+  });
+
+  it('keeps unpublished courses open to enrolled students', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const outsider = await createUser('student');
+    const course = await createCourse(teacher.user);
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+
+    await request(app)
+      .put(`/api/admin/courses/${course._id}/unpublish`)
+      .set(auth(admin.token))
+      .send({ reason: 'Under review' });
+
+    const enrolled = await request(app)
+      .get(`/api/courses/${course._id}`)
+      .set(auth(student.token));
+    expect(enrolled.status).toBe(200);
+
+    const other = await request(app)
+      .get(`/api/courses/${course._id}`)
+      .set(auth(outsider.token));
+    expect(other.status).toBe(404);
+  });
+
+  it('lists featured courses first', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user, { title: 'Featured' });
+    await createCourse(teacher.user, { title: 'Newer' });
+
+    await request(app)
+      .put(`/api/admin/courses/${course._id}/feature`)
+      .set(auth(admin.token));
+
+    const featured = await request(app).get('/api/courses?featured=true');
+    expect(featured.body.data.map((item) => item.title)).toEqual(['Featured']);
+    const sorted = await request(app).get('/api/courses?sort=featured');
+    expect(sorted.body.data.map((item) => item.title)).toEqual([
+      'Featured',
+      'Newer',
+    ]);
+  });
+});
+
+describe('user management', () => {
+  it('searches users by name or email with filters', async () => {
+    const admin = await createUser('admin');
+    await createUser('student', { name: 'Ada Lovelace' });
+    await createUser('teacher', { name: 'Alan Turing' });
+    await createUser('student', { email: 'ada.fan@example.com' });
+
+    const res = await request(app)
+      .get('/api/users?search=ada&limit=1')
+      .set(auth(admin.token));
+    expect(res.body.pagination.total).toBe(2);
+    expect(res.body.data).toHaveLength(1);
+
+    const teachers = await request(app)
+      .get('/api/users?role=teacher')
+      .set(auth(admin.token));
+    expect(teachers.body.data.map((user) => user.name)).toEqual([
+      'Alan Turing',
+    ]);
+  });
+
+  it('locks suspended users out until they are reinstated', async () => {
+    const admin = await createUser('admin');
+    const student = await createUser('student');
+
+    const suspend = await request(app)
+      .put(`/api/users/${student.user._id}/suspend`)
+      .set(auth(admin.token))
+      .send({ reason: 'Spamming reviews' });
+    expect(suspend.body.user.status).toBe('suspended');
+
+    const login = await request(app)
+      .post('/api/login')
+      .send({ email: student.user.email, password: 'password123' });
+    expect(login.status).toBe(403);
+    expect(login.body).toMatchObject({
+      message: 'Your account is suspended',
+      reason: 'Spamming reviews',
+    });
+
+    await request(app)
+      .put(`/api/users/${student.user._id}/reinstate`)
+      .set(auth(admin.token));
+    const again = await request(app)
+      .post('/api/login')
+      .send({ email: student.user.email, password: 'password123' });
+    expect(again.status).toBe(200);
+  });
+
+  it('rejects tokens of suspended users that are still valid', async () => {
+    const student = await createUser('student');
+    await User.updateOne({ _id: student.user._id }, { status: 'banned' });
+
+    const res = await request(app).get('/api/profile').set(auth(student.token));
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Your account has been banned');
+  });
+
+  it('lets suspensions run out', async () => {
+    const student = await createUser('student');
+    await User.updateOne(
+      { _id: student.user._id },
+      { status: 'suspended', suspendedUntil: new Date(Date.now() - 1000) }
+    );
+
+    const res = await request(app).get('/api/profile').set(auth(student.token));
+    expect(res.status).toBe(200);
+  });
+
+  it('does not let admins suspend themselves', async () => {
+    const admin = await createUser('admin');
+
+    const res = await request(app)
+      .put(`/api/users/${admin.user._id}/ban`)
+      .set(auth(admin.token));
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,246 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Lesson = require('../models/Lesson');
+const LessonProgress = require('../models/LessonProgress');
+const Enrollment = require('../models/Enrollment');
+const Homework = require('../models/Homework');
+const HomeworkSubmission = require('../models/HomeworkSubmission');
+const Payment = require('../models/Payment');
+const CourseReview = require('../models/CourseReview');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+// A paid course with three students: one active, one completed and one
+// who cancelled, a homework, a payment and two reviews
+async function createActivity() {
+  const teacher = await createUser('teacher');
+  const course = await createCourse(teacher.user, { price: 50 });
+  const students = await Promise.all(
+    ['active', 'completed', 'cancelled'].map(() => createUser('student'))
+  );
+  const [active, completed, cancelled] = await Promise.all(
+    students.map(({ user }, index) =>
+      Enrollment.create({
+        userId: user._id,
+        courseId: course._id,
+        status: ['active', 'completed', 'cancelled'][index],
+        progress: [40, 100, 10][index],
+        enrolledAt: new Date('2026-03-02T10:00:00Z'),
+      })
+    )
+  );
+
+  const [first, second] = await Lesson.create([
+    { title: 'Basics', description: 'Basics', courseId: course._id, order: 1 },
+    { title: 'Closures', description: 'More', courseId: course._id, order: 2 },
+  ]);
+  await LessonProgress.create([
+    {
+      userId: active.userId,
+      lessonId: first._id,
+      courseId: course._id,
+      enrollmentId: active._id,
+      completed: true,
+    },
+    {
+      userId: completed.userId,
+      lessonId: first._id,
+      courseId: course._id,
+      enrollmentId: completed._id,
+      completed: true,
+    },
+    {
+      userId: completed.userId,
+      lessonId: second._id,
+      courseId: course._id,
+      enrollmentId: completed._id,
+      completed: true,
+    },
+    {
+      userId: cancelled.userId,
+      lessonId: first._id,
+      courseId: course._id,
+      enrollmentId: cancelled._id,
+      completed: true,
+    },
+  ]);
+
+  const homework = await Homework.create({
+    title: 'Exercises',
+    description: 'Do them',
+    lessonId: first._id,
+    dueDate: new Date('2026-03-10T00:00:00Z'),
+  });
+  await HomeworkSubmission.create([
+    {
+      homeworkId: homework._id,
+      userId: active.userId,
+      enrollmentId: active._id,
+      content: 'Done',
+    },
+    {
+      homeworkId: homework._id,
+      userId: completed.userId,
+      enrollmentId: completed._id,
+      content: 'Done late',
+      isLate: true,
+    },
+  ]);
+
+  await Payment.create({
+    userId: completed.userId,
+    courseId: course._id,
+    amount: 50,
+    status: 'partially_refunded',
+    refundedAmount: 10,
+    paymentMethod: 'card',
+    provider: 'fake',
+    completedAt: new Date('2026-03-02T10:00:00Z'),
+  });
+  await CourseReview.create([
+    {
+      userId: active.userId,
+      courseId: course._id,
+      rating: 4,
+      comment: 'Good',
+      createdAt: new Date('2026-03-03T10:00:00Z'),
+    },
+    {
+      userId: completed.userId,
+      courseId: course._id,
+      rating: 5,
+      comment: 'Great',
+      createdAt: new Date('2026-04-07T10:00:00Z'),
+    },
+  ]);
+
+  return { teacher, course };
+}
+
+describe('teacher analytics', () => {
+  it('aggregates every course of the teacher', async () => {
+    const { teacher, course } = await createActivity();
+    await createCourse(teacher.user, { title: 'Empty course' });
+
+    const res = await request(app)
+      .get('/api/analytics/teacher?interval=month')
+      .set(auth(teacher.token));
+    expect(res.status).toBe(200);
+    expect(res.body.totals).toEqual({
+      courses: 2,
+      enrollments: {
+        total: 3,
+        active: 1,
+        completed: 1,
+        cancelled: 1,
+        averageProgress: 70,
+      },
+      homework: {
+        homework: 1,
+        expectedSubmissions: 2,
+        submissions: 2,
+        onTimeSubmissions: 1,
+        submissionRate: 100,
+        onTimeRate: 50,
+      },
+      revenue: {
+        payments: 1,
+        grossRevenue: 50,
+        refundedAmount: 10,
+        netRevenue: 40,
+      },
+      ratings: { reviews: 2, averageRating: 4.5 },
+    });
+    expect(res.body.ratingTrend).toEqual([
+      { period: '2026-03-01T00:00:00.000Z', reviews: 1, averageRating: 4 },
+      { period: '2026-04-01T00:00:00.000Z', reviews: 1, averageRating: 5 },
+    ]);
+    expect(res.body.courses.map((item) => item.title)).toEqual([
+      course.title,
+      'Empty course',
+    ]);
+    expect(res.body.courses[1].enrollments.total).toBe(0);
+  });
+
+  it('filters by date range', async () => {
+    const { teacher } = await createActivity();
+
+    const res = await request(app)
+      .get('/api/analytics/teacher?from=2026-04-01&to=2026-04-30')
+      .set(auth(teacher.token));
+    expect(res.body.totals.enrollments.total).toBe(0);
+    expect(res.body.totals.revenue.payments).toBe(0);
+    expect(res.body.totals.ratings).toEqual({ reviews: 1, averageRating: 5 });
+  });
+
+  it('keeps teachers to their own analytics', async () => {
+    const { teacher } = await createActivity();
+    const other = await createUser('teacher');
+    const admin = await createUser('admin');
+
+    const denied = await request(app)
+      .get(`/api/analytics/teacher?teacherId=${teacher.user._id}`)
+      .set(auth(other.token));
+    expect(denied.status).toBe(403);
+
+    const asAdmin = await request(app)
+      .get(`/api/analytics/teacher?teacherId=${teacher.user._id}`)
+      .set(auth(admin.token));
+    expect(asAdmin.body.totals.courses).toBe(1);
+
+    const missing = await request(app)
+      .get('/api/analytics/teacher')
+      .set(auth(admin.token));
+    expect(missing.status).toBe(400);
+  });
+});
+
+describe('course analytics', () => {
+  it('reports lesson drop-off for students who did not cancel', async () => {
+    const { teacher, course } = await createActivity();
+
+    const res = await request(app)
+      .get(`/api/courses/${course._id}/analytics`)
+      .set(auth(teacher.token));
+    expect(res.status).toBe(200);
+    expect(res.body.enrollmentsOverTime).toEqual([
+      { period: '2026-03-02T00:00:00.000Z', enrollments: 3 },
+    ]);
+    expect(res.body.lessonDropOff).toEqual([
+      expect.objectContaining({
+        title: 'Basics',
+        completedBy: 2,
+        completionRate: 100,
+        dropOffRate: 0,
+      }),
+      expect.objectContaining({
+        title: 'Closures',
+        completedBy: 1,
+        completionRate: 50,
+        dropOffRate: 50,
+      }),
+    ]);
+  });
+
+  it('is only available to the course teacher and admins', async () => {
+    const { course } = await createActivity();
+    const other = await createUser('teacher');
+
+    const res = await request(app)
+      .get(`/api/courses/${course._id}/analytics`)
+      .set(auth(other.token));
+    expect(res.status).toBe(403);
+  });
+});
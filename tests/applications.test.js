@@ -0,0 +1,75 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+describe('course applications', () => {
+  it('gates enrollment behind an approved application', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user, {
+      requiresApplication: true,
+    });
+
+    const direct = await request(app)
+      .post('/api/enrollments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString() });
+    expect(direct.status).toBe(403);
+
+    const apply = await request(app)
+      .post(`/api/courses/${course._id}/applications`)
+      .set(auth(student.token))
+      .send({ message: 'Please let me in', status: 'approved' });
+    expect(apply.status).toBe(201);
+    expect(apply.body.status).toBe('pending');
+
+    const approve = await request(app)
+      .put(`/api/applications/${apply.body._id}/approve`)
+      .set(auth(teacher.token))
+      .send({ reason: 'Welcome' });
+    expect(approve.status).toBe(200);
+    expect(approve.body.application.status).toBe('approved');
+    expect(approve.body.enrollment.status).toBe('active');
+  });
+
+  it('scopes the application list to the teacher courses', async () => {
+    const owner = await createUser('teacher');
+    const other = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(owner.user);
+
+    await request(app)
+      .post(`/api/courses/${course._id}/applications`)
+      .set(auth(student.token))
+      .send({ message: 'Hello' });
+
+    const ownList = await request(app)
+      .get('/api/applications')
+      .set(auth(owner.token));
+    expect(ownList.body.pagination.total).toBe(1);
+
+    const otherList = await request(app)
+      .get('/api/applications')
+      .set(auth(other.token));
+    expect(otherList.body.pagination.total).toBe(0);
+
+    const reject = await request(app)
+      .put(`/api/applications/${ownList.body.data[0]._id}/reject`)
+      .set(auth(other.token))
+      .send({});
+    expect(reject.status).toBe(403);
+  });
+});
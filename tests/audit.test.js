@@ -0,0 +1,372 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const AuditLog = require('../models/AuditLog');
+const Lesson = require('../models/Lesson');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+async function listAuditLogs(token, query = '') {
+  return request(app).get(`/api/admin/audit-logs${query}`).set(auth(token));
+}
+
+describe('audit trail', () => {
+  it('records role changes with the actor and where the request came from', async () => {
+    const admin = await createUser('admin');
+    const { user } = await createUser('teacher');
+
+    await request(app)
+      .put(`/api/users/${user._id}/promote`)
+      .set(auth(admin.token))
+      .set('User-Agent', 'audit-test');
+
+    const res = await listAuditLogs(admin.token, '?action=user.role_change');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({
+        action: 'user.role_change',
+        actorRole: 'admin',
+        targetType: 'User',
+        targetId: user._id.toString(),
+        before: { role: 'teacher' },
+        after: { role: 'admin', source: 'admin' },
+        userAgent: 'audit-test',
+      }),
+    ]);
+    expect(res.body.data[0].actorId).toMatchObject({
+      _id: admin.user._id.toString(),
+      email: admin.user.email,
+    });
+    expect(res.body.data[0].ip).not.toBe('');
+  });
+
+  it('keeps only the changed fields of an update', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user, { price: 10 });
+
+    await request(app)
+      .patch(`/api/courses/${course._id}`)
+      .set(auth(teacher.token))
+      .send({ price: 25, title: course.title });
+
+    const res = await listAuditLogs(admin.token, `?targetId=${course._id}`);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({
+        action: 'course.update',
+        actorRole: 'teacher',
+        before: { price: 10 },
+        after: { price: 25 },
+      }),
+    ]);
+  });
+
+  it('records payments and refunds', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user, { price: 40 });
+
+    const checkout = await request(app)
+      .post('/api/payments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString(), paymentMethod: 'card' });
+    await request(app)
+      .post(`/api/payments/${checkout.body._id}/confirm`)
+      .set(auth(student.token))
+      .send({ paymentToken: 'tok_visa' });
+    await request(app)
+      .post(`/api/payments/${checkout.body._id}/refunds`)
+      .set(auth(admin.token))
+      .send({ amount: 15, reason: 'Goodwill' });
+
+    const res = await listAuditLogs(admin.token, '?action=payment');
+    expect(res.body.data.map((entry) => entry.action)).toEqual([
+      'payment.refund',
+      'payment.confirm',
+      'payment.create',
+    ]);
+    expect(res.body.data[0].before).toMatchObject({
+      status: 'completed',
+      refundedAmount: 0,
+    });
+    expect(res.body.data[0].after).toMatchObject({
+      status: 'partially_refunded',
+      refundedAmount: 15,
+    });
+    expect(res.body.data[2].after).toMatchObject({
+      amount: 40,
+      status: 'pending',
+    });
+  });
+
+  it('records section changes and curriculum reorders', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const lesson = await Lesson.create({
+      title: 'Intro',
+      description: 'Getting started',
+      courseId: course._id,
+      order: 1,
+    });
+
+    const section = await request(app)
+      .post(`/api/courses/${course._id}/sections`)
+      .set(auth(teacher.token))
+      .send({ title: 'Basics' });
+    await request(app)
+      .patch(`/api/sections/${section.body._id}`)
+      .set(auth(teacher.token))
+      .send({ title: 'Fundamentals' });
+    await request(app)
+      .put(`/api/courses/${course._id}/curriculum/order`)
+      .set(auth(teacher.token))
+      .send({
+        unsectionedLessonIds: [],
+        sections: [{ sectionId: section.body._id, lessonIds: [lesson._id] }],
+      });
+    await request(app)
+      .delete(`/api/sections/${section.body._id}`)
+      .set(auth(teacher.token));
+
+    const sections = await listAuditLogs(admin.token, '?action=section');
+    expect(sections.body.data.map((entry) => entry.action)).toEqual([
+      'section.delete',
+      'section.update',
+      'section.create',
+    ]);
+    expect(sections.body.data[1]).toMatchObject({
+      before: { title: 'Basics' },
+      after: { title: 'Fundamentals' },
+    });
+
+    const reorder = await listAuditLogs(admin.token, '?action=course.reorder');
+    expect(reorder.body.data).toEqual([
+      expect.objectContaining({
+        targetType: 'Course',
+        targetId: course._id.toString(),
+        before: {
+          sections: [{ sectionId: section.body._id, lessonIds: [] }],
+          unsectionedLessonIds: [lesson._id.toString()],
+        },
+        after: {
+          sections: [
+            {
+              sectionId: section.body._id,
+              lessonIds: [lesson._id.toString()],
+            },
+          ],
+          unsectionedLessonIds: [],
+        },
+      }),
+    ]);
+  });
+
+  it('records quiz and homework changes', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const lesson = await Lesson.create({
+      title: 'Intro',
+      description: 'Getting started',
+      courseId: course._id,
+      order: 1,
+    });
+
+    const quiz = await request(app)
+      .post('/api/quizzes')
+      .set(auth(teacher.token))
+      .send({
+        title: 'Warm-up',
+        lessonId: lesson._id.toString(),
+        questions: [
+          {
+            type: 'true_false',
+            prompt: 'JavaScript is single-threaded.',
+            correctOptions: [0],
+          },
+        ],
+      });
+    await request(app)
+      .patch(`/api/quizzes/${quiz.body._id}`)
+      .set(auth(teacher.token))
+      .send({ title: 'Check-in' });
+    await request(app)
+      .delete(`/api/quizzes/${quiz.body._id}`)
+      .set(auth(teacher.token));
+
+    const homework = await request(app)
+      .post('/api/homework')
+      .set(auth(teacher.token))
+      .send({
+        title: 'Setup',
+        description: 'Install Node.js',
+        lessonId: lesson._id.toString(),
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      });
+    await request(app)
+      .patch(`/api/homework/${homework.body._id}`)
+      .set(auth(teacher.token))
+      .send({ title: 'Environment setup' });
+    await request(app)
+      .delete(`/api/homework/${homework.body._id}`)
+      .set(auth(teacher.token));
+
+    const quizzes = await listAuditLogs(admin.token, '?targetType=Quiz');
+    expect(quizzes.body.data.map((entry) => entry.action)).toEqual([
+      'quiz.delete',
+      'quiz.update',
+      'quiz.create',
+    ]);
+    expect(quizzes.body.data[1]).toMatchObject({
+      before: { title: 'Warm-up' },
+      after: { title: 'Check-in' },
+    });
+
+    const homeworkLogs = await listAuditLogs(admin.token, '?action=homework');
+    expect(homeworkLogs.body.data.map((entry) => entry.action)).toEqual([
+      'homework.delete',
+      'homework.update',
+      'homework.create',
+    ]);
+    expect(homeworkLogs.body.data[0].before).toMatchObject({
+      title: 'Environment setup',
+    });
+  });
+
+  it('records media changes of courses and lessons', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const lesson = await Lesson.create({
+      title: 'Intro',
+      description: 'Getting started',
+      courseId: course._id,
+      order: 1,
+    });
+
+    const upload = await request(app)
+      .post(`/api/lessons/${lesson._id}/attachments`)
+      .set(auth(teacher.token))
+      .attach('file', Buffer.from('%PDF-1.4\n%%EOF\n'), 'handout.pdf');
+    expect(upload.status).toBe(201);
+    await request(app)
+      .delete(`/api/lessons/${lesson._id}/attachments/${upload.body.media._id}`)
+      .set(auth(teacher.token));
+
+    const res = await listAuditLogs(admin.token, `?targetId=${lesson._id}`);
+    expect(res.body.data.map((entry) => entry.action)).toEqual([
+      'lesson.update',
+      'lesson.update',
+    ]);
+    expect(res.body.data[1].before).toEqual({ attachments: [] });
+    expect(res.body.data[1].after.attachments).toEqual([
+      expect.objectContaining({ name: 'handout.pdf' }),
+    ]);
+    expect(res.body.data[0].after).toEqual({ attachments: [] });
+  });
+
+  it('never stores passwords', async () => {
+    const admin = await createUser('admin');
+    const { user } = await createUser('student');
+
+    await request(app)
+      .put(`/api/users/${user._id}/reset-password`)
+      .set(auth(admin.token))
+      .send({ password: 'new-password' });
+
+    const entry = await AuditLog.findOne({ action: 'user.password_reset' });
+    expect(entry).toMatchObject({ before: null, after: null });
+  });
+
+  it('does not audit authors deleting their own reviews', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+    await request(app)
+      .post('/api/enrollments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString() });
+
+    const review = await request(app)
+      .post(`/api/courses/${course._id}/reviews`)
+      .set(auth(student.token))
+      .send({ rating: 2, comment: 'Not for me' });
+    await request(app)
+      .delete(`/api/reviews/${review.body._id}`)
+      .set(auth(student.token));
+
+    const res = await listAuditLogs(admin.token, '?targetType=CourseReview');
+    expect(res.body.data).toHaveLength(0);
+  });
+});
+
+describe('audit log access', () => {
+  it('is limited to admins', async () => {
+    const { token } = await createUser('teacher');
+
+    expect((await listAuditLogs(token)).status).toBe(403);
+  });
+
+  it('rejects changes to existing entries', async () => {
+    const admin = await createUser('admin');
+    const entry = await AuditLog.create({
+      actorId: admin.user._id,
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: admin.user._id,
+    });
+
+    await expect(
+      AuditLog.updateOne({ _id: entry._id }, { action: 'user.update' })
+    ).rejects.toThrow('Audit log entries cannot be changed or removed');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow();
+    expect(await AuditLog.countDocuments()).toBe(1);
+  });
+
+  it('exports the filtered log as CSV', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+
+    await request(app)
+      .put(`/api/admin/courses/${course._id}/unpublish`)
+      .set(auth(admin.token))
+      .send({ reason: 'Copied, "verbatim", from elsewhere' });
+    await request(app)
+      .put(`/api/users/${teacher.user._id}/reset-password`)
+      .set(auth(admin.token))
+      .send({ password: 'new-password' });
+
+    const res = await request(app)
+      .get('/api/admin/audit-logs/export?targetType=Course')
+      .set(auth(admin.token));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/csv');
+    expect(res.headers['content-disposition']).toContain('audit-log.csv');
+
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe(
+      'createdAt,actorId,actorEmail,actorRole,action,targetType,targetId,before,after,ip,userAgent'
+    );
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain(
+      `${admin.user._id},${admin.user.email},admin,course.unpublish,Course,${course._id}`
+    );
+    expect(lines[1]).toContain('""Copied, \\""verbatim\\"", from elsewhere""');
+  });
+});
@@ -0,0 +1,235 @@
+const fs = require('fs/promises');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+// Read the token out of the newest email sent to an address
+async function latestMailToken(to) {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR;
+  const files = (await fs.readdir(outboxDir)).sort();
+  for (const file of files.reverse()) {
+    const message = JSON.parse(
+      await fs.readFile(path.join(outboxDir, file), 'utf8')
+    );
+    if (message.to === to) {
+      return message.text.match(/token=([a-f0-9]+)/)[1];
+    }
+  }
+  return null;
+}
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+describe('registration and login', () => {
+  it('registers students and returns a token pair', async () => {
+    const res = await request(app).post('/api/register').send({
+      email: 'Student@Example.com',
+      password: 'password123',
+      name: 'Student',
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+    expect(res.body.user).toMatchObject({
+      email: 'student@example.com',
+      role: 'student',
+    });
+  });
+
+  it('refuses self-registration as teacher or admin', async () => {
+    const res = await request(app).post('/api/register').send({
+      email: 'teacher@example.com',
+      password: 'password123',
+      name: 'Teacher',
+      role: 'teacher',
+    });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('reports invalid input in the validation error format', async () => {
+    const res = await request(app)
+      .post('/api/register')
+      .send({ email: 'not-an-email' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field: 'email', code: 'INVALID_EMAIL' }),
+        expect.objectContaining({ field: 'password', code: 'REQUIRED' }),
+      ])
+    );
+  });
+
+  it('logs in with valid credentials only', async () => {
+    const { user } = await createUser('student');
+
+    const ok = await request(app)
+      .post('/api/login')
+      .send({ email: user.email, password: 'password123' });
+    expect(ok.status).toBe(200);
+
+    const wrong = await request(app)
+      .post('/api/login')
+      .send({ email: user.email, password: 'wrong-password' });
+    expect(wrong.status).toBe(401);
+  });
+});
+
+describe('sessions', () => {
+  it('rotates refresh tokens and detects reuse', async () => {
+    const { refreshToken } = await createUser('student');
+
+    const first = await request(app)
+      .post('/api/token/refresh')
+      .send({ refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app)
+      .post('/api/token/refresh')
+      .send({ refreshToken });
+    expect(reused.status).toBe(401);
+
+    // Reuse revokes the whole session family
+    const rotated = await request(app)
+      .post('/api/token/refresh')
+      .send({ refreshToken: first.body.refreshToken });
+    expect(rotated.status).toBe(401);
+  });
+
+  it('exchanges a refresh token once under concurrent requests', async () => {
+    const { refreshToken } = await createUser('student');
+
+    const refresh = () =>
+      request(app).post('/api/token/refresh').send({ refreshToken });
+    const responses = await Promise.all([refresh(), refresh()]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 401]);
+  });
+
+  it('refuses refresh tokens of deleted users', async () => {
+    const { user, refreshToken } = await createUser('student');
+    await User.updateOne({ _id: user._id }, { deletedAt: new Date() });
+
+    const res = await request(app)
+      .post('/api/token/refresh')
+      .send({ refreshToken });
+    expect(res.status).toBe(401);
+  });
+
+  it('revokes access tokens on logout from all devices', async () => {
+    const { token } = await createUser('student');
+
+    const logout = await request(app).post('/api/logout-all').set(auth(token));
+    expect(logout.status).toBe(200);
+
+    const profile = await request(app).get('/api/profile').set(auth(token));
+    expect(profile.status).toBe(401);
+  });
+
+  it('revokes sessions when an admin changes the role', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+
+    const promote = await request(app)
+      .put(`/api/users/${teacher.user._id}/promote`)
+      .set(auth(admin.token));
+    expect(promote.status).toBe(200);
+
+    const profile = await request(app)
+      .get('/api/profile')
+      .set(auth(teacher.token));
+    expect(profile.status).toBe(401);
+  });
+});
+
+describe('password reset and email verification', () => {
+  it('resets the password with a single-use token', async () => {
+    const { user } = await createUser('student');
+
+    const forgot = await request(app)
+      .post('/api/forgot-password')
+      .send({ email: user.email });
+    expect(forgot.status).toBe(200);
+
+    const token = await latestMailToken(user.email);
+    const reset = await request(app)
+      .post('/api/reset-password')
+      .send({ token, password: 'new-password' });
+    expect(reset.status).toBe(200);
+
+    const again = await request(app)
+      .post('/api/reset-password')
+      .send({ token, password: 'other-password' });
+    expect(again.status).toBe(400);
+
+    const login = await request(app)
+      .post('/api/login')
+      .send({ email: user.email, password: 'new-password' });
+    expect(login.status).toBe(200);
+  });
+
+  it('verifies the email address sent on signup', async () => {
+    const register = await request(app).post('/api/register').send({
+      email: 'verify@example.com',
+      password: 'password123',
+      name: 'Verify Me',
+    });
+
+    const token = await latestMailToken('verify@example.com');
+    const verify = await request(app).post('/api/verify-email').send({ token });
+    expect(verify.status).toBe(200);
+
+    const profile = await request(app)
+      .get('/api/profile')
+      .set(auth(register.body.token));
+    expect(profile.body.emailVerified).toBe(true);
+  });
+});
+
+describe('admin setup', () => {
+  const { ADMIN_SETUP_TOKEN } = process.env;
+
+  beforeEach(() => {
+    process.env.ADMIN_SETUP_TOKEN = 'setup-token';
+  });
+  afterEach(() => {
+    process.env.ADMIN_SETUP_TOKEN = ADMIN_SETUP_TOKEN;
+  });
+
+  function setupAdmin() {
+    return request(app)
+      .post('/api/setup-admin')
+      .set('X-Setup-Token', 'setup-token')
+      .send({
+        email: 'root@example.com',
+        password: 'password123',
+        name: 'Root',
+      });
+  }
+
+  it('only runs while there is no admin, deleted admins aside', async () => {
+    const { user } = await createUser('admin');
+
+    expect((await setupAdmin()).status).toBe(403);
+
+    user.deletedAt = Date.now();
+    await user.save();
+    expect((await setupAdmin()).status).toBe(201);
+  });
+});
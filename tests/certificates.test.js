@@ -0,0 +1,118 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Lesson = require('../models/Lesson');
+const TeacherProfile = require('../models/TeacherProfile');
+const Enrollment = require('../models/Enrollment');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+// Enroll a student in a one-lesson course and complete the lesson
+async function completeCourse() {
+  const teacher = await createUser('teacher');
+  const student = await createUser('student', { name: 'Ada Lovelace' });
+  await TeacherProfile.create({
+    userId: teacher.user._id,
+    teacherName: 'Grace Hopper',
+    email: teacher.user.email,
+  });
+  const course = await createCourse(teacher.user, { title: 'Compilers' });
+  const lesson = await Lesson.create({
+    title: 'Lesson 1',
+    description: 'Description',
+    videoUrl: 'https://example.com/video.mp4',
+    courseId: course._id,
+    order: 1,
+  });
+  await Enrollment.create({ userId: student.user._id, courseId: course._id });
+
+  await request(app)
+    .put(`/api/lessons/${lesson._id}/progress`)
+    .set(auth(student.token))
+    .send({ completed: true });
+
+  const list = await request(app)
+    .get('/api/certificates')
+    .set(auth(student.token));
+
+  return { teacher, student, course, certificates: list.body };
+}
+
+describe('certificates', () => {
+  it('issues a single certificate when the enrollment completes', async () => {
+    const { certificates } = await completeCourse();
+
+    expect(certificates).toHaveLength(1);
+    expect(certificates[0]).toMatchObject({
+      studentName: 'Ada Lovelace',
+      courseTitle: 'Compilers',
+      teacherName: 'Grace Hopper',
+    });
+    expect(certificates[0].certificateId).toMatch(
+      /^EDU-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/
+    );
+  });
+
+  it('verifies certificates publicly', async () => {
+    const { certificates } = await completeCourse();
+    const { certificateId } = certificates[0];
+
+    const valid = await request(app).get(
+      `/api/certificates/${certificateId.toLowerCase()}/verify`
+    );
+    expect(valid.status).toBe(200);
+    expect(valid.body).toMatchObject({
+      valid: true,
+      certificateId,
+      courseTitle: 'Compilers',
+    });
+    expect(valid.body.userId).toBeUndefined();
+
+    const unknown = await request(app).get(
+      '/api/certificates/EDU-0000-0000-0000/verify'
+    );
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.valid).toBe(false);
+
+    const malformed = await request(app).get(
+      '/api/certificates/not-a-certificate/verify'
+    );
+    expect(malformed.status).toBe(400);
+  });
+
+  it('downloads as PDF or SVG for the holder only', async () => {
+    const { teacher, student, certificates } = await completeCourse();
+    const { certificateId } = certificates[0];
+
+    const pdf = await request(app)
+      .get(`/api/certificates/${certificateId}/download`)
+      .set(auth(student.token));
+    expect(pdf.status).toBe(200);
+    expect(pdf.headers['content-type']).toMatch(/application\/pdf/);
+    expect(pdf.headers['content-disposition']).toContain(
+      `certificate-${certificateId}.pdf`
+    );
+
+    const svg = await request(app)
+      .get(`/api/certificates/${certificateId}/download?format=svg`)
+      .set(auth(student.token));
+    expect(svg.status).toBe(200);
+    expect(svg.headers['content-type']).toMatch(/image\/svg\+xml/);
+
+    const other = await request(app)
+      .get(`/api/certificates/${certificateId}/download`)
+      .set(auth(teacher.token));
+    expect(other.status).toBe(404);
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Lesson = require('../models/Lesson');
+const Homework = require('../models/Homework');
+const Enrollment = require('../models/Enrollment');
+const Favorite = require('../models/Favorite');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+describe('course catalog', () => {
+  it('filters, sorts and paginates courses', async () => {
+    const { user: teacher } = await createUser('teacher');
+    await createCourse(teacher, { title: 'Cheap', price: 10 });
+    await createCourse(teacher, { title: 'Pricey', price: 90 });
+    await createCourse(teacher, {
+      title: 'Design',
+      price: 50,
+      category: 'design',
+    });
+
+    const res = await request(app).get(
+      '/api/courses?category=programming&sort=price_desc&limit=1'
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].title).toBe('Pricey');
+    expect(res.body.data[0].teacherId.name).toBe(teacher.name);
+    expect(res.body.pagination).toMatchObject({
+      page: 1,
+      limit: 1,
+      total: 2,
+      totalPages: 2,
+      hasNextPage: true,
+    });
+  });
+
+  it('sorts by active enrollments', async () => {
+    const { user: teacher } = await createUser('teacher');
+    const quiet = await createCourse(teacher, { title: 'Quiet' });
+    const busy = await createCourse(teacher, { title: 'Busy' });
+    const students = await Promise.all([
+      createUser('student'),
+      createUser('student'),
+    ]);
+    await Enrollment.create([
+      { userId: students[0].user._id, courseId: busy._id },
+      { userId: students[1].user._id, courseId: busy._id },
+      {
+        userId: students[0].user._id,
+        courseId: quiet._id,
+        status: 'cancelled',
+      },
+    ]);
+
+    const res = await request(app).get('/api/courses?sort=popularity');
+    expect(
+      res.body.data.map(({ title, enrollmentCount }) => [
+        title,
+        enrollmentCount,
+      ])
+    ).toEqual([
+      ['Busy', 2],
+      ['Quiet', 0],
+    ]);
+
+    const newest = await request(app).get('/api/courses');
+    expect(newest.body.data[1]).toMatchObject({
+      title: 'Quiet',
+      enrollmentCount: 0,
+    });
+  });
+
+  it('searches titles and descriptions', async () => {
+    const { user: teacher } = await createUser('teacher');
+    await createCourse(teacher, { title: 'Python for data science' });
+    await createCourse(teacher, { title: 'Watercolor painting' });
+
+    const res = await request(app).get('/api/courses?search=python');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((course) => course.title)).toEqual([
+      'Python for data science',
+    ]);
+  });
+});
+
+describe('course ownership', () => {
+  it('lets only the owning teacher or an admin update a course', async () => {
+    const owner = await createUser('teacher');
+    const other = await createUser('teacher');
+    const admin = await createUser('admin');
+    const course = await createCourse(owner.user);
+
+    const forbidden = await request(app)
+      .patch(`/api/courses/${course._id}`)
+      .set(auth(other.token))
+      .send({ title: 'Hijacked' });
+    expect(forbidden.status).toBe(403);
+
+    const byOwner = await request(app)
+      .patch(`/api/courses/${course._id}`)
+      .set(auth(owner.token))
+      .send({ title: 'Renamed' });
+    expect(byOwner.status).toBe(200);
+    expect(byOwner.body.title).toBe('Renamed');
+
+    const byAdmin = await request(app)
+      .put(`/api/courses/${course._id}`)
+      .set(auth(admin.token))
+      .send({ price: 20 });
+    expect(byAdmin.status).toBe(200);
+    expect(byAdmin.body.price).toBe(20);
+  });
+
+  it('validates partial updates', async () => {
+    const owner = await createUser('teacher');
+    const course = await createCourse(owner.user);
+
+    const res = await request(app)
+      .patch(`/api/courses/${course._id}`)
+      .set(auth(owner.token))
+      .send({ price: -5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'price' });
+  });
+
+  it('refuses lessons on courses the teacher does not own', async () => {
+    const owner = await createUser('teacher');
+    const other = await createUser('teacher');
+    const course = await createCourse(owner.user);
+
+    const res = await request(app)
+      .post('/api/lessons')
+      .set(auth(other.token))
+      .send({
+        title: 'Lesson',
+        description: 'Description',
+        videoUrl: 'https://example.com/video.mp4',
+        courseId: course._id.toString(),
+        order: 1,
+      });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('cascades course deletion to related documents', async () => {
+    const owner = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(owner.user);
+    const lesson = await Lesson.create({
+      title: 'Lesson',
+      description: 'Description',
+      videoUrl: 'https://example.com/video.mp4',
+      courseId: course._id,
+      order: 1,
+    });
+    await Homework.create({
+      title: 'Homework',
+      description: 'Description',
+      lessonId: lesson._id,
+      dueDate: new Date(),
+    });
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    await Favorite.create({
+      userId: student.user._id,
+      courseId: course._id.toString(),
+    });
+
+    const res = await request(app)
+      .delete(`/api/courses/${course._id}`)
+      .set(auth(owner.token));
+
+    expect(res.status).toBe(200);
+    expect(await Lesson.countDocuments()).toBe(0);
+    expect(await Homework.countDocuments()).toBe(0);
+    expect(await Enrollment.countDocuments()).toBe(0);
+    expect(await Favorite.countDocuments()).toBe(0);
+  });
+});
+
+describe('enrollment', () => {
+  it('refuses duplicates and reactivates cancelled enrollments', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+    const enroll = () =>
+      request(app)
+        .post('/api/enrollments')
+        .set(auth(student.token))
+        .send({ courseId: course._id.toString() });
+
+    expect((await enroll()).status).toBe(201);
+    expect((await enroll()).status).toBe(400);
+
+    await Enrollment.updateOne(
+      { userId: student.user._id },
+      { status: 'cancelled' }
+    );
+    const res = await enroll();
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('active');
+    expect(await Enrollment.countDocuments()).toBe(1);
+  });
+});
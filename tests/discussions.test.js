@@ -0,0 +1,205 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Lesson = require('../models/Lesson');
+const Enrollment = require('../models/Enrollment');
+const Notification = require('../models/Notification');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+// A course with its teacher and two enrolled students
+async function createClassroom() {
+  const teacher = await createUser('teacher');
+  const alice = await createUser('student');
+  const bob = await createUser('student');
+  const course = await createCourse(teacher.user);
+  await Enrollment.create([
+    { userId: alice.user._id, courseId: course._id },
+    { userId: bob.user._id, courseId: course._id },
+  ]);
+  return { teacher, alice, bob, course };
+}
+
+async function startThread(token, course, fields = {}) {
+  return request(app)
+    .post(`/api/courses/${course._id}/discussions`)
+    .set(auth(token))
+    .send({ title: 'How does recursion end?', body: 'I am stuck', ...fields });
+}
+
+async function replyTo(token, threadId, fields = {}) {
+  return request(app)
+    .post(`/api/discussions/${threadId}/replies`)
+    .set(auth(token))
+    .send({ body: 'With a base case', ...fields });
+}
+
+describe('discussion access', () => {
+  it('limits discussions to the teacher and enrolled students', async () => {
+    const { teacher, alice, course } = await createClassroom();
+    const outsider = await createUser('student');
+
+    const created = await startThread(alice.token, course);
+    expect(created.status).toBe(201);
+
+    const list = await request(app)
+      .get(`/api/courses/${course._id}/discussions`)
+      .set(auth(teacher.token));
+    expect(list.body.data).toHaveLength(1);
+
+    expect((await startThread(outsider.token, course)).status).toBe(403);
+    const read = await request(app)
+      .get(`/api/discussions/${created.body._id}`)
+      .set(auth(outsider.token));
+    expect(read.status).toBe(403);
+  });
+
+  it('only opens lesson threads on lessons the student can open', async () => {
+    const { alice, course } = await createClassroom();
+    const released = await Lesson.create({
+      title: 'Recursion',
+      description: 'Functions calling themselves',
+      courseId: course._id,
+      order: 1,
+    });
+    const locked = await Lesson.create({
+      title: 'Dynamic programming',
+      description: 'Released later',
+      courseId: course._id,
+      order: 2,
+      releaseAfterDays: 7,
+    });
+
+    const onReleased = await startThread(alice.token, course, {
+      lessonId: released._id.toString(),
+    });
+    expect(onReleased.status).toBe(201);
+    const onLocked = await startThread(alice.token, course, {
+      lessonId: locked._id.toString(),
+    });
+    expect(onLocked.status).toBe(403);
+    expect(onLocked.body.lockReason).toBe('not_released');
+
+    const list = await request(app)
+      .get(`/api/courses/${course._id}/discussions?lessonId=${released._id}`)
+      .set(auth(alice.token));
+    expect(list.body.data.map((thread) => thread._id)).toEqual([
+      onReleased.body._id,
+    ]);
+  });
+});
+
+describe('replies and answers', () => {
+  it('counts one upvote per user', async () => {
+    const { alice, bob, course } = await createClassroom();
+    const thread = await startThread(alice.token, course);
+
+    const upvote = () =>
+      request(app)
+        .put(`/api/discussions/${thread.body._id}/upvote`)
+        .set(auth(bob.token));
+    await upvote();
+    const again = await upvote();
+    expect(again.body).toMatchObject({ upvoteCount: 1, upvoted: true });
+
+    const own = await request(app)
+      .put(`/api/discussions/${thread.body._id}/upvote`)
+      .set(auth(alice.token));
+    expect(own.status).toBe(400);
+
+    const withdrawn = await request(app)
+      .delete(`/api/discussions/${thread.body._id}/upvote`)
+      .set(auth(bob.token));
+    expect(withdrawn.body).toMatchObject({ upvoteCount: 0, upvoted: false });
+  });
+
+  it('lets the teacher accept an answer', async () => {
+    const { teacher, alice, bob, course } = await createClassroom();
+    const thread = await startThread(alice.token, course);
+    const reply = await replyTo(bob.token, thread.body._id);
+    expect(reply.status).toBe(201);
+
+    const byStudent = await request(app)
+      .put(`/api/discussionReplies/${reply.body._id}/accept`)
+      .set(auth(bob.token));
+    expect(byStudent.status).toBe(403);
+
+    const accepted = await request(app)
+      .put(`/api/discussionReplies/${reply.body._id}/accept`)
+      .set(auth(teacher.token));
+    expect(accepted.status).toBe(200);
+    expect(accepted.body).toMatchObject({
+      acceptedReplyId: reply.body._id,
+      answered: true,
+      replyCount: 1,
+    });
+
+    // Deleting the accepted answer reopens the question
+    await request(app)
+      .delete(`/api/discussionReplies/${reply.body._id}`)
+      .set(auth(bob.token));
+    const res = await request(app)
+      .get(`/api/discussions/${thread.body._id}`)
+      .set(auth(alice.token));
+    expect(res.body).toMatchObject({ answered: false, replyCount: 0 });
+    expect(res.body.acceptedReplyId).toBeUndefined();
+  });
+
+  it('notifies the thread author and mentioned members', async () => {
+    const { teacher, alice, bob, course } = await createClassroom();
+    const outsider = await createUser('student');
+
+    const thread = await startThread(alice.token, course, {
+      mentions: [teacher.user._id.toString(), outsider.user._id.toString()],
+    });
+    expect(thread.body.mentions).toEqual([teacher.user._id.toString()]);
+
+    await replyTo(bob.token, thread.body._id);
+
+    const typesFor = async (user) =>
+      (await Notification.find({ userId: user._id })).map((item) => item.type);
+    expect(await typesFor(teacher.user)).toEqual(['discussion_mention']);
+    expect(await typesFor(alice.user)).toEqual(['discussion_reply']);
+    expect(await typesFor(outsider.user)).toEqual([]);
+  });
+});
+
+describe('unanswered questions inbox', () => {
+  it('lists questions in the teacher courses until the teacher answers', async () => {
+    const { teacher, alice, bob, course } = await createClassroom();
+    const otherCourse = await createCourse((await createUser('teacher')).user);
+    await Enrollment.create({
+      userId: alice.user._id,
+      courseId: otherCourse._id,
+    });
+
+    const first = await startThread(alice.token, course);
+    await startThread(bob.token, course, { title: 'Second question' });
+    await startThread(alice.token, otherCourse);
+
+    // A reply from another student does not answer the question
+    await replyTo(bob.token, first.body._id);
+
+    const inbox = async () =>
+      request(app).get('/api/discussions/unanswered').set(auth(teacher.token));
+    expect((await inbox()).body.pagination.total).toBe(2);
+
+    await replyTo(teacher.token, first.body._id);
+    const res = await inbox();
+    expect(res.body.data).toEqual([
+      expect.objectContaining({ title: 'Second question' }),
+    ]);
+    expect(res.body.data[0].courseId.title).toBe(course.title);
+  });
+});
@@ -0,0 +1,89 @@
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(
+  os.tmpdir(),
+  `edunet-mail-${process.pid}`
+);
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = path.join(
+  os.tmpdir(),
+  `edunet-uploads-${process.pid}`
+);
+
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { issueTokens } = require('../services/auth');
+
+let mongod;
+
+// A single-node replica set, since curriculum reordering runs in a
+// transaction
+async function connectDatabase() {
+  mongod = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongod.getUri());
+  // Unique and text indexes must exist before the tests rely on them
+  await mongoose.connection.syncIndexes();
+}
+
+async function clearDatabase() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany()));
+}
+
+async function closeDatabase() {
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+  }
+}
+
+let userCounter = 0;
+
+// Create a user directly in the database and issue tokens for it
+async function createUser(role = 'student', overrides = {}) {
+  userCounter += 1;
+  const user = new User({
+    email: `${role}${userCounter}@example.com`,
+    password: 'password123',
+    name: `${role} ${userCounter}`,
+    role,
+    ...overrides,
+  });
+  await user.save();
+
+  const { token, refreshToken } = await issueTokens(user, { headers: {} });
+  return { user, token, refreshToken };
+}
+
+async function createCourse(teacher, overrides = {}) {
+  return Course.create({
+    title: 'Intro to JavaScript',
+    description: 'Learn the basics of JavaScript',
+    price: 0,
+    duration: '4 weeks',
+    level: 'beginner',
+    category: 'programming',
+    image: 'https://example.com/course.png',
+    teacherId: teacher._id,
+    ...overrides,
+  });
+}
+
+function auth(token) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+module.exports = {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+};
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Lesson = require('../models/Lesson');
+const Homework = require('../models/Homework');
+const Enrollment = require('../models/Enrollment');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+// A free course with two lessons, homework on the first and an enrolled
+// student
+async function setupCourse({ dueDate = new Date(Date.now() + 86400000) } = {}) {
+  const teacher = await createUser('teacher');
+  const student = await createUser('student');
+  const course = await createCourse(teacher.user);
+  const lessons = await Lesson.insertMany(
+    [1, 2].map((order) => ({
+      title: `Lesson ${order}`,
+      description: 'Description',
+      videoUrl: 'https://example.com/video.mp4',
+      courseId: course._id,
+      order,
+    }))
+  );
+  const homework = await Homework.create({
+    title: 'Homework',
+    description: 'Description',
+    lessonId: lessons[0]._id,
+    dueDate,
+    maxScore: 10,
+  });
+
+  const enroll = await request(app)
+    .post('/api/enrollments')
+    .set(auth(student.token))
+    .send({ courseId: course._id.toString() });
+  expect(enroll.status).toBe(201);
+
+  return {
+    teacher,
+    student,
+    course,
+    lessons,
+    homework,
+    enrollment: enroll.body,
+  };
+}
+
+describe('homework submissions', () => {
+  it('submits, resubmits and grades homework', async () => {
+    const { teacher, student, homework } = await setupCourse();
+
+    const submit = await request(app)
+      .post(`/api/homework/${homework._id}/submissions`)
+      .set(auth(student.token))
+      .send({ content: 'My answer' });
+    expect(submit.status).toBe(201);
+    expect(submit.body.isLate).toBe(false);
+
+    const resubmit = await request(app)
+      .put(`/api/submissions/${submit.body._id}`)
+      .set(auth(student.token))
+      .send({ content: 'My better answer' });
+    expect(resubmit.status).toBe(200);
+    expect(resubmit.body.attempts).toBe(2);
+
+    const tooHigh = await request(app)
+      .put(`/api/submissions/${submit.body._id}/grade`)
+      .set(auth(teacher.token))
+      .send({ score: 11 });
+    expect(tooHigh.status).toBe(400);
+
+    const grade = await request(app)
+      .put(`/api/submissions/${submit.body._id}/grade`)
+      .set(auth(teacher.token))
+      .send({ score: 9, feedback: 'Well done' });
+    expect(grade.status).toBe(200);
+    expect(grade.body).toMatchObject({
+      status: 'graded',
+      score: 9,
+      feedback: 'Well done',
+    });
+
+    const afterGrade = await request(app)
+      .put(`/api/submissions/${submit.body._id}`)
+      .set(auth(student.token))
+      .send({ content: 'Too late to change' });
+    expect(afterGrade.status).toBe(400);
+  });
+
+  it('flags submissions after the due date as late', async () => {
+    const { student, homework } = await setupCourse({
+      dueDate: new Date(Date.now() - 1000),
+    });
+
+    const res = await request(app)
+      .post(`/api/homework/${homework._id}/submissions`)
+      .set(auth(student.token))
+      .send({ content: 'Late answer' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.isLate).toBe(true);
+  });
+
+  it('reports per-student submission status by enrollment', async () => {
+    const { student, homework, enrollment } = await setupCourse();
+
+    await request(app)
+      .post(`/api/homework/${homework._id}/submissions`)
+      .set(auth(student.token))
+      .send({ content: 'My answer' });
+
+    const res = await request(app)
+      .get(`/api/homework?enrollmentId=${enrollment._id}`)
+      .set(auth(student.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body[0].homework[0].submissionStatus).toBe('submitted');
+    expect(res.body[1].homework).toEqual([]);
+  });
+});
+
+describe('lesson progress', () => {
+  it('completes the enrollment once every lesson is done', async () => {
+    const { student, lessons, enrollment } = await setupCourse();
+
+    const first = await request(app)
+      .put(`/api/lessons/${lessons[0]._id}/progress`)
+      .set(auth(student.token))
+      .send({ completed: true });
+    expect(first.status).toBe(200);
+    expect(first.body.enrollment.progress).toBe(50);
+    expect(first.body.enrollment.status).toBe('active');
+
+    await request(app)
+      .put(`/api/lessons/${lessons[1]._id}/progress`)
+      .set(auth(student.token))
+      .send({ lastPosition: 120, completed: true });
+
+    const stored = await Enrollment.findById(enrollment._id);
+    expect(stored.progress).toBe(100);
+    expect(stored.status).toBe('completed');
+    expect(stored.completedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,161 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Homework = require('../models/Homework');
+const Enrollment = require('../models/Enrollment');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+const VIDEO_URL = 'https://videos.example.com/secret.mp4';
+
+async function setupCourse() {
+  const teacher = await createUser('teacher');
+  const course = await createCourse(teacher.user, { price: 30 });
+  const preview = await Lesson.create({
+    title: 'Welcome',
+    description: 'What this course covers',
+    videoUrl: VIDEO_URL,
+    courseId: course._id,
+    order: 1,
+    isPreview: true,
+  });
+  const paid = await Lesson.create({
+    title: 'Deep dive',
+    description: 'The paid material',
+    videoUrl: VIDEO_URL,
+    courseId: course._id,
+    order: 2,
+  });
+  await Homework.create({
+    title: 'Exercise',
+    description: 'Description',
+    lessonId: paid._id,
+    dueDate: new Date(Date.now() + 86400000),
+  });
+  return { teacher, course, preview, paid };
+}
+
+describe('lesson access', () => {
+  it('shows visitors titles and free previews only', async () => {
+    const { course } = await setupCourse();
+
+    const res = await request(app).get(`/api/courses/${course._id}/lessons`);
+
+    expect(res.status).toBe(200);
+    const [preview, paid] = res.body;
+    expect(preview).toMatchObject({ title: 'Welcome', locked: false });
+    expect(preview.videoUrl).toMatch(/^\/api\/lessons\/.+\/video\?expires=/);
+    expect(paid).toMatchObject({
+      title: 'Deep dive',
+      locked: true,
+      lockReason: 'enrollment_required',
+    });
+    expect(paid.description).toBeUndefined();
+    expect(paid.videoUrl).toBeUndefined();
+  });
+
+  it('gives enrolled students signed links instead of stored URLs', async () => {
+    const { course } = await setupCourse();
+    const student = await createUser('student');
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+
+    const res = await request(app)
+      .get(`/api/lessons?courseId=${course._id}`)
+      .set(auth(student.token));
+
+    expect(res.body.map((lesson) => lesson.locked)).toEqual([false, false]);
+    for (const lesson of res.body) {
+      expect(lesson.videoUrl).not.toContain(VIDEO_URL);
+    }
+
+    const video = await request(app).get(res.body[1].videoUrl);
+    expect(video.status).toBe(302);
+    expect(video.headers.location).toBe(VIDEO_URL);
+  });
+
+  it('hides lessons of unpublished courses from everyone but members', async () => {
+    const { teacher, course } = await setupCourse();
+    const student = await createUser('student');
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    await Course.updateOne({ _id: course._id }, { published: false });
+
+    const paths = [
+      `/api/courses/${course._id}/lessons`,
+      `/api/lessons?courseId=${course._id}`,
+      `/api/courses/${course._id}/curriculum`,
+    ];
+    for (const path of paths) {
+      expect((await request(app).get(path)).status).toBe(404);
+      const outsider = await createUser('student');
+      expect(
+        (await request(app).get(path).set(auth(outsider.token))).status
+      ).toBe(404);
+      expect(
+        (await request(app).get(path).set(auth(student.token))).status
+      ).toBe(200);
+      expect(
+        (await request(app).get(path).set(auth(teacher.token))).status
+      ).toBe(200);
+    }
+  });
+
+  it('shows the owning teacher the stored lesson', async () => {
+    const { teacher, course } = await setupCourse();
+
+    const res = await request(app)
+      .get(`/api/courses/${course._id}/lessons`)
+      .set(auth(teacher.token));
+
+    expect(res.body[1].videoUrl).toBe(VIDEO_URL);
+  });
+
+  it('refuses tampered or expired video links', async () => {
+    const { course, paid } = await setupCourse();
+    const listing = await request(app).get(
+      `/api/courses/${course._id}/lessons`
+    );
+
+    // A preview link cannot be reused for another lesson
+    const previewLink = listing.body[0].videoUrl;
+    const tampered = await request(app).get(
+      previewLink.replace(listing.body[0]._id, paid._id.toString())
+    );
+    expect(tampered.status).toBe(403);
+
+    const expired = await request(app).get(
+      previewLink.replace(/expires=\d+/, 'expires=1000')
+    );
+    expect(expired.status).toBe(403);
+  });
+
+  it('restricts homework to students who can open the lesson', async () => {
+    const { course, paid } = await setupCourse();
+    const student = await createUser('student');
+
+    const anonymous = await request(app).get(
+      `/api/lessons/${paid._id}/homework`
+    );
+    expect(anonymous.status).toBe(403);
+    expect(anonymous.body.lockReason).toBe('enrollment_required');
+
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    const enrolled = await request(app)
+      .get(`/api/lessons/${paid._id}/homework`)
+      .set(auth(student.token));
+    expect(enrolled.status).toBe(200);
+    expect(enrolled.body).toHaveLength(1);
+  });
+});
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+const { createApp } = require('../app');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Media = require('../models/Media');
+const Enrollment = require('../models/Enrollment');
+const TeacherProfile = require('../models/TeacherProfile');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(async () => {
+  await closeDatabase();
+  fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+});
+
+const PDF = Buffer.from('%PDF-1.4\n% lesson handout\n%%EOF\n');
+
+function createImage(width = 2400, height = 1200) {
+  return sharp({
+    create: { width, height, channels: 3, background: '#1d4ed8' },
+  })
+    .png()
+    .toBuffer();
+}
+
+function storedFileExists(media) {
+  return fs.existsSync(path.join(process.env.UPLOAD_DIR, media.key));
+}
+
+async function setupLesson() {
+  const teacher = await createUser('teacher');
+  const course = await createCourse(teacher.user, { price: 0 });
+  const lesson = await Lesson.create({
+    title: 'Slides and notes',
+    description: 'Lesson with handouts',
+    courseId: course._id,
+    order: 1,
+  });
+  return { teacher, course, lesson };
+}
+
+describe('course images', () => {
+  it('stores a resized image with a thumbnail', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+
+    const res = await request(app)
+      .post(`/api/courses/${course._id}/image`)
+      .set(auth(teacher.token))
+      .attach('file', await createImage(), 'cover.png');
+
+    expect(res.status).toBe(201);
+    expect(res.body.media).toMatchObject({
+      kind: 'course_image',
+      mimeType: 'image/webp',
+      width: 1600,
+      height: 800,
+    });
+    expect(res.body.course.image).toBe(res.body.media.url);
+    expect(res.body.course.thumbnail).toBe(res.body.media.thumbnailUrl);
+
+    const thumbnail = await request(app)
+      .get(res.body.course.thumbnail)
+      .responseType('blob');
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    const { width, height } = await sharp(thumbnail.body).metadata();
+    expect({ width, height }).toEqual({ width: 400, height: 225 });
+  });
+
+  it('rejects files of the wrong type or with mismatching content', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+
+    const wrongType = await request(app)
+      .post(`/api/courses/${course._id}/image`)
+      .set(auth(teacher.token))
+      .attach('file', PDF, 'cover.pdf');
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.errors[0]).toMatchObject({
+      field: 'file',
+      code: 'INVALID_FILE_TYPE',
+    });
+
+    const fakeImage = await request(app)
+      .post(`/api/courses/${course._id}/image`)
+      .set(auth(teacher.token))
+      .attach('file', Buffer.from('not an image'), {
+        filename: 'cover.png',
+        contentType: 'image/png',
+      });
+    expect(fakeImage.status).toBe(400);
+    expect(fakeImage.body.errors[0].code).toBe('INVALID_FILE_CONTENT');
+
+    const missing = await request(app)
+      .post(`/api/courses/${course._id}/image`)
+      .set(auth(teacher.token));
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors[0].code).toBe('REQUIRED');
+
+    expect(await Media.countDocuments()).toBe(0);
+  });
+
+  it('rejects files over the size limit', async () => {
+    process.env.MEDIA_MAX_IMAGE_MB = '0.001';
+    try {
+      const teacher = await createUser('teacher');
+      const course = await createCourse(teacher.user);
+
+      const res = await request(app)
+        .post(`/api/courses/${course._id}/image`)
+        .set(auth(teacher.token))
+        .attach('file', Buffer.alloc(4096), {
+          filename: 'cover.png',
+          contentType: 'image/png',
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].code).toBe('FILE_TOO_LARGE');
+    } finally {
+      delete process.env.MEDIA_MAX_IMAGE_MB;
+    }
+  });
+
+  it('only lets the owning teacher upload', async () => {
+    const teacher = await createUser('teacher');
+    const other = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+
+    const res = await request(app)
+      .post(`/api/courses/${course._id}/image`)
+      .set(auth(other.token))
+      .attach('file', await createImage(), 'cover.png');
+
+    expect(res.status).toBe(403);
+    expect(await Media.countDocuments()).toBe(0);
+  });
+
+  it('removes the previous upload when the image is replaced', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+
+    const first = await request(app)
+      .post(`/api/courses/${course._id}/image`)
+      .set(auth(teacher.token))
+      .attach('file', await createImage(), 'first.png');
+    const firstMedia = await Media.findById(first.body.media._id);
+
+    await request(app)
+      .post(`/api/courses/${course._id}/image`)
+      .set(auth(teacher.token))
+      .attach('file', await createImage(800, 600), 'second.png');
+    expect(storedFileExists(firstMedia)).toBe(false);
+    expect(await Media.countDocuments()).toBe(1);
+
+    // Linking an external image removes the upload as well
+    await request(app)
+      .patch(`/api/courses/${course._id}`)
+      .set(auth(teacher.token))
+      .send({ image: 'https://example.com/other.png' });
+    expect(await Media.countDocuments()).toBe(0);
+    expect((await Course.findById(course._id)).thumbnail).toBe('');
+  });
+});
+
+describe('teacher avatars', () => {
+  it('sets the avatar of the teacher profile', async () => {
+    const teacher = await createUser('teacher');
+    await TeacherProfile.create({
+      userId: teacher.user._id,
+      teacherName: 'Ada',
+      email: teacher.user.email,
+    });
+
+    const res = await request(app)
+      .post('/api/teacherProfiles/avatar')
+      .set(auth(teacher.token))
+      .attach('file', await createImage(900, 600), 'me.png');
+
+    expect(res.status).toBe(201);
+    expect(res.body.teacherProfile.avatar).toBe(res.body.media.url);
+    expect(res.body.media).toMatchObject({ width: 512, height: 512 });
+  });
+});
+
+describe('lesson media', () => {
+  it('serves attachments to enrolled students through signed links', async () => {
+    const { teacher, course, lesson } = await setupLesson();
+    const student = await createUser('student');
+
+    const upload = await request(app)
+      .post(`/api/lessons/${lesson._id}/attachments`)
+      .set(auth(teacher.token))
+      .attach('file', PDF, 'handout.pdf');
+    expect(upload.status).toBe(201);
+    expect(upload.body.lesson.attachments).toEqual([
+      expect.objectContaining({
+        name: 'handout.pdf',
+        mimeType: 'application/pdf',
+        size: PDF.length,
+      }),
+    ]);
+
+    const visitor = await request(app).get(
+      `/api/courses/${course._id}/lessons`
+    );
+    expect(visitor.body[0].attachments).toBeUndefined();
+
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    const listing = await request(app)
+      .get(`/api/courses/${course._id}/lessons`)
+      .set(auth(student.token));
+    const [attachment] = listing.body[0].attachments;
+    expect(attachment.url).toMatch(/^\/api\/media\/.+\/download\?expires=/);
+
+    const download = await request(app)
+      .get(attachment.url)
+      .responseType('blob');
+    expect(download.status).toBe(200);
+    expect(download.headers['content-type']).toBe('application/pdf');
+    expect(download.headers['content-disposition']).toContain('handout.pdf');
+    expect(Buffer.from(download.body).equals(PDF)).toBe(true);
+
+    const tampered = await request(app).get(
+      attachment.url.replace(/signature=.{4}/, 'signature=AAAA')
+    );
+    expect(tampered.status).toBe(403);
+  });
+
+  it('plays uploaded videos through the lesson video link', async () => {
+    const { teacher, course, lesson } = await setupLesson();
+    const student = await createUser('student');
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    const video = Buffer.from('fake mp4 bytes');
+
+    const upload = await request(app)
+      .post(`/api/lessons/${lesson._id}/video`)
+      .set(auth(teacher.token))
+      .attach('file', video, {
+        filename: 'intro.mp4',
+        contentType: 'video/mp4',
+      });
+    expect(upload.status).toBe(201);
+    expect(upload.body.lesson.videoMediaId).toBe(upload.body.media._id);
+
+    const listing = await request(app)
+      .get(`/api/courses/${course._id}/lessons`)
+      .set(auth(student.token));
+    const redirect = await request(app).get(listing.body[0].videoUrl);
+    expect(redirect.status).toBe(302);
+    expect(redirect.headers.location).toMatch(/^\/api\/media\/.+\/download/);
+
+    const stream = await request(app)
+      .get(redirect.headers.location)
+      .responseType('blob');
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toBe('video/mp4');
+    expect(Buffer.from(stream.body).equals(video)).toBe(true);
+  });
+
+  it('refuses uploads to lessons of other teachers', async () => {
+    const { lesson } = await setupLesson();
+    const other = await createUser('teacher');
+
+    const res = await request(app)
+      .post(`/api/lessons/${lesson._id}/attachments`)
+      .set(auth(other.token))
+      .attach('file', PDF, 'handout.pdf');
+
+    expect(res.status).toBe(403);
+    expect(await Media.countDocuments()).toBe(0);
+    expect((await Lesson.findById(lesson._id)).attachments).toHaveLength(0);
+  });
+
+  it('removes an attachment and its file', async () => {
+    const { teacher, lesson } = await setupLesson();
+    const upload = await request(app)
+      .post(`/api/lessons/${lesson._id}/attachments`)
+      .set(auth(teacher.token))
+      .attach('file', PDF, 'handout.pdf');
+    const media = await Media.findById(upload.body.media._id);
+
+    const res = await request(app)
+      .delete(`/api/lessons/${lesson._id}/attachments/${media._id}`)
+      .set(auth(teacher.token));
+
+    expect(res.status).toBe(200);
+    expect((await Lesson.findById(lesson._id)).attachments).toHaveLength(0);
+    expect(storedFileExists(media)).toBe(false);
+    expect(await Media.countDocuments()).toBe(0);
+  });
+
+  it('cleans up files when the course is deleted', async () => {
+    const { teacher, course, lesson } = await setupLesson();
+    await request(app)
+      .post(`/api/courses/${course._id}/image`)
+      .set(auth(teacher.token))
+      .attach('file', await createImage(), 'cover.png');
+    await request(app)
+      .post(`/api/lessons/${lesson._id}/attachments`)
+      .set(auth(teacher.token))
+      .attach('file', PDF, 'handout.pdf');
+    const stored = await Media.find();
+    expect(stored).toHaveLength(2);
+
+    const res = await request(app)
+      .delete(`/api/courses/${course._id}`)
+      .set(auth(teacher.token));
+
+    expect(res.status).toBe(200);
+    expect(await Media.countDocuments()).toBe(0);
+    stored.forEach((media) => expect(storedFileExists(media)).toBe(false));
+  });
+});
@@ -0,0 +1,408 @@
+const fs = require('fs/promises');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../app');
+const Lesson = require('../models/Lesson');
+const Homework = require('../models/Homework');
+const Enrollment = require('../models/Enrollment');
+const Notification = require('../models/Notification');
+const {
+  sendHomeworkDueReminders,
+  sendLessonUnlockNotifications,
+  sendEmailDigests,
+} = require('../services/notifications');
+const { getMailTransport } = require('../services/mailer');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+// Every digest emailed to an address, oldest first
+async function digestsTo(to) {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR;
+  const files = (await fs.readdir(outboxDir).catch(() => [])).sort();
+  const messages = await Promise.all(
+    files.map(async (file) =>
+      JSON.parse(await fs.readFile(path.join(outboxDir, file), 'utf8'))
+    )
+  );
+  return messages.filter(
+    (message) =>
+      message.to === to && message.subject.startsWith('Your EduNet digest')
+  );
+}
+
+async function listNotifications(token, query = '') {
+  return request(app).get(`/api/notifications${query}`).set(auth(token));
+}
+
+describe('notification triggers', () => {
+  it('tells the teacher about applications and the student about the decision', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user, {
+      title: 'Algorithms',
+      requiresApplication: true,
+    });
+
+    const apply = await request(app)
+      .post(`/api/courses/${course._id}/applications`)
+      .set(auth(student.token))
+      .send({ message: 'Please let me in' });
+
+    const teacherInbox = await listNotifications(teacher.token);
+    expect(teacherInbox.body.data).toEqual([
+      expect.objectContaining({
+        type: 'new_application',
+        message: `${student.user.name} applied to "Algorithms".`,
+      }),
+    ]);
+
+    await request(app)
+      .put(`/api/applications/${apply.body._id}/approve`)
+      .set(auth(teacher.token))
+      .send({});
+
+    const studentInbox = await listNotifications(student.token);
+    expect(studentInbox.body.data[0]).toMatchObject({
+      type: 'application_approved',
+      courseId: course._id.toString(),
+    });
+
+    // Approval of a free course enrolls the student right away
+    const afterApproval = await listNotifications(teacher.token);
+    expect(afterApproval.body.data.map((item) => item.type)).toEqual([
+      'new_enrollment',
+      'new_application',
+    ]);
+  });
+
+  it('tells the teacher about enrollments and reviews', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+
+    await request(app)
+      .post('/api/enrollments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString() });
+    await request(app)
+      .post(`/api/courses/${course._id}/reviews`)
+      .set(auth(student.token))
+      .send({ rating: 4, comment: 'Good course' });
+
+    const res = await listNotifications(teacher.token);
+    expect(res.body.data.map((item) => item.type)).toEqual([
+      'new_review',
+      'new_enrollment',
+    ]);
+    expect(res.body.unreadCount).toBe(2);
+  });
+
+  it('tells enrolled students about new lessons they can open', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const outsider = await createUser('student');
+    const course = await createCourse(teacher.user);
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+
+    await request(app).post('/api/lessons').set(auth(teacher.token)).send({
+      title: 'Recursion',
+      description: 'Functions calling themselves',
+      courseId: course._id.toString(),
+      order: 1,
+    });
+    await request(app).post('/api/lessons').set(auth(teacher.token)).send({
+      title: 'Dynamic programming',
+      description: 'Released later',
+      courseId: course._id.toString(),
+      order: 2,
+      releaseAfterDays: 7,
+    });
+
+    const inbox = await listNotifications(student.token);
+    expect(inbox.body.data).toEqual([
+      expect.objectContaining({
+        type: 'lesson_published',
+        message: `"Recursion" was published in "${course.title}".`,
+      }),
+    ]);
+    expect((await listNotifications(outsider.token)).body.data).toHaveLength(0);
+  });
+});
+
+describe('homework reminders', () => {
+  it('reminds students without a submission once', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+    const lesson = await Lesson.create({
+      title: 'Sorting',
+      description: 'Sorting algorithms',
+      courseId: course._id,
+      order: 1,
+    });
+    await Homework.create({
+      title: 'Implement quicksort',
+      description: 'In any language',
+      lessonId: lesson._id,
+      dueDate: new Date(Date.now() + 6 * 60 * 60 * 1000),
+    });
+    await Homework.create({
+      title: 'Next week',
+      description: 'Not due yet',
+      lessonId: lesson._id,
+      dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    });
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+
+    expect(await sendHomeworkDueReminders()).toBe(1);
+    expect(await sendHomeworkDueReminders()).toBe(0);
+
+    const inbox = await listNotifications(student.token);
+    expect(inbox.body.data).toEqual([
+      expect.objectContaining({
+        type: 'homework_due',
+        title: 'Homework due soon',
+      }),
+    ]);
+  });
+});
+
+describe('lesson unlock notifications', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  it('tells students once when a drip-locked lesson unlocks for them', async () => {
+    const teacher = await createUser('teacher');
+    const early = await createUser('student');
+    const recent = await createUser('student');
+    const course = await createCourse(teacher.user);
+    await Enrollment.create({
+      userId: early.user._id,
+      courseId: course._id,
+      enrolledAt: new Date(Date.now() - 7 * DAY_MS - 60 * 60 * 1000),
+    });
+    await Enrollment.create({
+      userId: recent.user._id,
+      courseId: course._id,
+    });
+
+    await request(app).post('/api/lessons').set(auth(teacher.token)).send({
+      title: 'Dynamic programming',
+      description: 'Released a week after enrolling',
+      courseId: course._id.toString(),
+      order: 1,
+      releaseAfterDays: 7,
+    });
+    expect((await listNotifications(early.token)).body.data).toEqual([
+      expect.objectContaining({ title: 'New lesson' }),
+    ]);
+    expect((await listNotifications(recent.token)).body.data).toHaveLength(0);
+
+    // Already told when the lesson was published, and still locked for the
+    // recent student
+    expect(await sendLessonUnlockNotifications()).toBe(0);
+
+    const nextWeek = new Date(Date.now() + 7 * DAY_MS);
+    expect(await sendLessonUnlockNotifications(nextWeek)).toBe(1);
+    expect(await sendLessonUnlockNotifications(nextWeek)).toBe(0);
+    expect((await listNotifications(recent.token)).body.data).toEqual([
+      expect.objectContaining({
+        type: 'lesson_published',
+        title: 'Lesson unlocked',
+        message: `"Dynamic programming" is now open in "${course.title}".`,
+      }),
+    ]);
+  });
+
+  it('tells students enrolled before the release date', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    await Lesson.create({
+      title: 'Graphs',
+      description: 'Released on a date',
+      courseId: course._id,
+      order: 1,
+      releaseAt: new Date(Date.now() + DAY_MS),
+    });
+
+    expect(await sendLessonUnlockNotifications()).toBe(0);
+    expect(
+      await sendLessonUnlockNotifications(new Date(Date.now() + 2 * DAY_MS))
+    ).toBe(1);
+    expect((await listNotifications(student.token)).body.data).toHaveLength(1);
+  });
+});
+
+describe('notification center', () => {
+  it('marks notifications read one by one or all at once', async () => {
+    const { user, token } = await createUser('student');
+    const [first] = await Notification.insertMany(
+      ['First', 'Second', 'Third'].map((title) => ({
+        userId: user._id,
+        type: 'lesson_published',
+        title,
+        message: title,
+      }))
+    );
+
+    const read = await request(app)
+      .put(`/api/notifications/${first._id}/read`)
+      .set(auth(token));
+    expect(read.status).toBe(200);
+    expect(read.body.readAt).toBeDefined();
+
+    const unread = await listNotifications(token, '?unread=true');
+    expect(unread.body.data).toHaveLength(2);
+    expect(unread.body.unreadCount).toBe(2);
+
+    const readAll = await request(app)
+      .put('/api/notifications/read-all')
+      .set(auth(token));
+    expect(readAll.body.updated).toBe(2);
+    expect((await listNotifications(token)).body.unreadCount).toBe(0);
+  });
+
+  it('does not let users read notifications of others', async () => {
+    const owner = await createUser('student');
+    const other = await createUser('student');
+    const notification = await Notification.create({
+      userId: owner.user._id,
+      type: 'lesson_published',
+      title: 'Private',
+      message: 'Private',
+    });
+
+    const res = await request(app)
+      .put(`/api/notifications/${notification._id}/read`)
+      .set(auth(other.token));
+    expect(res.status).toBe(404);
+  });
+
+  it('respects per-type preferences', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+
+    const update = await request(app)
+      .put('/api/notifications/preferences')
+      .set(auth(teacher.token))
+      .send({ types: { new_enrollment: { inApp: false } } });
+    expect(update.status).toBe(200);
+    expect(update.body.types.new_enrollment).toEqual({
+      inApp: false,
+      email: true,
+    });
+    expect(update.body.types.new_review).toEqual({ inApp: true, email: true });
+
+    await request(app)
+      .post('/api/enrollments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString() });
+
+    expect((await listNotifications(teacher.token)).body.data).toHaveLength(0);
+  });
+
+  it('rejects unknown notification types in preferences', async () => {
+    const { token } = await createUser('student');
+
+    const res = await request(app)
+      .put('/api/notifications/preferences')
+      .set(auth(token))
+      .send({ types: { unknown_type: { inApp: false } } });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('email digests', () => {
+  it('emails unread notifications once a day to users who opted in', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user, { title: 'Databases' });
+
+    await request(app)
+      .put('/api/notifications/preferences')
+      .set(auth(teacher.token))
+      .send({ emailDigest: true });
+    await request(app)
+      .post('/api/enrollments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString() });
+
+    expect(await sendEmailDigests()).toBe(1);
+    const [digest] = await digestsTo(teacher.user.email);
+    expect(digest.subject).toBe('Your EduNet digest: 1 new notification');
+    expect(digest.text).toContain(
+      `${student.user.name} enrolled in "Databases".`
+    );
+
+    // Already emailed, and the next digest is not due yet
+    expect(await sendEmailDigests()).toBe(0);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    expect(await sendEmailDigests(tomorrow)).toBe(0);
+    expect(await digestsTo(teacher.user.email)).toHaveLength(1);
+  });
+
+  it('leaves out notifications that were already read', async () => {
+    const { user, token } = await createUser('student');
+    await request(app)
+      .put('/api/notifications/preferences')
+      .set(auth(token))
+      .send({ emailDigest: true });
+    await Notification.create({
+      userId: user._id,
+      type: 'lesson_published',
+      title: 'Seen',
+      message: 'Seen',
+      emailPending: true,
+    });
+
+    await request(app).put('/api/notifications/read-all').set(auth(token));
+
+    expect(await sendEmailDigests()).toBe(0);
+  });
+
+  it('keeps sending to other users when one digest fails', async () => {
+    const first = await createUser('student');
+    const second = await createUser('student');
+    for (const { user, token } of [first, second]) {
+      await request(app)
+        .put('/api/notifications/preferences')
+        .set(auth(token))
+        .send({ emailDigest: true });
+      await Notification.create({
+        userId: user._id,
+        type: 'lesson_published',
+        title: 'New lesson',
+        message: 'New lesson',
+        emailPending: true,
+      });
+    }
+    const send = jest
+      .spyOn(getMailTransport(), 'send')
+      .mockRejectedValueOnce(new Error('Mail server unavailable'));
+
+    try {
+      expect(await sendEmailDigests()).toBe(1);
+    } finally {
+      send.mockRestore();
+    }
+    expect(await Notification.countDocuments({ emailPending: true })).toBe(1);
+
+    // The failed digest goes out on the next run
+    expect(await sendEmailDigests()).toBe(1);
+    expect(await Notification.countDocuments({ emailPending: true })).toBe(0);
+  });
+});
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const { getPaymentProvider } = require('../services/payments');
+const fakeProvider = require('../services/payments/fakeProvider');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+async function setupPaidCourse() {
+  const teacher = await createUser('teacher');
+  const student = await createUser('student');
+  const course = await createCourse(teacher.user, { price: 49 });
+  return { teacher, student, course };
+}
+
+async function checkout(student, course) {
+  return request(app)
+    .post('/api/payments')
+    .set(auth(student.token))
+    .send({ courseId: course._id.toString(), paymentMethod: 'card' });
+}
+
+describe('checkout', () => {
+  it('requires payment before enrolling in a paid course', async () => {
+    const { student, course } = await setupPaidCourse();
+
+    const res = await request(app)
+      .post('/api/enrollments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString() });
+
+    expect(res.status).toBe(402);
+  });
+
+  it('prices checkout from the course and enrolls once paid', async () => {
+    const { student, course } = await setupPaidCourse();
+
+    const pending = await request(app)
+      .post('/api/payments')
+      .set(auth(student.token))
+      .send({
+        courseId: course._id.toString(),
+        paymentMethod: 'card',
+        amount: 1,
+        status: 'completed',
+      });
+    expect(pending.status).toBe(201);
+    expect(pending.body).toMatchObject({ amount: 49, status: 'pending' });
+
+    const confirm = await request(app)
+      .post(`/api/payments/${pending.body._id}/confirm`)
+      .set(auth(student.token))
+      .send({ paymentToken: 'tok_visa' });
+    expect(confirm.status).toBe(200);
+    expect(confirm.body.payment.status).toBe('completed');
+    expect(confirm.body.enrollment.status).toBe('active');
+  });
+
+  it('enrolls once when a checkout is confirmed concurrently', async () => {
+    const { student, course } = await setupPaidCourse();
+    const pending = await checkout(student, course);
+
+    const confirm = () =>
+      request(app)
+        .post(`/api/payments/${pending.body._id}/confirm`)
+        .set(auth(student.token))
+        .send({});
+    const responses = await Promise.all([confirm(), confirm()]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 400]);
+    expect(await Enrollment.countDocuments({ courseId: course._id })).toBe(1);
+  });
+
+  it('marks declined payments as failed without enrolling', async () => {
+    const { student, course } = await setupPaidCourse();
+    const pending = await checkout(student, course);
+
+    const confirm = await request(app)
+      .post(`/api/payments/${pending.body._id}/confirm`)
+      .set(auth(student.token))
+      .send({ paymentToken: 'tok_fail' });
+
+    expect(confirm.status).toBe(402);
+    expect(confirm.body.payment.status).toBe('failed');
+    expect(await Enrollment.countDocuments()).toBe(0);
+  });
+
+  it('abandons a cancelled checkout', async () => {
+    const { student, course } = await setupPaidCourse();
+    const pending = await checkout(student, course);
+
+    const cancel = await request(app)
+      .post(`/api/payments/${pending.body._id}/cancel`)
+      .set(auth(student.token));
+
+    expect(cancel.status).toBe(200);
+    expect(cancel.body.status).toBe('abandoned');
+  });
+});
+
+describe('payments from before provider checkout', () => {
+  async function insertLegacyPayment(student, course, status) {
+    const { insertedId } = await Payment.collection.insertOne({
+      userId: student.user._id,
+      courseId: course._id,
+      amount: course.price,
+      currency: 'USD',
+      status,
+      paymentMethod: 'card',
+      refundedAmount: 0,
+      refunds: [],
+      createdAt: new Date(),
+    });
+    return insertedId;
+  }
+
+  it('abandons old pending checkouts instead of reusing them', async () => {
+    const { student, course } = await setupPaidCourse();
+    const legacyId = await insertLegacyPayment(student, course, 'pending');
+
+    const confirm = await request(app)
+      .post(`/api/payments/${legacyId}/confirm`)
+      .set(auth(student.token))
+      .send({});
+    expect(confirm.status).toBe(400);
+
+    const pending = await checkout(student, course);
+    expect(pending.status).toBe(201);
+    expect(pending.body._id).not.toBe(legacyId.toString());
+    expect((await Payment.findById(legacyId)).status).toBe('abandoned');
+  });
+
+  it('refuses to refund them through the provider', async () => {
+    const { student, course } = await setupPaidCourse();
+    const admin = await createUser('admin');
+    const legacyId = await insertLegacyPayment(student, course, 'completed');
+
+    const res = await request(app)
+      .post(`/api/payments/${legacyId}/refunds`)
+      .set(auth(admin.token))
+      .send({});
+    expect(res.status).toBe(400);
+    expect((await Payment.findById(legacyId)).refundedAmount).toBe(0);
+  });
+});
+
+describe('refunds', () => {
+  it('supports partial then full refunds and cancels the enrollment', async () => {
+    const { student, course } = await setupPaidCourse();
+    const admin = await createUser('admin');
+    const pending = await checkout(student, course);
+    await request(app)
+      .post(`/api/payments/${pending.body._id}/confirm`)
+      .set(auth(student.token))
+      .send({});
+
+    const partial = await request(app)
+      .post(`/api/payments/${pending.body._id}/refunds`)
+      .set(auth(admin.token))
+      .send({ amount: 9, reason: 'Goodwill' });
+    expect(partial.status).toBe(200);
+    expect(partial.body.status).toBe('partially_refunded');
+
+    const full = await request(app)
+      .post(`/api/payments/${pending.body._id}/refunds`)
+      .set(auth(admin.token))
+      .send({});
+    expect(full.status).toBe(200);
+    expect(full.body).toMatchObject({ status: 'refunded', refundedAmount: 49 });
+
+    const enrollment = await Enrollment.findOne({ courseId: course._id });
+    expect(enrollment.status).toBe('cancelled');
+
+    const revenue = await request(app)
+      .get('/api/admin/revenue')
+      .set(auth(admin.token));
+    expect(revenue.body.totals).toMatchObject({
+      grossRevenue: 49,
+      refundedAmount: 49,
+      netRevenue: 0,
+    });
+  });
+
+  it('never refunds more than was paid under concurrent requests', async () => {
+    const { student, course } = await setupPaidCourse();
+    const admin = await createUser('admin');
+    const pending = await checkout(student, course);
+    await request(app)
+      .post(`/api/payments/${pending.body._id}/confirm`)
+      .set(auth(student.token))
+      .send({});
+
+    const refund = () =>
+      request(app)
+        .post(`/api/payments/${pending.body._id}/refunds`)
+        .set(auth(admin.token))
+        .send({});
+    const responses = await Promise.all([refund(), refund()]);
+
+    expect(responses.filter((res) => res.status === 200)).toHaveLength(1);
+    const payment = await Payment.findById(pending.body._id);
+    expect(payment).toMatchObject({ status: 'refunded', refundedAmount: 49 });
+    expect(payment.refunds).toHaveLength(1);
+    expect(payment.refunds[0].providerRefundId).toBeDefined();
+  });
+
+  it('releases the reserved amount when the provider fails', async () => {
+    const { student, course } = await setupPaidCourse();
+    const admin = await createUser('admin');
+    const pending = await checkout(student, course);
+    await request(app)
+      .post(`/api/payments/${pending.body._id}/confirm`)
+      .set(auth(student.token))
+      .send({});
+    const refundCharge = jest
+      .spyOn(fakeProvider, 'refundCharge')
+      .mockRejectedValueOnce(new Error('Gateway timeout'));
+
+    try {
+      const res = await request(app)
+        .post(`/api/payments/${pending.body._id}/refunds`)
+        .set(auth(admin.token))
+        .send({});
+      expect(res.status).toBe(502);
+    } finally {
+      refundCharge.mockRestore();
+    }
+
+    const payment = await Payment.findById(pending.body._id);
+    expect(payment).toMatchObject({ status: 'completed', refundedAmount: 0 });
+    expect(payment.refunds).toHaveLength(0);
+    expect((await Enrollment.findOne({ courseId: course._id })).status).toBe(
+      'active'
+    );
+  });
+});
+
+describe('payment provider', () => {
+  const { NODE_ENV, PAYMENT_PROVIDER } = process.env;
+
+  afterEach(() => {
+    process.env.NODE_ENV = NODE_ENV;
+    process.env.PAYMENT_PROVIDER = PAYMENT_PROVIDER;
+  });
+
+  it('only falls back to the fake provider in test and development', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    process.env.NODE_ENV = 'development';
+    expect(getPaymentProvider().name).toBe('fake');
+
+    process.env.NODE_ENV = 'production';
+    expect(() => getPaymentProvider()).toThrow('PAYMENT_PROVIDER is not set');
+  });
+});
@@ -0,0 +1,306 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Lesson = require('../models/Lesson');
+const Enrollment = require('../models/Enrollment');
+const QuizAttempt = require('../models/QuizAttempt');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+const QUESTIONS = [
+  {
+    type: 'single_choice',
+    prompt: 'Which keyword declares a constant?',
+    options: ['var', 'let', 'const'],
+    correctOptions: [2],
+  },
+  {
+    type: 'multiple_choice',
+    prompt: 'Which of these are primitives?',
+    options: ['string', 'object', 'number'],
+    correctOptions: [0, 2],
+  },
+  {
+    type: 'true_false',
+    prompt: 'JavaScript is single-threaded.',
+    correctOptions: [0],
+  },
+  {
+    type: 'short_answer',
+    prompt: 'What does JSON stand for?',
+    correctAnswers: ['JavaScript Object Notation'],
+  },
+];
+
+async function setupQuiz(overrides = {}) {
+  const teacher = await createUser('teacher');
+  const student = await createUser('student');
+  const course = await createCourse(teacher.user);
+  const lesson = await Lesson.create({
+    title: 'Lesson 1',
+    description: 'Description',
+    videoUrl: 'https://example.com/video.mp4',
+    courseId: course._id,
+    order: 1,
+  });
+  const enrollment = await Enrollment.create({
+    userId: student.user._id,
+    courseId: course._id,
+  });
+
+  const res = await request(app)
+    .post('/api/quizzes')
+    .set(auth(teacher.token))
+    .send({
+      title: 'Basics',
+      lessonId: lesson._id.toString(),
+      questions: QUESTIONS,
+      ...overrides,
+    });
+  expect(res.status).toBe(201);
+
+  return { teacher, student, course, lesson, enrollment, quiz: res.body };
+}
+
+async function takeQuiz(student, quiz, answersFor) {
+  const start = await request(app)
+    .post(`/api/quizzes/${quiz._id}/attempts`)
+    .set(auth(student.token));
+
+  const answers = start.body.quiz.questions.map((question, index) => ({
+    questionId: question._id,
+    ...answersFor[index],
+  }));
+
+  return request(app)
+    .post(`/api/quiz-attempts/${start.body.attempt._id}/submit`)
+    .set(auth(student.token))
+    .send({ answers });
+}
+
+const ALL_CORRECT = [
+  { selectedOptions: [2] },
+  { selectedOptions: [2, 0] },
+  { selectedOptions: [0] },
+  { textAnswer: '  javascript object   notation ' },
+];
+
+describe('quizzes', () => {
+  it('rejects answer keys that point at missing options', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const lesson = await Lesson.create({
+      title: 'Lesson 1',
+      description: 'Description',
+      videoUrl: 'https://example.com/video.mp4',
+      courseId: course._id,
+      order: 1,
+    });
+
+    const res = await request(app)
+      .post('/api/quizzes')
+      .set(auth(teacher.token))
+      .send({
+        title: 'Broken',
+        lessonId: lesson._id.toString(),
+        questions: [
+          {
+            type: 'single_choice',
+            prompt: 'Pick one',
+            options: ['a', 'b'],
+            correctOptions: [5],
+          },
+        ],
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('questions.0');
+  });
+
+  it('hides answer keys from students', async () => {
+    const { student, quiz } = await setupQuiz();
+
+    const res = await request(app)
+      .get(`/api/quizzes/${quiz._id}`)
+      .set(auth(student.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.questions[2].options).toEqual(['True', 'False']);
+    for (const question of res.body.questions) {
+      expect(question.correctOptions).toBeUndefined();
+      expect(question.correctAnswers).toBeUndefined();
+    }
+  });
+
+  it('auto-grades attempts and feeds enrollment progress', async () => {
+    const { student, enrollment, quiz } = await setupQuiz();
+
+    const failed = await takeQuiz(student, quiz, [
+      { selectedOptions: [0] },
+      { selectedOptions: [0] },
+      { selectedOptions: [0] },
+      { textAnswer: 'Java Object Notation' },
+    ]);
+    expect(failed.status).toBe(200);
+    expect(failed.body.attempt).toMatchObject({
+      status: 'submitted',
+      score: 1,
+      maxScore: 4,
+      percentage: 25,
+      passed: false,
+    });
+    expect(failed.body.enrollment.progress).toBe(0);
+    expect(failed.body.enrollment.quizScore).toBe(25);
+
+    const passed = await takeQuiz(student, quiz, ALL_CORRECT);
+    expect(passed.body.attempt).toMatchObject({
+      percentage: 100,
+      passed: true,
+    });
+    expect(passed.body.enrollment.progress).toBe(50);
+    expect(passed.body.enrollment.quizScore).toBe(100);
+
+    const progress = await request(app)
+      .get(`/api/enrollments/${enrollment._id}/progress`)
+      .set(auth(student.token));
+    expect(progress.body.quizzes[0]).toMatchObject({
+      attempts: 2,
+      bestScore: 100,
+      passed: true,
+    });
+  });
+
+  it('updates progress when lessons and quizzes are added or removed', async () => {
+    const { teacher, student, course, lesson, enrollment, quiz } =
+      await setupQuiz();
+    await takeQuiz(student, quiz, ALL_CORRECT);
+    const progress = async () =>
+      (await Enrollment.findById(enrollment._id)).progress;
+
+    const extra = await request(app)
+      .post('/api/quizzes')
+      .set(auth(teacher.token))
+      .send({
+        title: 'More basics',
+        lessonId: lesson._id.toString(),
+        questions: QUESTIONS,
+      });
+    expect(await progress()).toBe(33);
+
+    await request(app).post('/api/lessons').set(auth(teacher.token)).send({
+      title: 'Lesson 2',
+      description: 'Description',
+      courseId: course._id.toString(),
+      order: 2,
+    });
+    expect(await progress()).toBe(25);
+
+    await request(app)
+      .delete(`/api/quizzes/${extra.body._id}`)
+      .set(auth(teacher.token));
+    expect(await progress()).toBe(33);
+  });
+
+  it('grades an attempt once when it is submitted concurrently', async () => {
+    const { student, quiz } = await setupQuiz();
+    const start = await request(app)
+      .post(`/api/quizzes/${quiz._id}/attempts`)
+      .set(auth(student.token));
+    const submit = (answersFor) =>
+      request(app)
+        .post(`/api/quiz-attempts/${start.body.attempt._id}/submit`)
+        .set(auth(student.token))
+        .send({
+          answers: start.body.quiz.questions.map((question, index) => ({
+            questionId: question._id,
+            ...answersFor[index],
+          })),
+        });
+
+    const responses = await Promise.all([submit(ALL_CORRECT), submit([])]);
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 400]);
+
+    const winner = responses.find((res) => res.status === 200);
+    const stored = await QuizAttempt.findById(start.body.attempt._id);
+    expect(stored.percentage).toBe(winner.body.attempt.percentage);
+  });
+
+  it('enforces attempt and time limits', async () => {
+    const { student, quiz } = await setupQuiz({
+      maxAttempts: 1,
+      timeLimit: 10,
+    });
+
+    const start = await request(app)
+      .post(`/api/quizzes/${quiz._id}/attempts`)
+      .set(auth(student.token));
+    expect(start.status).toBe(201);
+    expect(start.body.attempt.expiresAt).toBeDefined();
+
+    // Starting again resumes the open attempt
+    const resume = await request(app)
+      .post(`/api/quizzes/${quiz._id}/attempts`)
+      .set(auth(student.token));
+    expect(resume.status).toBe(200);
+    expect(resume.body.attempt._id).toBe(start.body.attempt._id);
+
+    await QuizAttempt.findByIdAndUpdate(start.body.attempt._id, {
+      expiresAt: new Date(Date.now() - 60 * 1000),
+    });
+
+    const late = await request(app)
+      .post(`/api/quiz-attempts/${start.body.attempt._id}/submit`)
+      .set(auth(student.token))
+      .send({ answers: [] });
+    expect(late.status).toBe(400);
+    expect(late.body.attempt.status).toBe('expired');
+
+    const again = await request(app)
+      .post(`/api/quizzes/${quiz._id}/attempts`)
+      .set(auth(student.token));
+    expect(again.status).toBe(403);
+  });
+
+  it('reports the most common wrong answers per question', async () => {
+    const { teacher, course, quiz } = await setupQuiz();
+
+    for (const wrongOption of [0, 0, 1]) {
+      const student = await createUser('student');
+      await Enrollment.create({
+        userId: student.user._id,
+        courseId: course._id,
+      });
+      await takeQuiz(student, quiz, [
+        { selectedOptions: [wrongOption] },
+        ...ALL_CORRECT.slice(1),
+      ]);
+    }
+
+    const res = await request(app)
+      .get(`/api/quizzes/${quiz._id}/analytics`)
+      .set(auth(teacher.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ attempts: 3, students: 3, passRate: 100 });
+    expect(res.body.questions[0]).toMatchObject({
+      prompt: 'Which keyword declares a constant?',
+      incorrect: 3,
+      correctRate: 0,
+      commonWrongAnswers: [
+        { option: 0, answer: 'var', count: 2 },
+        { option: 1, answer: 'let', count: 1 },
+      ],
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const http = require('http');
+const request = require('supertest');
+const WebSocket = require('ws');
+const { createApp } = require('../app');
+const Enrollment = require('../models/Enrollment');
+const { WS_PATH, attachRealtimeServer } = require('../services/realtime');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+const server = http.createServer(app);
+const wss = attachRealtimeServer(server);
+const clients = [];
+
+beforeAll(async () => {
+  await connectDatabase();
+  await new Promise((resolve) => server.listen(0, resolve));
+});
+afterEach(async () => {
+  clients.splice(0).forEach((client) => client.terminate());
+  await clearDatabase();
+});
+afterAll(async () => {
+  await new Promise((resolve) => wss.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+  await closeDatabase();
+});
+
+// Open a WebSocket for the given token and collect the events it receives
+function connect(token) {
+  const query = token ? `?token=${token}` : '';
+  const socket = new WebSocket(
+    `ws://localhost:${server.address().port}${WS_PATH}${query}`
+  );
+  socket.events = [];
+  socket.on('message', (raw) => socket.events.push(JSON.parse(raw)));
+  clients.push(socket);
+  return socket;
+}
+
+// Resolve with the first event of a kind, received already or later
+function nextEvent(socket, event) {
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      const message = socket.events.find((item) => item.event === event);
+      if (message) {
+        clearInterval(timer);
+        resolve(message.data);
+      }
+    };
+    const timer = setInterval(check, 10);
+    socket.once('close', () => {
+      clearInterval(timer);
+      reject(new Error(`Socket closed before "${event}"`));
+    });
+    check();
+  });
+}
+
+async function connected(token) {
+  const socket = connect(token);
+  await nextEvent(socket, 'connected');
+  return socket;
+}
+
+describe('WebSocket connection', () => {
+  it('rejects connections without a valid token', async () => {
+    const status = (socket) =>
+      new Promise((resolve) =>
+        socket.on('unexpected-response', (req, res) => resolve(res.statusCode))
+      );
+
+    expect(await status(connect())).toBe(401);
+    expect(await status(connect('not-a-token'))).toBe(403);
+  });
+
+  it('pushes application decisions to the student', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user, {
+      requiresApplication: true,
+    });
+    const socket = await connected(student.token);
+
+    const apply = await request(app)
+      .post(`/api/courses/${course._id}/applications`)
+      .set(auth(student.token))
+      .send({ message: 'Please let me in' });
+    await request(app)
+      .put(`/api/applications/${apply.body._id}/reject`)
+      .set(auth(teacher.token))
+      .send({ reason: 'Course is full' });
+
+    expect(await nextEvent(socket, 'application.decided')).toEqual({
+      applicationId: apply.body._id,
+      courseId: course._id.toString(),
+      status: 'rejected',
+      reason: 'Course is full',
+    });
+    expect(await nextEvent(socket, 'notification')).toMatchObject({
+      type: 'application_rejected',
+    });
+  });
+
+  it('pushes new reviews to the teacher', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    const socket = await connected(teacher.token);
+
+    await request(app)
+      .post(`/api/courses/${course._id}/reviews`)
+      .set(auth(student.token))
+      .send({ rating: 5, comment: 'Great course' });
+
+    expect(await nextEvent(socket, 'review.created')).toMatchObject({
+      courseId: course._id.toString(),
+      rating: 5,
+    });
+  });
+});
+
+// Resolve with the close code of a socket
+function closed(socket) {
+  return new Promise((resolve) => socket.once('close', resolve));
+}
+
+describe('session revocation', () => {
+  it('closes the connections of users who log out everywhere', async () => {
+    const { token } = await createUser('student');
+    const socket = await connected(token);
+
+    await request(app).post('/api/logout-all').set(auth(token));
+
+    expect(await closed(socket)).toBe(4001);
+  });
+});
+
+describe('course announcements', () => {
+  it('reaches members who joined the course room', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+
+    const socket = await connected(student.token);
+    socket.send(
+      JSON.stringify({ action: 'join', courseId: course._id.toString() })
+    );
+    await nextEvent(socket, 'joined');
+
+    const res = await request(app)
+      .post(`/api/courses/${course._id}/announcements`)
+      .set(auth(teacher.token))
+      .send({ message: 'Class starts 10 minutes late' });
+    expect(res.status).toBe(201);
+    expect(res.body.delivered).toBe(1);
+
+    expect(await nextEvent(socket, 'announcement')).toMatchObject({
+      courseId: course._id.toString(),
+      message: 'Class starts 10 minutes late',
+    });
+  });
+
+  it('keeps students who are not enrolled out of the room', async () => {
+    const teacher = await createUser('teacher');
+    const outsider = await createUser('student');
+    const course = await createCourse(teacher.user);
+
+    const socket = await connected(outsider.token);
+    socket.send(
+      JSON.stringify({ action: 'join', courseId: course._id.toString() })
+    );
+
+    expect(await nextEvent(socket, 'error')).toMatchObject({
+      message: 'You are not a member of this course',
+    });
+  });
+
+  it('removes students from the room once their enrollment is refunded', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const admin = await createUser('admin');
+    const course = await createCourse(teacher.user, { price: 49 });
+    const payment = await request(app)
+      .post('/api/payments')
+      .set(auth(student.token))
+      .send({ courseId: course._id.toString(), paymentMethod: 'card' });
+    await request(app)
+      .post(`/api/payments/${payment.body._id}/confirm`)
+      .set(auth(student.token))
+      .send({});
+
+    const socket = await connected(student.token);
+    socket.send(
+      JSON.stringify({ action: 'join', courseId: course._id.toString() })
+    );
+    await nextEvent(socket, 'joined');
+
+    const refund = await request(app)
+      .post(`/api/payments/${payment.body._id}/refunds`)
+      .set(auth(admin.token))
+      .send({});
+    expect(refund.status).toBe(200);
+    expect(await nextEvent(socket, 'left')).toEqual({
+      courseId: course._id.toString(),
+    });
+
+    const res = await request(app)
+      .post(`/api/courses/${course._id}/announcements`)
+      .set(auth(teacher.token))
+      .send({ message: 'Members only' });
+    expect(res.body.delivered).toBe(0);
+  });
+
+  it('only lets the course teacher announce', async () => {
+    const teacher = await createUser('teacher');
+    const other = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+
+    const res = await request(app)
+      .post(`/api/courses/${course._id}/announcements`)
+      .set(auth(other.token))
+      .send({ message: 'Hello' });
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const TeacherProfile = require('../models/TeacherProfile');
+const CourseReview = require('../models/CourseReview');
+const { updateCourseRating } = require('../services/reviews');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+async function enrolledStudent(course) {
+  const student = await createUser('student');
+  await Enrollment.create({ userId: student.user._id, courseId: course._id });
+  return student;
+}
+
+async function postReview(student, course, body) {
+  return request(app)
+    .post(`/api/courses/${course._id}/reviews`)
+    .set(auth(student.token))
+    .send(body);
+}
+
+describe('course reviews', () => {
+  it('only accepts reviews from enrolled students', async () => {
+    const teacher = await createUser('teacher');
+    const outsider = await createUser('student');
+    const course = await createCourse(teacher.user);
+
+    const res = await postReview(outsider, course, {
+      rating: 5,
+      comment: 'Great',
+    });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('keeps course and teacher rating aggregates in sync', async () => {
+    const teacher = await createUser('teacher');
+    await TeacherProfile.create({
+      userId: teacher.user._id,
+      teacherName: teacher.user.name,
+      email: teacher.user.email,
+    });
+    const first = await createCourse(teacher.user);
+    const second = await createCourse(teacher.user, { title: 'Second' });
+
+    const alice = await enrolledStudent(first);
+    const bob = await enrolledStudent(first);
+    const carol = await enrolledStudent(second);
+
+    const aliceReview = await postReview(alice, first, {
+      rating: 5,
+      comment: 'Great',
+    });
+    await postReview(bob, first, { rating: 4, comment: 'Good' });
+    await postReview(carol, second, { rating: 1, comment: 'Bad' });
+
+    let course = await Course.findById(first._id);
+    expect(course.averageRating).toBe(4.5);
+    expect(course.reviewCount).toBe(2);
+    expect(course.ratingHistogram[5]).toBe(1);
+    expect(course.ratingHistogram[4]).toBe(1);
+
+    let profile = await TeacherProfile.findOne({ userId: teacher.user._id });
+    expect(profile.totalRatings).toBe(3);
+    expect(profile.rating).toBe(3.3);
+
+    const edit = await request(app)
+      .put(`/api/reviews/${aliceReview.body._id}`)
+      .set(auth(alice.token))
+      .send({ rating: 2 });
+    expect(edit.status).toBe(200);
+
+    course = await Course.findById(first._id);
+    expect(course.averageRating).toBe(3);
+
+    const remove = await request(app)
+      .delete(`/api/reviews/${aliceReview.body._id}`)
+      .set(auth(alice.token));
+    expect(remove.status).toBe(200);
+
+    const stats = await request(app).get(
+      `/api/courseReviews?courseId=${first._id}`
+    );
+    expect(stats.body).toMatchObject({
+      averageRating: 4,
+      totalReviews: 1,
+      ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 0 },
+    });
+
+    profile = await TeacherProfile.findOne({ userId: teacher.user._id });
+    expect(profile.totalRatings).toBe(2);
+    expect(profile.rating).toBe(2.5);
+  });
+
+  it('prevents editing someone else review', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const author = await enrolledStudent(course);
+    const other = await enrolledStudent(course);
+
+    const review = await postReview(author, course, {
+      rating: 5,
+      comment: 'Great',
+    });
+
+    const res = await request(app)
+      .put(`/api/reviews/${review.body._id}`)
+      .set(auth(other.token))
+      .send({ comment: 'Hijacked' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('lets the course teacher reply', async () => {
+    const teacher = await createUser('teacher');
+    const otherTeacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const student = await enrolledStudent(course);
+    const review = await postReview(student, course, {
+      rating: 3,
+      comment: 'Okay',
+    });
+
+    const denied = await request(app)
+      .put(`/api/reviews/${review.body._id}/reply`)
+      .set(auth(otherTeacher.token))
+      .send({ comment: 'Thanks' });
+    expect(denied.status).toBe(403);
+
+    const reply = await request(app)
+      .put(`/api/reviews/${review.body._id}/reply`)
+      .set(auth(teacher.token))
+      .send({ comment: 'Thanks for the feedback' });
+    expect(reply.status).toBe(200);
+    expect(reply.body.reply.comment).toBe('Thanks for the feedback');
+  });
+});
+
+describe('review moderation', () => {
+  it('hides flagged reviews from listings and aggregates', async () => {
+    const teacher = await createUser('teacher');
+    const admin = await createUser('admin');
+    const course = await createCourse(teacher.user);
+    const student = await enrolledStudent(course);
+    const reporter = await createUser('student');
+    const review = await postReview(student, course, {
+      rating: 1,
+      comment: 'Spam',
+    });
+
+    const flag = await request(app)
+      .put(`/api/reviews/${review.body._id}/flag`)
+      .set(auth(reporter.token))
+      .send({ reason: 'Spam' });
+    expect(flag.status).toBe(200);
+
+    const queue = await request(app)
+      .get('/api/admin/reviews?flagged=true')
+      .set(auth(admin.token));
+    expect(queue.body.pagination.total).toBe(1);
+
+    const forbidden = await request(app)
+      .put(`/api/reviews/${review.body._id}/moderate`)
+      .set(auth(reporter.token))
+      .send({ status: 'hidden' });
+    expect(forbidden.status).toBe(403);
+
+    const hide = await request(app)
+      .put(`/api/reviews/${review.body._id}/moderate`)
+      .set(auth(admin.token))
+      .send({ status: 'hidden', reason: 'Spam' });
+    expect(hide.status).toBe(200);
+    expect(hide.body).toMatchObject({ status: 'hidden', flagged: false });
+
+    const listing = await request(app).get(
+      `/api/courses/${course._id}/reviews`
+    );
+    expect(listing.body).toEqual([]);
+
+    const stored = await Course.findById(course._id);
+    expect(stored.reviewCount).toBe(0);
+    expect(stored.averageRating).toBe(0);
+  });
+
+  it('keeps showing reviews written before moderation existed', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const student = await enrolledStudent(course);
+    await CourseReview.collection.insertOne({
+      userId: student.user._id,
+      courseId: course._id,
+      rating: 4,
+      comment: 'Written long ago',
+      createdAt: new Date(),
+    });
+    await updateCourseRating(course._id);
+
+    const listing = await request(app).get(
+      `/api/courses/${course._id}/reviews`
+    );
+    expect(listing.body).toHaveLength(1);
+
+    const stored = await Course.findById(course._id);
+    expect(stored.reviewCount).toBe(1);
+    expect(stored.averageRating).toBe(4);
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Lesson = require('../models/Lesson');
+const Enrollment = require('../models/Enrollment');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createLesson(course, overrides = {}) {
+  return Lesson.create({
+    title: 'Lesson',
+    description: 'Description',
+    videoUrl: 'https://example.com/video.mp4',
+    courseId: course._id,
+    order: 1,
+    ...overrides,
+  });
+}
+
+async function createSection(teacher, course, title) {
+  const res = await request(app)
+    .post(`/api/courses/${course._id}/sections`)
+    .set(auth(teacher.token))
+    .send({ title });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+describe('course sections', () => {
+  it('groups lessons into ordered sections', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const basics = await createSection(teacher, course, 'Basics');
+    const advanced = await createSection(teacher, course, 'Advanced');
+    expect(advanced.order).toBe(basics.order + 1);
+
+    const intro = await createLesson(course, { title: 'Intro' });
+    await createLesson(course, { title: 'Closures', sectionId: advanced._id });
+    await createLesson(course, { title: 'Variables', sectionId: basics._id });
+
+    const res = await request(app).get(`/api/courses/${course._id}/curriculum`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.unsectionedLessons.map((l) => l.title)).toEqual(['Intro']);
+    expect(res.body.sections.map((s) => s.title)).toEqual([
+      'Basics',
+      'Advanced',
+    ]);
+    expect(res.body.sections[0].lessons[0].title).toBe('Variables');
+
+    const flat = await request(app).get(`/api/lessons?courseId=${course._id}`);
+    expect(flat.body.map((l) => l.title)).toEqual([
+      intro.title,
+      'Variables',
+      'Closures',
+    ]);
+  });
+
+  it('rejects lessons placed in another course section', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const other = await createCourse(teacher.user);
+    const section = await createSection(teacher, other, 'Elsewhere');
+
+    const res = await request(app)
+      .post('/api/lessons')
+      .set(auth(teacher.token))
+      .send({
+        title: 'Lesson',
+        description: 'Description',
+        videoUrl: 'https://example.com/video.mp4',
+        courseId: course._id.toString(),
+        order: 1,
+        sectionId: section._id,
+      });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('reorders sections and lessons in one request', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const first = await createSection(teacher, course, 'First');
+    const second = await createSection(teacher, course, 'Second');
+    const a = await createLesson(course, { title: 'A', sectionId: first._id });
+    const b = await createLesson(course, { title: 'B', sectionId: first._id });
+    const c = await createLesson(course, { title: 'C' });
+
+    const incomplete = await request(app)
+      .put(`/api/courses/${course._id}/curriculum/order`)
+      .set(auth(teacher.token))
+      .send({
+        sections: [{ sectionId: second._id, lessonIds: [a._id] }],
+      });
+    expect(incomplete.status).toBe(400);
+    expect(incomplete.body.errors.map((e) => e.code)).toEqual([
+      'INVALID_ORDER',
+      'INVALID_ORDER',
+    ]);
+
+    const res = await request(app)
+      .put(`/api/courses/${course._id}/curriculum/order`)
+      .set(auth(teacher.token))
+      .send({
+        unsectionedLessonIds: [],
+        sections: [
+          { sectionId: second._id, lessonIds: [c._id, a._id] },
+          { sectionId: first._id, lessonIds: [b._id] },
+        ],
+      });
+    expect(res.status).toBe(200);
+
+    const curriculum = await request(app).get(
+      `/api/courses/${course._id}/curriculum`
+    );
+    expect(curriculum.body.unsectionedLessons).toEqual([]);
+    expect(
+      curriculum.body.sections.map((section) => ({
+        title: section.title,
+        lessons: section.lessons.map((lesson) => lesson.title),
+      }))
+    ).toEqual([
+      { title: 'Second', lessons: ['C', 'A'] },
+      { title: 'First', lessons: ['B'] },
+    ]);
+  });
+});
+
+describe('drip release', () => {
+  it('hides lesson content until it unlocks', async () => {
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user);
+    const open = await createLesson(course, {
+      title: 'Open',
+      releaseAt: new Date(Date.now() - DAY_MS),
+    });
+    const dripped = await createLesson(course, {
+      title: 'Week 2',
+      order: 2,
+      releaseAfterDays: 7,
+    });
+    const enrollment = await Enrollment.create({
+      userId: student.user._id,
+      courseId: course._id,
+    });
+
+    const asStudent = await request(app)
+      .get(`/api/courses/${course._id}/lessons`)
+      .set(auth(student.token));
+    expect(asStudent.body[0]).toMatchObject({ title: 'Open', locked: false });
+    expect(asStudent.body[0].videoUrl).toBeDefined();
+    expect(asStudent.body[1]).toMatchObject({ title: 'Week 2', locked: true });
+    expect(asStudent.body[1].videoUrl).toBeUndefined();
+    expect(new Date(asStudent.body[1].unlocksAt).getTime()).toBe(
+      enrollment.enrolledAt.getTime() + 7 * DAY_MS
+    );
+
+    const anonymous = await request(app).get(
+      `/api/courses/${course._id}/lessons`
+    );
+    expect(anonymous.body[1]).toMatchObject({ locked: true, unlocksAt: null });
+
+    const asTeacher = await request(app)
+      .get(`/api/courses/${course._id}/lessons`)
+      .set(auth(teacher.token));
+    expect(asTeacher.body[1].videoUrl).toBeDefined();
+
+    const progress = await request(app)
+      .put(`/api/lessons/${dripped._id}/progress`)
+      .set(auth(student.token))
+      .send({ completed: true });
+    expect(progress.status).toBe(403);
+
+    const openProgress = await request(app)
+      .put(`/api/lessons/${open._id}/progress`)
+      .set(auth(student.token))
+      .send({ completed: true });
+    expect(openProgress.status).toBe(200);
+  });
+
+  it('accepts only one drip schedule per lesson', async () => {
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const lesson = await createLesson(course, { releaseAfterDays: 3 });
+
+    const both = await request(app)
+      .patch(`/api/lessons/${lesson._id}`)
+      .set(auth(teacher.token))
+      .send({ releaseAt: '2030-01-01T00:00:00.000Z', releaseAfterDays: 5 });
+    expect(both.status).toBe(400);
+
+    const switched = await request(app)
+      .patch(`/api/lessons/${lesson._id}`)
+      .set(auth(teacher.token))
+      .send({ releaseAt: '2030-01-01T00:00:00.000Z' });
+    expect(switched.status).toBe(200);
+    expect(switched.body.releaseAfterDays).toBeNull();
+  });
+});
@@ -0,0 +1,338 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Favorite = require('../models/Favorite');
+const CourseReview = require('../models/CourseReview');
+const CourseApplication = require('../models/CourseApplication');
+const Payment = require('../models/Payment');
+const AuditLog = require('../models/AuditLog');
+const { USER_RETENTION_DAYS, purgeDeletedUsers } = require('../services/users');
+const {
+  connectDatabase,
+  clearDatabase,
+  closeDatabase,
+  createUser,
+  createCourse,
+  auth,
+} = require('./helpers');
+
+const app = createApp();
+
+beforeAll(connectDatabase);
+afterEach(clearDatabase);
+afterAll(closeDatabase);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function afterRetention() {
+  return new Date(Date.now() + (USER_RETENTION_DAYS + 1) * DAY_MS);
+}
+
+async function deleteUser(admin, user, query = {}) {
+  return request(app)
+    .delete(`/api/users/${user._id}`)
+    .set(auth(admin.token))
+    .query(query);
+}
+
+async function login(user) {
+  return request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password: 'password123' });
+}
+
+describe('soft delete', () => {
+  it('locks the user out and archives the courses they teach', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+
+    const res = await deleteUser(admin, teacher.user);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      archivedCourses: 1,
+      reassignedCourses: 0,
+    });
+    expect(new Date(res.body.restorableUntil).getTime()).toBeGreaterThan(
+      Date.now()
+    );
+
+    expect(await Course.findById(course._id)).toMatchObject({
+      published: false,
+      unpublishedReason: 'The teacher account was deleted',
+    });
+    expect((await login(teacher.user)).status).toBe(401);
+
+    const inbox = await request(app)
+      .get('/api/notifications')
+      .set(auth(teacher.token));
+    expect(inbox.status).toBe(401);
+
+    const profile = await request(app).get(
+      `/api/teacherProfiles?teacherId=${teacher.user._id}`
+    );
+    expect(profile.status).toBe(404);
+  });
+
+  it('hands courses over to another teacher', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const successor = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+
+    const res = await deleteUser(admin, teacher.user, {
+      reassignCoursesTo: successor.user._id.toString(),
+    });
+    expect(res.body.reassignedCourses).toBe(1);
+
+    const updated = await Course.findById(course._id);
+    expect(updated.teacherId.toString()).toBe(successor.user._id.toString());
+    expect(updated.published).toBe(true);
+  });
+
+  it('only reassigns courses to an active teacher', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+
+    const res = await deleteUser(admin, teacher.user, {
+      reassignCoursesTo: student.user._id.toString(),
+    });
+    expect(res.status).toBe(400);
+    expect((await User.findById(teacher.user._id)).deletedAt).toBeUndefined();
+  });
+
+  it('does not let admins delete themselves', async () => {
+    const admin = await createUser('admin');
+
+    const res = await deleteUser(admin, admin.user);
+    expect(res.status).toBe(400);
+  });
+
+  it('refuses other changes to deleted users until they are restored', async () => {
+    const admin = await createUser('admin');
+    const student = await createUser('student');
+    await deleteUser(admin, student.user);
+
+    const changes = [
+      request(app)
+        .put(`/api/users/${student.user._id}`)
+        .send({ name: 'Renamed' }),
+      request(app)
+        .put(`/api/users/${student.user._id}/reset-password`)
+        .send({ password: 'new-password' }),
+      request(app).put(`/api/users/${student.user._id}/promote`),
+      request(app)
+        .put(`/api/users/${student.user._id}/suspend`)
+        .send({ reason: 'Spam' }),
+      request(app).put(`/api/users/${student.user._id}/reinstate`),
+    ];
+    for (const change of changes) {
+      expect((await change.set(auth(admin.token))).status).toBe(400);
+    }
+
+    expect(await User.findById(student.user._id)).toMatchObject({
+      name: student.user.name,
+      role: 'student',
+      status: 'active',
+    });
+  });
+
+  it('lists deleted users separately', async () => {
+    const admin = await createUser('admin');
+    const student = await createUser('student');
+    await deleteUser(admin, student.user);
+
+    const active = await request(app).get('/api/users').set(auth(admin.token));
+    expect(active.body.data.map((user) => user.email)).toEqual([
+      admin.user.email,
+    ]);
+
+    const deleted = await request(app)
+      .get('/api/users?deleted=true')
+      .set(auth(admin.token));
+    expect(deleted.body.data.map((user) => user.email)).toEqual([
+      student.user.email,
+    ]);
+  });
+});
+
+describe('user updates', () => {
+  it('rejects an email that belongs to another account', async () => {
+    const admin = await createUser('admin');
+    const student = await createUser('student');
+    const other = await createUser('student');
+
+    const res = await request(app)
+      .put(`/api/users/${student.user._id}`)
+      .set(auth(admin.token))
+      .send({ email: other.user.email });
+
+    expect(res.status).toBe(400);
+    expect((await User.findById(student.user._id)).email).toBe(
+      student.user.email
+    );
+  });
+});
+
+describe('restore', () => {
+  it('gives back access and republishes archived courses', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const course = await createCourse(teacher.user);
+    const hidden = await createCourse(teacher.user, {
+      published: false,
+      unpublishedReason: 'Plagiarism',
+    });
+    await deleteUser(admin, teacher.user);
+
+    const res = await request(app)
+      .put(`/api/users/${teacher.user._id}/restore`)
+      .set(auth(admin.token));
+    expect(res.status).toBe(200);
+    expect(res.body.restoredCourses).toBe(1);
+
+    expect((await Course.findById(course._id)).published).toBe(true);
+    // Courses unpublished by a moderator stay unpublished
+    expect(await Course.findById(hidden._id)).toMatchObject({
+      published: false,
+      unpublishedReason: 'Plagiarism',
+    });
+    expect((await login(teacher.user)).status).toBe(200);
+  });
+
+  it('cancels enrollments on deletion and brings them back on restore', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const [first, second, dropped] = await Promise.all(
+      ['First', 'Second', 'Dropped'].map((title) =>
+        createCourse(teacher.user, { title })
+      )
+    );
+    await Enrollment.create([
+      { userId: student.user._id, courseId: first._id },
+      {
+        userId: student.user._id,
+        courseId: second._id,
+        status: 'completed',
+        progress: 100,
+      },
+      { userId: student.user._id, courseId: dropped._id, status: 'cancelled' },
+    ]);
+
+    const deleted = await deleteUser(admin, student.user);
+    expect(deleted.body.cancelledEnrollments).toBe(2);
+    expect(
+      await Enrollment.countDocuments({
+        userId: student.user._id,
+        status: 'cancelled',
+      })
+    ).toBe(3);
+
+    const restored = await request(app)
+      .put(`/api/users/${student.user._id}/restore`)
+      .set(auth(admin.token));
+    expect(restored.body.restoredEnrollments).toBe(2);
+
+    const statuses = {};
+    for (const enrollment of await Enrollment.find({
+      userId: student.user._id,
+    })) {
+      statuses[enrollment.courseId] = enrollment.status;
+      expect(enrollment.statusBeforeDeletion).toBeUndefined();
+    }
+    expect(statuses).toEqual({
+      [first._id]: 'active',
+      [second._id]: 'completed',
+      [dropped._id]: 'cancelled',
+    });
+  });
+
+  it('is refused once the retention window has ended', async () => {
+    const admin = await createUser('admin');
+    const student = await createUser('student');
+    await deleteUser(admin, student.user);
+    await User.updateOne(
+      { _id: student.user._id },
+      { deletedAt: new Date(Date.now() - (USER_RETENTION_DAYS + 1) * DAY_MS) }
+    );
+
+    const res = await request(app)
+      .put(`/api/users/${student.user._id}/restore`)
+      .set(auth(admin.token));
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('purge', () => {
+  it('removes personal data and keeps reviews, payments and the audit log', async () => {
+    const admin = await createUser('admin');
+    const teacher = await createUser('teacher');
+    const student = await createUser('student');
+    const course = await createCourse(teacher.user, { price: 30 });
+    await Enrollment.create({ userId: student.user._id, courseId: course._id });
+    await Favorite.create({
+      userId: student.user._id,
+      courseId: course._id.toString(),
+    });
+    await CourseApplication.create({
+      userId: student.user._id,
+      courseId: course._id,
+      message: 'Let me in',
+    });
+    const review = await CourseReview.create({
+      userId: student.user._id,
+      courseId: course._id,
+      rating: 5,
+      comment: 'Great course',
+    });
+    await Payment.create({
+      userId: student.user._id,
+      courseId: course._id,
+      amount: 30,
+      status: 'completed',
+      paymentMethod: 'card',
+      provider: 'fake',
+      completedAt: new Date(),
+    });
+    await deleteUser(admin, student.user);
+
+    // Nothing is purged during the retention window
+    expect(await purgeDeletedUsers()).toBe(0);
+    expect(await purgeDeletedUsers(afterRetention())).toBe(1);
+    expect(await purgeDeletedUsers(afterRetention())).toBe(0);
+
+    const purged = await User.findById(student.user._id);
+    expect(purged).toMatchObject({ name: 'Deleted user' });
+    expect(purged.email).not.toBe(student.user.email);
+    expect(purged.purgedAt).toBeDefined();
+
+    expect(await Enrollment.countDocuments()).toBe(0);
+    expect(await Favorite.countDocuments()).toBe(0);
+    expect(await CourseApplication.countDocuments()).toBe(0);
+    expect(await Payment.countDocuments({ userId: student.user._id })).toBe(1);
+    expect(await CourseReview.findById(review._id)).not.toBeNull();
+
+    const reviews = await request(app).get(
+      `/api/courses/${course._id}/reviews`
+    );
+    expect(reviews.body[0].userId.name).toBe('Deleted user');
+
+    expect(
+      (await AuditLog.find({ targetId: student.user._id })).map(
+        (entry) => entry.action
+      )
+    ).toEqual(['user.delete', 'user.purge']);
+
+    // The email is free to register again
+    const register = await request(app).post('/api/auth/register').send({
+      email: student.user.email,
+      password: 'password123',
+      name: 'New student',
+    });
+    expect(register.status).toBe(201);
+  });
+});
@@ -0,0 +1,36 @@
+// Cells starting with one of these are run as formulas by spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Format one value as a CSV cell. Objects are written as JSON.
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && !value._bsontype) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// One CSV line, terminated with CRLF
+function csvRow(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+module.exports = {
+  csvCell,
+  csvRow,
+};
@@ -0,0 +1,54 @@
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Read page/limit from the query string, clamped to sane bounds
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Shared response shape for every paginated list endpoint
+function paginatedResponse(data, total, { page, limit }) {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+    },
+  };
+}
+
+// Build a Mongo date filter from optional, already validated `from`/`to`
+// query values
+function parseDateRange({ from, to }) {
+  const range = {};
+  if (from) {
+    range.$gte = from;
+  }
+  if (to) {
+    range.$lte = to;
+  }
+  return range;
+}
+
+// Escape user input for use inside a regular expression
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  parsePagination,
+  paginatedResponse,
+  parseDateRange,
+  escapeRegex,
+};
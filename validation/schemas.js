@@ -0,0 +1,937 @@
+const Joi = require('joi');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// 24 character hex string, the format of every MongoDB _id in the app
+const objectId = () =>
+  Joi.string()
+    .trim()
+    .custom((value, helpers) =>
+      OBJECT_ID_PATTERN.test(value) ? value : helpers.error('string.objectId')
+    )
+    .messages({ 'string.objectId': '{{#label}} must be a valid ID' });
+
+const idParams = (name) => Joi.object({ [name]: objectId().required() });
+
+const email = () => Joi.string().trim().lowercase().email();
+const password = () => Joi.string().min(6).max(128);
+const reason = () => Joi.string().trim().max(1000).allow('');
+
+// Query of the signed links handed out for videos and media downloads
+const signedLinkQuery = () =>
+  Joi.object({
+    expires: Joi.number().integer().required(),
+    signature: Joi.string().max(100).required(),
+  });
+
+const pagination = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+};
+
+const dateRange = {
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+};
+
+// Auth
+const auth = {
+  register: {
+    body: Joi.object({
+      email: email().required(),
+      password: password().required(),
+      name: Joi.string().trim().min(1).max(100).required(),
+      role: Joi.string().valid('student', 'teacher', 'admin'),
+    }),
+  },
+  login: {
+    body: Joi.object({
+      email: Joi.string().trim().lowercase().required(),
+      password: Joi.string().required(),
+    }),
+  },
+  refreshToken: {
+    body: Joi.object({
+      refreshToken: Joi.string().required(),
+    }),
+  },
+  forgotPassword: {
+    body: Joi.object({
+      email: email().required(),
+    }),
+  },
+  resetPassword: {
+    body: Joi.object({
+      token: Joi.string().required(),
+      password: password().required(),
+    }),
+  },
+  changePassword: {
+    body: Joi.object({
+      currentPassword: Joi.string().required(),
+      newPassword: password().required(),
+    }),
+  },
+  verifyEmail: {
+    body: Joi.object({
+      token: Joi.string().required(),
+    }),
+  },
+  setupAdmin: {
+    body: Joi.object({
+      email: email().required(),
+      password: password().required(),
+      name: Joi.string().trim().min(1).max(100).required(),
+    }),
+  },
+};
+
+// Favorites
+const favorites = {
+  add: {
+    body: Joi.object({
+      courseId: objectId().required(),
+    }),
+  },
+  remove: {
+    params: idParams('courseId'),
+  },
+};
+
+// Courses
+const courseFields = {
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().min(1).max(5000),
+  price: Joi.number().min(0),
+  duration: Joi.string().trim().min(1).max(100),
+  level: Joi.string().trim().min(1).max(50),
+  category: Joi.string().trim().min(1).max(100),
+  image: Joi.string().trim().min(1).max(2000),
+  requiresApplication: Joi.boolean(),
+};
+
+const courses = {
+  list: {
+    query: Joi.object({
+      teacherId: objectId(),
+      search: Joi.string().trim().max(200),
+      category: Joi.string().trim(),
+      level: Joi.string().trim(),
+      minPrice: Joi.number().min(0),
+      maxPrice: Joi.number()
+        .min(0)
+        .when('minPrice', {
+          is: Joi.exist(),
+          then: Joi.number().min(Joi.ref('minPrice')),
+        }),
+      featured: Joi.boolean(),
+      // Only applies to listings that include unpublished courses
+      published: Joi.boolean(),
+      sort: Joi.string().valid(
+        'newest',
+        'oldest',
+        'price_asc',
+        'price_desc',
+        'rating',
+        'popularity',
+        'relevance',
+        'featured'
+      ),
+      ...pagination,
+    }),
+  },
+  get: {
+    params: idParams('id'),
+  },
+  create: {
+    body: Joi.object({
+      ...courseFields,
+      title: courseFields.title.required(),
+      description: courseFields.description.required(),
+      price: courseFields.price.required(),
+      duration: courseFields.duration.required(),
+      level: courseFields.level.required(),
+      category: courseFields.category.required(),
+      image: courseFields.image.required(),
+    }),
+  },
+  update: {
+    params: idParams('id'),
+    body: Joi.object(courseFields).min(1),
+  },
+  remove: {
+    params: idParams('id'),
+  },
+  // Admin moderation
+  moderate: {
+    params: idParams('courseId'),
+  },
+  unpublish: {
+    params: idParams('courseId'),
+    body: Joi.object({
+      reason: reason(),
+    }),
+  },
+};
+
+// Lessons
+const lessonFields = {
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().min(1).max(5000),
+  videoUrl: Joi.string().trim().max(2000).allow(''),
+  order: Joi.number().integer().min(0),
+  isPreview: Joi.boolean(),
+  sectionId: objectId().allow(null),
+  releaseAt: Joi.date().iso().allow(null),
+  releaseAfterDays: Joi.number().integer().min(0).max(3650).allow(null),
+};
+
+// A lesson follows one drip schedule: a fixed date or days after enrollment
+const singleReleaseSchedule = (lesson, helpers) =>
+  lesson.releaseAt && lesson.releaseAfterDays
+    ? helpers.error('lesson.releaseConflict')
+    : lesson;
+
+const releaseConflictMessage = {
+  'lesson.releaseConflict': 'releaseAt and releaseAfterDays cannot both be set',
+};
+
+const lessons = {
+  listByCourseParam: {
+    params: idParams('courseId'),
+  },
+  listByCourseQuery: {
+    query: Joi.object({
+      courseId: objectId().required(),
+    }),
+  },
+  create: {
+    body: Joi.object({
+      ...lessonFields,
+      title: lessonFields.title.required(),
+      description: lessonFields.description.required(),
+      order: lessonFields.order.required(),
+      courseId: objectId().required(),
+    })
+      .custom(singleReleaseSchedule)
+      .messages(releaseConflictMessage),
+  },
+  update: {
+    params: idParams('lessonId'),
+    body: Joi.object(lessonFields)
+      .min(1)
+      .custom(singleReleaseSchedule)
+      .messages(releaseConflictMessage),
+  },
+  remove: {
+    params: idParams('lessonId'),
+  },
+  video: {
+    params: idParams('lessonId'),
+    query: signedLinkQuery(),
+  },
+  updateProgress: {
+    params: idParams('lessonId'),
+    body: Joi.object({
+      completed: Joi.boolean(),
+      lastPosition: Joi.number().min(0),
+    }),
+  },
+};
+
+// Course sections
+const sectionFields = {
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(5000).allow(''),
+  order: Joi.number().integer().min(0),
+};
+
+const sections = {
+  listByCourse: {
+    params: idParams('courseId'),
+  },
+  create: {
+    params: idParams('courseId'),
+    body: Joi.object({
+      ...sectionFields,
+      title: sectionFields.title.required(),
+    }),
+  },
+  update: {
+    params: idParams('sectionId'),
+    body: Joi.object(sectionFields).min(1),
+  },
+  remove: {
+    params: idParams('sectionId'),
+  },
+  reorder: {
+    params: idParams('courseId'),
+    body: Joi.object({
+      sections: Joi.array()
+        .items(
+          Joi.object({
+            sectionId: objectId().required(),
+            lessonIds: Joi.array().items(objectId()).default([]),
+          })
+        )
+        .default([]),
+      unsectionedLessonIds: Joi.array().items(objectId()).default([]),
+    }),
+  },
+};
+
+// Enrollments
+const enrollments = {
+  create: {
+    body: Joi.object({
+      courseId: objectId().required(),
+    }),
+  },
+  progress: {
+    params: idParams('enrollmentId'),
+  },
+};
+
+// Homework and submissions
+const homeworkFields = {
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().min(1).max(5000),
+  dueDate: Joi.date(),
+  maxScore: Joi.number().min(1),
+};
+
+const submissionFields = {
+  content: Joi.string().trim().min(1).max(20000).required(),
+  attachments: Joi.array().items(Joi.string().trim().max(2000)).max(20),
+};
+
+const homework = {
+  listByLesson: {
+    params: idParams('lessonId'),
+  },
+  listByEnrollment: {
+    query: Joi.object({
+      enrollmentId: objectId().required(),
+    }),
+  },
+  create: {
+    body: Joi.object({
+      title: homeworkFields.title.required(),
+      description: homeworkFields.description.required(),
+      dueDate: homeworkFields.dueDate.required(),
+      maxScore: homeworkFields.maxScore,
+      lessonId: objectId().required(),
+    }),
+  },
+  update: {
+    params: idParams('homeworkId'),
+    body: Joi.object(homeworkFields).min(1),
+  },
+  remove: {
+    params: idParams('homeworkId'),
+  },
+  submit: {
+    params: idParams('homeworkId'),
+    body: Joi.object(submissionFields),
+  },
+  listSubmissions: {
+    params: idParams('homeworkId'),
+  },
+  getSubmission: {
+    params: idParams('submissionId'),
+  },
+  resubmit: {
+    params: idParams('submissionId'),
+    body: Joi.object(submissionFields),
+  },
+  grade: {
+    params: idParams('submissionId'),
+    body: Joi.object({
+      score: Joi.number().min(0).required(),
+      feedback: Joi.string().trim().max(5000).allow(''),
+    }),
+  },
+};
+
+// Quizzes
+const CHOICE_TYPES = ['single_choice', 'multiple_choice'];
+const optionIndexes = () => Joi.array().items(Joi.number().integer().min(0));
+
+const quizQuestion = Joi.object({
+  _id: objectId(),
+  type: Joi.string()
+    .valid('single_choice', 'multiple_choice', 'true_false', 'short_answer')
+    .required(),
+  prompt: Joi.string().trim().min(1).max(2000).required(),
+  options: Joi.when('type', {
+    is: Joi.valid(...CHOICE_TYPES),
+    then: Joi.array()
+      .items(Joi.string().trim().min(1).max(500))
+      .min(2)
+      .max(10)
+      .required(),
+    otherwise: Joi.any().strip(),
+  }),
+  correctOptions: Joi.when('type', {
+    switch: [
+      { is: 'multiple_choice', then: optionIndexes().min(1).required() },
+      {
+        is: Joi.valid('single_choice', 'true_false'),
+        then: optionIndexes().length(1).required(),
+      },
+    ],
+    otherwise: Joi.any().strip(),
+  }),
+  correctAnswers: Joi.when('type', {
+    is: 'short_answer',
+    then: Joi.array()
+      .items(Joi.string().trim().min(1).max(500))
+      .min(1)
+      .max(20)
+      .required(),
+    otherwise: Joi.any().strip(),
+  }),
+  points: Joi.number().min(0).max(1000),
+})
+  .custom((question, helpers) => {
+    // Correct options must point at existing options (True/False has two)
+    const optionCount =
+      question.type === 'true_false' ? 2 : (question.options || []).length;
+    const outOfRange = (question.correctOptions || []).some(
+      (index) => index >= optionCount
+    );
+    return outOfRange ? helpers.error('quiz.optionRange') : question;
+  })
+  .messages({
+    'quiz.optionRange': '{{#label}} has a correct option that does not exist',
+  });
+
+const quizFields = {
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(5000).allow(''),
+  questions: Joi.array().items(quizQuestion).min(1).max(100),
+  timeLimit: Joi.number().integer().min(0).max(600),
+  maxAttempts: Joi.number().integer().min(0).max(100),
+  passingScore: Joi.number().min(0).max(100),
+};
+
+const quizzes = {
+  listByLesson: {
+    params: idParams('lessonId'),
+  },
+  byId: {
+    params: idParams('quizId'),
+  },
+  create: {
+    body: Joi.object({
+      ...quizFields,
+      title: quizFields.title.required(),
+      questions: quizFields.questions.required(),
+      lessonId: objectId().required(),
+    }),
+  },
+  update: {
+    params: idParams('quizId'),
+    body: Joi.object(quizFields).min(1),
+  },
+  attemptById: {
+    params: idParams('attemptId'),
+  },
+  submitAttempt: {
+    params: idParams('attemptId'),
+    body: Joi.object({
+      answers: Joi.array()
+        .items(
+          Joi.object({
+            questionId: objectId().required(),
+            selectedOptions: optionIndexes().max(10),
+            textAnswer: Joi.string().trim().max(1000).allow(''),
+          })
+        )
+        .max(100)
+        .required(),
+    }),
+  },
+};
+
+// Reviews
+const reviewFields = {
+  rating: Joi.number().integer().min(1).max(5),
+  comment: Joi.string().trim().min(1).max(5000),
+};
+
+const reviews = {
+  create: {
+    params: idParams('courseId'),
+    body: Joi.object({
+      rating: reviewFields.rating.required(),
+      comment: reviewFields.comment.required(),
+    }),
+  },
+  update: {
+    params: idParams('reviewId'),
+    body: Joi.object(reviewFields).min(1),
+  },
+  byId: {
+    params: idParams('reviewId'),
+  },
+  reply: {
+    params: idParams('reviewId'),
+    body: Joi.object({
+      comment: reviewFields.comment.required(),
+    }),
+  },
+  flag: {
+    params: idParams('reviewId'),
+    body: Joi.object({
+      reason: reason(),
+    }),
+  },
+  moderate: {
+    params: idParams('reviewId'),
+    body: Joi.object({
+      status: Joi.string().valid('visible', 'hidden').required(),
+      reason: reason(),
+    }),
+  },
+  listByCourseParam: {
+    params: idParams('courseId'),
+  },
+  listByCourseQuery: {
+    query: Joi.object({
+      courseId: objectId().required(),
+      ...pagination,
+    }),
+  },
+  moderationQueue: {
+    query: Joi.object({
+      status: Joi.string().valid('visible', 'hidden'),
+      flagged: Joi.boolean(),
+      courseId: objectId(),
+      ...pagination,
+    }),
+  },
+};
+
+// Course applications
+const applications = {
+  create: {
+    params: idParams('courseId'),
+    body: Joi.object({
+      message: Joi.string().trim().min(1).max(5000).required(),
+    }),
+  },
+  list: {
+    query: Joi.object({
+      courseId: objectId(),
+      status: Joi.string().valid('pending', 'approved', 'rejected'),
+      ...pagination,
+    }),
+  },
+  decide: {
+    params: idParams('applicationId'),
+    body: Joi.object({
+      reason: reason(),
+    }),
+  },
+};
+
+// Payments
+const paymentStatuses = [
+  'pending',
+  'completed',
+  'failed',
+  'abandoned',
+  'refunded',
+  'partially_refunded',
+];
+
+const payments = {
+  create: {
+    body: Joi.object({
+      courseId: objectId().required(),
+      paymentMethod: Joi.string().trim().min(1).max(50).required(),
+    }),
+  },
+  confirm: {
+    params: idParams('paymentId'),
+    body: Joi.object({
+      paymentToken: Joi.string().trim().max(500),
+    }),
+  },
+  cancel: {
+    params: idParams('paymentId'),
+  },
+  refund: {
+    params: idParams('paymentId'),
+    body: Joi.object({
+      amount: Joi.number().positive(),
+      reason: reason(),
+    }),
+  },
+  ledger: {
+    query: Joi.object({
+      userId: objectId(),
+      courseId: objectId(),
+      status: Joi.string().valid(...paymentStatuses),
+      ...dateRange,
+      ...pagination,
+    }),
+  },
+  revenue: {
+    query: Joi.object(dateRange),
+  },
+};
+
+// Teacher profiles
+const socialLink = () => Joi.string().trim().max(500).allow('');
+
+const teacherProfileBody = Joi.object({
+  teacherName: Joi.string().trim().max(100).allow(''),
+  email: email().allow(''),
+  bio: Joi.string().trim().max(5000).allow(''),
+  specialization: Joi.string().trim().max(200).allow(''),
+  experience: Joi.alternatives(
+    Joi.string().trim().max(100).allow(''),
+    Joi.number().min(0)
+  ),
+  education: Joi.string().trim().max(1000).allow(''),
+  avatar: Joi.string().trim().max(2000).allow(''),
+  certifications: Joi.array().items(Joi.string().trim().max(200)).max(50),
+  expertise: Joi.array().items(Joi.string().trim().max(100)).max(50),
+  socialLinks: Joi.object({
+    linkedin: socialLink(),
+    github: socialLink(),
+    twitter: socialLink(),
+    website: socialLink(),
+  }),
+});
+
+const teacherProfiles = {
+  get: {
+    query: Joi.object({
+      teacherId: objectId(),
+    }),
+  },
+  save: {
+    body: teacherProfileBody,
+  },
+  update: {
+    params: idParams('teacherId'),
+    body: teacherProfileBody,
+  },
+};
+
+// Certificates
+const certificateParams = Joi.object({
+  certificateId: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^EDU-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/)
+    .required()
+    .messages({
+      'string.pattern.base': '{{#label}} must be a valid certificate ID',
+    }),
+});
+
+const certificates = {
+  byId: {
+    params: certificateParams,
+  },
+  download: {
+    params: certificateParams,
+    query: Joi.object({
+      format: Joi.string().valid('pdf', 'svg').default('pdf'),
+    }),
+  },
+};
+
+// Media uploads. The file itself is checked by middleware/upload.
+const media = {
+  courseImage: {
+    params: idParams('courseId'),
+  },
+  lessonUpload: {
+    params: idParams('lessonId'),
+  },
+  attachment: {
+    params: Joi.object({
+      lessonId: objectId().required(),
+      mediaId: objectId().required(),
+    }),
+  },
+  byId: {
+    params: idParams('mediaId'),
+  },
+  download: {
+    params: idParams('mediaId'),
+    query: signedLinkQuery(),
+  },
+};
+
+// Notification center
+const notificationTypes = [
+  'application_approved',
+  'application_rejected',
+  'homework_due',
+  'lesson_published',
+  'new_enrollment',
+  'new_application',
+  'new_review',
+  'discussion_reply',
+  'discussion_mention',
+];
+
+const notifications = {
+  list: {
+    query: Joi.object({
+      ...pagination,
+      unread: Joi.boolean(),
+      type: Joi.string().valid(...notificationTypes),
+    }),
+  },
+  byId: {
+    params: idParams('notificationId'),
+  },
+  updatePreferences: {
+    body: Joi.object({
+      emailDigest: Joi.boolean(),
+      types: Joi.object().pattern(
+        Joi.string().valid(...notificationTypes),
+        Joi.object({
+          inApp: Joi.boolean(),
+          email: Joi.boolean(),
+        }).min(1)
+      ),
+    }).min(1),
+  },
+};
+
+// Discussions and Q&A
+const discussionFields = {
+  title: Joi.string().trim().min(1).max(200),
+  body: Joi.string().trim().min(1).max(10000),
+  // Users picked from the @mention suggestions
+  mentions: Joi.array().items(objectId()).max(20),
+};
+
+const discussions = {
+  list: {
+    params: idParams('courseId'),
+    query: Joi.object({
+      ...pagination,
+      lessonId: objectId(),
+      unanswered: Joi.boolean(),
+      sort: Joi.string().valid('recent', 'newest', 'top'),
+    }),
+  },
+  create: {
+    params: idParams('courseId'),
+    body: Joi.object({
+      title: discussionFields.title.required(),
+      body: discussionFields.body.required(),
+      lessonId: objectId(),
+      mentions: discussionFields.mentions,
+    }),
+  },
+  unanswered: {
+    query: Joi.object({
+      ...pagination,
+      courseId: objectId(),
+    }),
+  },
+  byId: {
+    params: idParams('threadId'),
+  },
+  update: {
+    params: idParams('threadId'),
+    body: Joi.object(discussionFields).min(1),
+  },
+  createReply: {
+    params: idParams('threadId'),
+    body: Joi.object({
+      body: discussionFields.body.required(),
+      mentions: discussionFields.mentions,
+    }),
+  },
+  replyById: {
+    params: idParams('replyId'),
+  },
+  updateReply: {
+    params: idParams('replyId'),
+    body: Joi.object({
+      body: discussionFields.body,
+      mentions: discussionFields.mentions,
+    }).min(1),
+  },
+};
+
+// Teacher analytics
+const analyticsRange = {
+  ...dateRange,
+  // Bucket size of the time series
+  interval: Joi.string().valid('day', 'week', 'month').default('week'),
+};
+
+const analytics = {
+  teacher: {
+    query: Joi.object({
+      ...analyticsRange,
+      teacherId: objectId(),
+    }),
+  },
+  course: {
+    params: idParams('courseId'),
+    query: Joi.object(analyticsRange),
+  },
+  platform: {
+    query: Joi.object(analyticsRange),
+  },
+};
+
+const announcements = {
+  create: {
+    params: idParams('courseId'),
+    body: Joi.object({
+      title: Joi.string().trim().max(200).allow(''),
+      message: Joi.string().trim().min(1).max(2000).required(),
+    }),
+  },
+};
+
+// Users and roles (admin)
+const users = {
+  list: {
+    query: Joi.object({
+      ...pagination,
+      // Matched against name and email
+      search: Joi.string().trim().max(200),
+      role: Joi.string().valid('student', 'teacher', 'admin'),
+      status: Joi.string().valid('active', 'suspended', 'banned'),
+      deleted: Joi.boolean(),
+    }),
+  },
+  byId: {
+    params: idParams('userId'),
+  },
+  remove: {
+    params: idParams('userId'),
+    query: Joi.object({
+      // Teacher who takes over the deleted user's courses
+      reassignCoursesTo: objectId(),
+    }),
+  },
+  update: {
+    params: idParams('userId'),
+    body: Joi.object({
+      name: Joi.string().trim().min(1).max(100),
+      email: email(),
+      role: Joi.string().valid('student', 'teacher', 'admin'),
+    }),
+  },
+  resetPassword: {
+    params: idParams('userId'),
+    body: Joi.object({
+      password: password().required(),
+    }),
+  },
+  suspend: {
+    params: idParams('userId'),
+    body: Joi.object({
+      reason: reason(),
+      // Suspended until reinstated when not set
+      until: Joi.date().iso().greater('now'),
+    }),
+  },
+  ban: {
+    params: idParams('userId'),
+    body: Joi.object({
+      reason: reason(),
+    }),
+  },
+};
+
+// Audit log (admin)
+const auditTargetTypes = [
+  'User',
+  'Course',
+  'CourseSection',
+  'Lesson',
+  'Quiz',
+  'Homework',
+  'Payment',
+  'CourseReview',
+  'TeacherRequest',
+];
+
+const auditLogFilters = {
+  actorId: objectId(),
+  // A full action such as payment.refund, or a prefix such as payment for
+  // every action on payments
+  action: Joi.string()
+    .trim()
+    .max(100)
+    .pattern(/^[a-z_]+(\.[a-z_]+)?$/),
+  targetType: Joi.string().valid(...auditTargetTypes),
+  targetId: objectId(),
+  ...dateRange,
+};
+
+const auditLogs = {
+  list: {
+    query: Joi.object({ ...auditLogFilters, ...pagination }),
+  },
+  export: {
+    query: Joi.object(auditLogFilters),
+  },
+};
+
+const teacherRequests = {
+  create: {
+    body: Joi.object({
+      message: Joi.string().trim().min(1).max(5000).required(),
+    }),
+  },
+  list: {
+    query: Joi.object({
+      status: Joi.string().valid('pending', 'approved', 'rejected'),
+      ...pagination,
+    }),
+  },
+  decide: {
+    params: idParams('requestId'),
+    body: Joi.object({
+      reason: reason(),
+    }),
+  },
+};
+
+module.exports = {
+  objectId,
+  idParams,
+  pagination,
+  dateRange,
+  auth,
+  favorites,
+  courses,
+  lessons,
+  sections,
+  enrollments,
+  homework,
+  quizzes,
+  reviews,
+  applications,
+  payments,
+  teacherProfiles,
+  certificates,
+  media,
+  notifications,
+  discussions,
+  analytics,
+  announcements,
+  users,
+  teacherRequests,
+  auditLogs,
+};